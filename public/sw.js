@@ -0,0 +1,154 @@
+// Service worker: offline app shell and last-fetched PML data files.
+//
+// - App shell (index.html, the hashed /assets/ it references and the worker
+//   those load) is precached on install and refreshed on every online
+//   navigation.
+// - Data files (projects.json, index.json, daily series, hourly months, FX)
+//   go to the network first; a copy of each 200 response is kept and served
+//   when the network fails, flagged with OFFLINE_HEADER so the page can show
+//   it is looking at stored data.
+//
+// The data bucket is usually another origin, so data URLs are recognized by
+// their path only.
+
+const SHELL_CACHE = "pml-shell-v1";
+const DATA_CACHE = "pml-data-v1"; // also counted and cleared by src/dataCache.js
+const OFFLINE_HEADER = "X-PML-Offline";
+
+const SCOPE = new URL(self.registration.scope);
+const INDEX_URL = new URL("./", SCOPE).href;
+const SHELL_EXTRAS = ["manifest.webmanifest", "icon.svg"].map((p) => new URL(p, SCOPE).href);
+
+const DATA_PATHS = [
+  /\/projects\.json$/,
+  /\/fx\/usd-mxn\.json(\.gz)?$/,
+  /\/pml-(mda|mtr)\/[^/]+\/index\.json$/,
+  /\/pml-(mda|mtr)\/[^/]+\/nodes\/[^/]+\/daily\/series\.json(\.gz)?$/,
+  /\/pml-(mda|mtr)\/[^/]+\/nodes\/[^/]+\/hourly\/\d{4}_\d{2}\.json(\.gz)?$/,
+];
+
+const isData = (url) => DATA_PATHS.some((re) => re.test(url.pathname));
+const isAsset = (url) =>
+  url.origin === SCOPE.origin && url.pathname.startsWith(new URL("assets/", SCOPE).pathname);
+
+// Script / stylesheet URLs referenced by index.html (Vite's hashed bundles).
+function shellAssets(html) {
+  const out = new Set();
+  for (const m of html.matchAll(/(?:src|href)="([^"]+)"/g)) {
+    const url = new URL(m[1], SCOPE);
+    if (isAsset(url)) out.add(url.href);
+  }
+  return Array.from(out);
+}
+
+// Scripts the bundles load at runtime (the data worker).
+async function nestedAssets(cache, urls) {
+  const out = [];
+  for (const url of urls.filter((u) => u.endsWith(".js"))) {
+    const r = await cache.match(url);
+    if (!r) continue;
+    for (const m of (await r.text()).matchAll(/assets\/[\w.-]+\.js/g)) {
+      const nested = new URL(m[0], SCOPE).href;
+      if (!urls.includes(nested) && !out.includes(nested)) out.push(nested);
+    }
+  }
+  return out;
+}
+
+// Caches index.html and its bundles, and drops bundles of older deploys.
+async function cacheShell(response) {
+  const cache = await caches.open(SHELL_CACHE);
+  const html = await response.clone().text();
+  const assets = shellAssets(html);
+  await cache.put(INDEX_URL, response);
+  const add = (urls) =>
+    Promise.all(
+      urls.map(async (url) => {
+        if (!(await cache.match(url))) await cache.add(url);
+      })
+    );
+  await add(assets);
+  const nested = await nestedAssets(cache, assets);
+  await add(nested);
+  assets.push(...nested);
+  for (const req of await cache.keys()) {
+    if (isAsset(new URL(req.url)) && !assets.includes(req.url)) await cache.delete(req);
+  }
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.addAll(SHELL_EXTRAS);
+      await cacheShell(await fetch(INDEX_URL, { cache: "no-store" }));
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const keep = [SHELL_CACHE, DATA_CACHE];
+      for (const key of await caches.keys()) {
+        if (!keep.includes(key)) await caches.delete(key);
+      }
+      await self.clients.claim();
+    })()
+  );
+});
+
+async function navigation(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cacheShell(response.clone()).catch(() => {});
+    return response;
+  } catch (e) {
+    const cached = await caches.match(INDEX_URL, { cacheName: SHELL_CACHE });
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+async function shellFile(request) {
+  const cached = await caches.match(request, { cacheName: SHELL_CACHE });
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+// Stored copies are keyed by URL alone: the page's conditional headers
+// (If-None-Match) must not hide them.
+async function dataFile(request) {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.status === 200) await cache.put(request.url, response.clone());
+    return response;
+  } catch (e) {
+    const cached = await cache.match(request.url);
+    if (!cached) throw e;
+    const headers = new Headers(cached.headers);
+    headers.set(OFFLINE_HEADER, "1");
+    return new Response(cached.body, {
+      status: cached.status,
+      statusText: cached.statusText,
+      headers,
+    });
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") event.respondWith(navigation(request));
+  else if (isData(url)) event.respondWith(dataFile(request));
+  else if (isAsset(url) || SHELL_EXTRAS.includes(url.href)) event.respondWith(shellFile(request));
+});
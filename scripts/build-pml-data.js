@@ -0,0 +1,462 @@
+#!/usr/bin/env node
+// Offline builder for the PML data tree the app reads from S3.
+//
+// Reads raw CENACE "Precios Marginales Locales" CSV downloads (MDA or MTR)
+// from a local folder and writes (pml-mtr/ for --market mtr):
+//
+//   {out}/pml-mda/{project}/index.json
+//   {out}/pml-mda/{project}/nodes/{node}/daily/series.json.gz   rows: [[date, n, avg, min, max]]
+//   {out}/pml-mda/{project}/nodes/{node}/hourly/{YYYY_MM}.json.gz rows: [[date, hour, pml]]
+//   {out}/projects.json   project registry read by the app at startup
+//
+// When the CSVs carry the energy / losses / congestion components they are
+// appended to each row ([date, hour, pml, energy, losses, congestion] and
+// [date, n, avg, min, max, avgEnergy, avgLosses, avgCongestion]) and the file
+// lists its columns in `cols`. Readers that only know the short rows keep working.
+//
+// Raw CENACE nodes are mapped to projects with a JSON config (see
+// scripts/pml-nodes.example.json). Existing output is merged: new rows replace
+// the same date/hour, older months and days are kept, index.json keeps any
+// extra keys it already had. projects.json lists every project of the config
+// (display name, tech, capacityMw, system, node lat/lon) and keeps projects
+// that are only in the existing file.
+//
+// Usage:
+//   node scripts/build-pml-data.js --in ./cenace --out ./data --config ./pml-nodes.json
+//
+// Options:
+//   --in <dir>         folder with CENACE .csv / .csv.gz files (searched recursively)
+//   --out <dir>        output root (the bucket root, i.e. where pml-mda/ lives)
+//   --config <file>    project/node mapping
+//   --market <mda|mtr> day-ahead or real-time tree. Default mda.
+//   --hour-base <0|1>  hour numbering in the output; CENACE publishes 1..24(25),
+//                      the app expects 0..23(24). Default 0.
+//   --no-gzip          write plain JSON (same file names)
+//   --dry-run          parse and report, write nothing
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import zlib from "node:zlib";
+import { parseArgs } from "node:util";
+
+const SYSTEM_TZ = {
+  SIN: "America/Mexico_City",
+  BCA: "America/Tijuana",
+  BCS: "America/Mazatlan",
+};
+
+const MONTHS_ES = {
+  ene: "01",
+  feb: "02",
+  mar: "03",
+  abr: "04",
+  may: "05",
+  jun: "06",
+  jul: "07",
+  ago: "08",
+  sep: "09",
+  oct: "10",
+  nov: "11",
+  dic: "12",
+};
+
+function usage(msg) {
+  if (msg) console.error(`error: ${msg}\n`);
+  console.error(
+    "usage: node scripts/build-pml-data.js --in <dir> --out <dir> --config <file> [--market mda|mtr] [--hour-base 0|1] [--no-gzip] [--dry-run]"
+  );
+  process.exit(msg ? 2 : 0);
+}
+
+// --------- CSV ----------
+
+function splitCsvLine(line) {
+  const out = [];
+  let cur = "";
+  let q = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (q) {
+      if (c === '"' && line[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else if (c === '"') {
+        q = false;
+      } else {
+        cur += c;
+      }
+    } else if (c === '"') {
+      q = true;
+    } else if (c === ",") {
+      out.push(cur.trim());
+      cur = "";
+    } else {
+      cur += c;
+    }
+  }
+  out.push(cur.trim());
+  return out;
+}
+
+function decodeText(buf) {
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(buf);
+  } catch {
+    // older CENACE downloads are latin1
+    return new TextDecoder("latin1").decode(buf);
+  }
+}
+
+function normalize(s) {
+  return s
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+// "2024-01-31" | "31/01/2024" | "31/ene/2024" -> "2024-01-31"
+function parseDate(s) {
+  let m = /^(\d{4})-(\d{2})-(\d{2})/.exec(s);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(s);
+  if (m) return `${m[3]}-${m[2].padStart(2, "0")}-${m[1].padStart(2, "0")}`;
+  m = /^(\d{1,2})\/([a-z]{3})\/(\d{4})$/i.exec(s);
+  if (m && MONTHS_ES[m[2].toLowerCase()])
+    return `${m[3]}-${MONTHS_ES[m[2].toLowerCase()]}-${m[1].padStart(2, "0")}`;
+  return null;
+}
+
+function systemFromPreamble(lines) {
+  for (const l of lines) {
+    const s = normalize(l);
+    if (s.includes("baja california sur")) return "BCS";
+    if (s.includes("baja california")) return "BCA";
+    if (s.includes("interconectado nacional")) return "SIN";
+  }
+  return null;
+}
+
+// Returns { system, rows: [{ rawNode, date, hour, pml, energy, losses, congestion }], skipped }
+function parseCenaceCsv(text, file) {
+  const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+  const headerAt = lines.findIndex((l) => {
+    const s = normalize(l);
+    return s.includes("fecha") && s.includes("hora") && s.includes("nodo");
+  });
+  if (headerAt < 0) throw new Error(`${file}: no encontré el encabezado Fecha/Hora/Nodo`);
+
+  const header = splitCsvLine(lines[headerAt]).map(normalize);
+  const col = (pred) => header.findIndex(pred);
+  const iDate = col((h) => h.startsWith("fecha"));
+  const iHour = col((h) => h.startsWith("hora"));
+  const iNode = col((h) => h.includes("nodo"));
+  const iPml = col((h) => h.includes("precio marginal") || h.startsWith("pml"));
+  const iEnergy = col((h) => h.includes("energia"));
+  const iLosses = col((h) => h.includes("perdidas"));
+  const iCongestion = col((h) => h.includes("congestion"));
+  if ([iDate, iHour, iNode, iPml].some((i) => i < 0))
+    throw new Error(`${file}: faltan columnas (fecha, hora, nodo o precio marginal)`);
+
+  const num = (cells, i) => (i < 0 ? null : Number(String(cells[i]).replace(/,/g, "")));
+
+  const rows = [];
+  let skipped = 0;
+  for (const line of lines.slice(headerAt + 1)) {
+    if (!line.trim()) continue;
+    const cells = splitCsvLine(line);
+    const date = parseDate(cells[iDate] || "");
+    const hour = Number(cells[iHour]);
+    const pml = num(cells, iPml);
+    if (!date || !Number.isInteger(hour) || !Number.isFinite(pml)) {
+      skipped++;
+      continue;
+    }
+    rows.push({
+      rawNode: cells[iNode],
+      date,
+      hour,
+      pml,
+      energy: num(cells, iEnergy),
+      losses: num(cells, iLosses),
+      congestion: num(cells, iCongestion),
+    });
+  }
+  return { system: systemFromPreamble(lines.slice(0, headerAt)), rows, skipped };
+}
+
+// --------- Files ----------
+
+async function listInputs(dir) {
+  const out = [];
+  for (const e of await fs.readdir(dir, { withFileTypes: true })) {
+    const p = path.join(dir, e.name);
+    if (e.isDirectory()) out.push(...(await listInputs(p)));
+    else if (/\.csv(\.gz)?$/i.test(e.name)) out.push(p);
+  }
+  // sorted so later downloads (re-publications) win on duplicates
+  return out.sort();
+}
+
+async function readInput(file) {
+  let buf = await fs.readFile(file);
+  if (buf[0] === 0x1f && buf[1] === 0x8b) buf = zlib.gunzipSync(buf);
+  return decodeText(buf);
+}
+
+async function readJsonMaybeGz(file) {
+  try {
+    let buf = await fs.readFile(file);
+    if (buf[0] === 0x1f && buf[1] === 0x8b) buf = zlib.gunzipSync(buf);
+    return JSON.parse(buf.toString("utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+async function writeJson(file, obj, { gzip, dryRun }) {
+  if (dryRun) return;
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const body = Buffer.from(JSON.stringify(obj));
+  await fs.writeFile(file, gzip && file.endsWith(".gz") ? zlib.gzipSync(body) : body);
+}
+
+// --------- Aggregation ----------
+
+const HOURLY_COLS = ["date", "hour", "pml", "energy", "losses", "congestion"];
+const DAILY_COLS = ["date", "n", "avg", "min", "max", "energy", "losses", "congestion"];
+
+function round(x, d = 4) {
+  const f = 10 ** d;
+  return Math.round(x * f) / f;
+}
+
+// rows: [[date, hour, pml, ...components]] sorted -> [[date, n, avg, min, max, ...components]]
+// n is the number of published hours, so DST days show 23 or 25. Component
+// averages are only written when every hour of the day has them.
+function dailyFromHourly(rows) {
+  const byDate = new Map();
+  for (const [d, , p, ...comp] of rows) {
+    const cur = byDate.get(d) || {
+      n: 0,
+      sum: 0,
+      min: Infinity,
+      max: -Infinity,
+      comp: [0, 0, 0],
+      compN: 0,
+    };
+    cur.n += 1;
+    cur.sum += p;
+    if (p < cur.min) cur.min = p;
+    if (p > cur.max) cur.max = p;
+    if (comp.length === 3) {
+      comp.forEach((x, i) => (cur.comp[i] += x));
+      cur.compN += 1;
+    }
+    byDate.set(d, cur);
+  }
+  return Array.from(byDate.entries())
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([d, a]) => {
+      const row = [d, a.n, round(a.sum / a.n), a.min, a.max];
+      if (a.compN === a.n) row.push(...a.comp.map((x) => round(x / a.n)));
+      return row;
+    });
+}
+
+function hasComponents(rows, width) {
+  return rows.some((r) => r.length > width);
+}
+
+function monthKey(date) {
+  return `${date.slice(0, 4)}_${date.slice(5, 7)}`;
+}
+
+// --------- Main ----------
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      in: { type: "string" },
+      out: { type: "string" },
+      config: { type: "string" },
+      market: { type: "string", default: "mda" },
+      "hour-base": { type: "string", default: "0" },
+      "no-gzip": { type: "boolean", default: false },
+      "dry-run": { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  if (values.help) usage();
+  if (!values.in || !values.out || !values.config) usage("faltan --in, --out o --config");
+
+  if (values.market !== "mda" && values.market !== "mtr") usage("--market debe ser mda o mtr");
+  const hourBase = Number(values["hour-base"]);
+  if (hourBase !== 0 && hourBase !== 1) usage("--hour-base debe ser 0 o 1");
+  const opts = { gzip: !values["no-gzip"], dryRun: values["dry-run"] };
+
+  const config = JSON.parse(await fs.readFile(values.config, "utf8"));
+
+  // rawNode -> [{ projectKey, project, node }]
+  const byRaw = new Map();
+  for (const [projectKey, project] of Object.entries(config)) {
+    for (const n of project.nodes || []) {
+      const raw = n.rawNode || n.node;
+      if (!byRaw.has(raw)) byRaw.set(raw, []);
+      byRaw.get(raw).push({ projectKey, project, node: n });
+    }
+  }
+
+  // `${projectKey}/${node}` -> { target, system, hours: Map("date|hour" -> pml) }
+  const series = new Map();
+  const files = await listInputs(values.in);
+  if (!files.length) usage(`no hay archivos .csv en ${values.in}`);
+
+  let totalRows = 0;
+  let duplicates = 0;
+  for (const file of files) {
+    const { system, rows, skipped } = parseCenaceCsv(await readInput(file), file);
+    if (skipped) console.warn(`${file}: ${skipped} filas ignoradas (valores no numéricos)`);
+    for (const r of rows) {
+      for (const t of byRaw.get(r.rawNode) || []) {
+        const id = `${t.projectKey}/${t.node.node}`;
+        if (!series.has(id))
+          series.set(id, { target: t, system: t.node.system || system, hours: new Map() });
+        const s = series.get(id);
+        const key = `${r.date}|${r.hour - 1 + hourBase}`;
+        if (s.hours.has(key)) duplicates++;
+        const comp = [r.energy, r.losses, r.congestion];
+        s.hours.set(key, comp.every(Number.isFinite) ? [r.pml, ...comp] : [r.pml]);
+        totalRows++;
+      }
+    }
+  }
+  console.log(
+    `${files.length} archivos, ${totalRows} filas mapeadas a ${series.size} nodos` +
+      (duplicates ? `, ${duplicates} duplicados (gana el archivo más reciente)` : "")
+  );
+
+  const marketRoot = path.join(values.out, `pml-${values.market}`);
+  const touched = new Map(); // projectKey -> Map(node -> { rawNode, system, tz, months:Set })
+
+  for (const { target, system, hours } of series.values()) {
+    const { projectKey, project, node } = target;
+    const tz = node.tz || SYSTEM_TZ[system] || "America/Mexico_City";
+    const nodeDir = path.join(marketRoot, projectKey, "nodes", node.node);
+    const base = {
+      project: projectKey,
+      displayName: project.displayName || projectKey,
+      node: node.node,
+      rawNode: node.rawNode || node.node,
+      system,
+      tz,
+    };
+
+    const byMonth = new Map();
+    for (const [key, values] of hours) {
+      const [d, h] = key.split("|");
+      const mk = monthKey(d);
+      if (!byMonth.has(mk)) byMonth.set(mk, []);
+      byMonth.get(mk).push([d, Number(h), ...values]);
+    }
+
+    const newDaily = [];
+    for (const [mk, rows] of byMonth) {
+      const file = path.join(nodeDir, "hourly", `${mk}.json.gz`);
+      const prev = await readJsonMaybeGz(file);
+      const merged = new Map((prev?.rows || []).map((r) => [`${r[0]}|${r[1]}`, r]));
+      for (const r of rows) merged.set(`${r[0]}|${r[1]}`, r);
+      const out = Array.from(merged.values()).sort(
+        (a, b) => a[0].localeCompare(b[0]) || a[1] - b[1]
+      );
+      const cols = hasComponents(out, 3) ? { cols: HOURLY_COLS } : {};
+      await writeJson(file, { ...base, month: mk, ...cols, rows: out }, opts);
+      newDaily.push(...dailyFromHourly(out));
+    }
+
+    const dailyFile = path.join(nodeDir, "daily", "series.json.gz");
+    const prevDaily = await readJsonMaybeGz(dailyFile);
+    const daily = new Map((prevDaily?.rows || []).map((r) => [r[0], r]));
+    for (const r of newDaily) daily.set(r[0], r);
+    const dailyRows = Array.from(daily.values()).sort((a, b) => a[0].localeCompare(b[0]));
+    const dailyCols = hasComponents(dailyRows, 5) ? { cols: DAILY_COLS } : {};
+    await writeJson(dailyFile, { ...base, ...dailyCols, rows: dailyRows }, opts);
+
+    if (!touched.has(projectKey)) touched.set(projectKey, new Map());
+    touched.get(projectKey).set(node.node, {
+      rawNode: base.rawNode,
+      system,
+      tz,
+      months: new Set(dailyRows.map((r) => monthKey(r[0]))),
+    });
+    console.log(
+      `  ${projectKey}/${node.node}: ${byMonth.size} meses actualizados, ${dailyRows.length} días`
+    );
+  }
+
+  for (const [projectKey, nodes] of touched) {
+    const project = config[projectKey];
+    const file = path.join(marketRoot, projectKey, "index.json");
+    const prev = (await readJsonMaybeGz(file)) || {};
+    const list = new Map((prev.nodes || []).map((n) => [n.node, n]));
+    for (const [node, info] of nodes) {
+      const old = list.get(node) || {};
+      const months = new Set([...(old.months || []), ...info.months]);
+      list.set(node, {
+        ...old,
+        node,
+        rawNode: info.rawNode,
+        system: info.system,
+        months: Array.from(months).sort(),
+      });
+    }
+    const order = (project.nodes || []).map((n) => n.node);
+    const nodesOut = Array.from(list.values()).sort(
+      (a, b) => (order.indexOf(a.node) + 1 || 1e9) - (order.indexOf(b.node) + 1 || 1e9)
+    );
+    const index = {
+      ...prev,
+      project: projectKey,
+      displayName: project.displayName || prev.displayName || projectKey,
+      tz: prev.tz || Array.from(nodes.values())[0].tz,
+      defaultNode: project.defaultNode || prev.defaultNode || nodesOut[0]?.node || "",
+      nodes: nodesOut,
+      updatedAt: new Date().toISOString(),
+    };
+    await writeJson(file, index, { ...opts, gzip: false });
+    console.log(`  ${projectKey}/index.json: ${nodesOut.length} nodos`);
+  }
+
+  const manifestFile = path.join(values.out, "projects.json");
+  const prevManifest = (await readJsonMaybeGz(manifestFile))?.projects || [];
+  const fromConfig = Object.entries(config).map(([key, project]) => {
+    const nodes = project.nodes || [];
+    return {
+      key,
+      display: project.displayName || key,
+      tech: project.tech || "",
+      capacityMw: project.capacityMw ?? null,
+      system: project.system || nodes[0]?.system || "",
+      nodes: nodes.map((n) => ({
+        node: n.node,
+        system: n.system || project.system || "",
+        lat: n.lat ?? null,
+        lon: n.lon ?? null,
+      })),
+    };
+  });
+  const configured = new Set(fromConfig.map((p) => p.key));
+  const manifest = {
+    projects: [...prevManifest.filter((p) => !configured.has(p.key)), ...fromConfig],
+    updatedAt: new Date().toISOString(),
+  };
+  await writeJson(manifestFile, manifest, { ...opts, gzip: false });
+  console.log(`  projects.json: ${manifest.projects.length} proyectos`);
+
+  if (opts.dryRun) console.log("(dry-run: no se escribió nada)");
+}
+
+main().catch((e) => {
+  console.error(e.message || e);
+  process.exit(1);
+});
@@ -1,54 +1,379 @@
-import { useEffect, useMemo, useRef, useState } from "react";
-import pako from "pako";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { downloadBlob, downloadCsv, downloadXlsx, safeFileName } from "./exporters.js";
+import PriceHeatmap from "./PriceHeatmap.jsx";
+import ContractsPanel from "./ContractsPanel.jsx";
+import ForecastPanel from "./ForecastPanel.jsx";
+import NodeMapPanel from "./NodeMapPanel.jsx";
+import {
+  Button,
+  Card,
+  Control,
+  DataTable,
+  ExportButtons,
+  LoadButton,
+  LoadingInline,
+  Pill,
+  SectionHeader,
+  SeriesSwatch,
+  StatCard,
+  TooltipLabel,
+} from "./ui.jsx";
+import { formatMoney, formatMwh, formatPct, formatRate, formatSigned } from "./format.js";
+import {
+  EVENT_TYPES,
+  detectDailyEvents,
+  detectHourlyEvents,
+  loadThresholds,
+  mergeEvents,
+  saveThresholds,
+} from "./events.js";
+import { PERCENTILES } from "./distribution.js";
+import {
+  ISSUE_KINDS,
+  addDays,
+  checkDaily,
+  checkHourly,
+  monthRange,
+  monthsWithoutDaily,
+  probeFiles,
+  shadeAreas,
+} from "./quality.js";
+import {
+  alignDaily,
+  alignHourly,
+  calendarMonths,
+  shiftYear,
+  withDelta,
+  yoyChange,
+  yoyKey,
+} from "./yoy.js";
+import { CURRENCIES, FX_PATH, convertRows, fxLookup, parseFxRows } from "./fx.js";
+import {
+  BUILTIN_PROJECTS,
+  MANIFEST_PATH,
+  ManifestError,
+  describeProject,
+  groupBySystem,
+  parseManifest,
+} from "./projects.js";
+import { ROLLING_WINDOWS, Y_SCALES, rollingAverages, rollingKey, yAxisProps } from "./chartAxis.js";
+import { HORIZON_DAYS } from "./forecast.js";
+import {
+  VOLUME_SHAPES,
+  loadContracts,
+  newContract,
+  saveContracts,
+  settleContract,
+} from "./contracts.js";
+import {
+  NOTE_CATEGORIES,
+  allNotes,
+  categoryColor,
+  loadNotes,
+  mergeNotes,
+  newNote,
+  noteMarks,
+  notesToJson,
+  parseNotesJson,
+  saveNotes,
+  sortNotes,
+} from "./annotations.js";
+import { DEFAULT_RETRIES, DEFAULT_TIMEOUT_MS } from "./dataCache.js";
+import { cacheStats, clearCache, isOffline, runInWorker, subscribeCache } from "./dataClient.js";
+import {
+  COMPONENTS,
+  EMPTY_SUMMARY,
+  MONTHLY_FIELDS,
+  summarize,
+  aggregateMonthly,
+  dailyRows,
+  firstHourOf,
+  hourlyRows,
+  num,
+  rowColumns,
+} from "./pmlData.js";
+import {
+  LANGS,
+  formatAxisLabel,
+  formatDateTime,
+  formatNumber,
+  formatTick,
+  formatTooltipLabel,
+  getLang,
+  saveLang,
+  setLang,
+  t,
+  tn,
+} from "./i18n.js";
+import {
+  captureStats,
+  generationLookup,
+  loadProfile,
+  parseGenerationCsv,
+  saveProfile,
+} from "./capture.js";
 import {
   LineChart,
+  ComposedChart,
+  BarChart,
+  Bar,
   Line,
+  Area,
   XAxis,
   YAxis,
   Tooltip,
   CartesianGrid,
+  Legend,
+  ReferenceArea,
+  ReferenceLine,
   ResponsiveContainer,
 } from "recharts";
 
-const PROJECTS = [
-  { key: "border", display: "Border Solar" },
-  { key: "dds", display: "Don Diego Solar" },
-  { key: "pima", display: "PIMA Solar" },
-  { key: "rum", display: "Rumorosa Solar" },
-  { key: "tep", display: "Tepezalá Solar" },
-  { key: "ventika", display: "Ventika" },
-];
-
 const BASE = import.meta.env.VITE_DATA_BASE_URL;
+// Data files are in MXN; user thresholds (events, distribution) are too.
+const MXN_UNIT = "$/MWh";
+// Per-request timeout and retries of transient HTTP / network failures.
+const FETCH_TIMEOUT_MS = Number(import.meta.env.VITE_FETCH_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+const envRetries = Number(import.meta.env.VITE_FETCH_RETRIES || NaN);
+const FETCH_RETRIES = Number.isInteger(envRetries) && envRetries >= 0 ? envRetries : DEFAULT_RETRIES;
+
+// Markets: each one is a parallel tree (pml-mda/, pml-mtr/) with the same layout.
+// "spread" is derived client-side as MTR − MDA.
+const MARKETS = ["mda", "mtr", "spread"];
+
+// Comparison mode: the active selection is series 0, pinned (project, node) pairs follow.
+const MAX_PINS = 4;
+// Other years in year-over-year mode (current year keeps SERIES_COLORS[0]).
+const YEAR_COLORS = ["#9ca3af", "#f59e0b", "#10b981", "#8b5cf6", "#ec4899", "#0ea5e9"];
+const MAX_YOY_YEARS = 3;
+const MA_COLORS = { 7: "#14b8a6", 30: "#a855f7", 90: "#78350f" };
+const SERIES_COLORS = ["#3182bd", "#e6550d", "#31a354", "#756bb1", "#d6616b"];
+
+// Files are fetched, decompressed and parsed in the data worker (see
+// dataWorker.js), through the IndexedDB cache (see dataCache.js): cached
+// copies are revalidated with ETag/Last-Modified unless opts.immutable is set.
+// `op` picks the parsing: "json" as is, "daily" / "hourly" into columns.
+async function fetchData(op, url, { signal, ...opts } = {}) {
+  return runInWorker(
+    op,
+    { url, opts: { timeout: FETCH_TIMEOUT_MS, retries: FETCH_RETRIES, ...opts } },
+    { signal }
+  );
+}
 
-// Cache-buster helper (useful for index.json and anything you want to hard-refresh)
-function withBuster(url, buster = Date.now()) {
-  const sep = url.includes("?") ? "&" : "?";
-  return `${url}${sep}v=${buster}`;
+const fetchJson = (url, opts) => fetchData("json", url, opts);
+
+// Months before the current one (CENACE time) are closed and never change.
+function currentMonthKey(tz = "America/Mexico_City") {
+  const parts = new Intl.DateTimeFormat("en-CA", {
+    timeZone: tz,
+    year: "numeric",
+    month: "2-digit",
+  }).formatToParts(new Date());
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+  return `${get("year")}_${get("month")}`;
+}
+
+function nodeBaseUrl(market, projectKey, node) {
+  return `${BASE}/pml-${market}/${projectKey}/nodes/${node}`;
 }
 
-async function fetchJson(url, opts = {}) {
-  const r = await fetch(url, { cache: "no-store", ...opts });
-  if (!r.ok) throw new Error(`HTTP ${r.status} ${r.statusText} - ${url}`);
-  return await r.json();
+function componentSpread(x, y) {
+  const out = {};
+  for (const c of COMPONENTS) {
+    out[c.key] = x && y && x[c.key] !== null && y[c.key] !== null ? y[c.key] - x[c.key] : null;
+  }
+  return out;
 }
 
-async function fetchMaybeGzJson(url, opts = {}) {
-  // NOTE: Browsers may auto-decompress if server returns Content-Encoding: gzip.
-  // This function detects gzip magic bytes (1F 8B). If not gzip, treats as plain JSON.
-  const r = await fetch(url, { cache: "no-store", ...opts });
-  if (!r.ok) throw new Error(`HTTP ${r.status} ${r.statusText} - ${url}`);
+// MTR − MDA per day. Only the daily average can be derived from the daily
+// files, so min/max stay null; days published in a single market carry `gap`
+// with the market that is missing.
+function spreadDaily(mda, mtr) {
+  const a = new Map(mda.map((r) => [r.d, r]));
+  const b = new Map(mtr.map((r) => [r.d, r]));
+  const dates = Array.from(new Set([...a.keys(), ...b.keys()])).sort();
+  return dates.map((d) => {
+    const x = a.get(d);
+    const y = b.get(d);
+    return {
+      d,
+      n: (x || y).n,
+      avg: x && y && x.avg !== null && y.avg !== null ? y.avg - x.avg : null,
+      min: null,
+      max: null,
+      mda: x ? x.avg : null,
+      mtr: y ? y.avg : null,
+      gap: !x ? "mda" : !y ? "mtr" : null,
+      ...componentSpread(x, y),
+    };
+  });
+}
 
-  const buf = await r.arrayBuffer();
-  const u8 = new Uint8Array(buf);
+// MTR − MDA hour by hour, keyed by date + hour.
+function spreadHourly(mda, mtr) {
+  const a = new Map(mda.map((r) => [r.t, r]));
+  const b = new Map(mtr.map((r) => [r.t, r]));
+  const keys = Array.from(new Set([...a.keys(), ...b.keys()])).sort();
+  return keys.map((t) => {
+    const x = a.get(t);
+    const y = b.get(t);
+    const r = x || y;
+    return {
+      d: r.d,
+      h: r.h,
+      t,
+      pml: x && y && x.pml !== null && y.pml !== null ? y.pml - x.pml : null,
+      mda: x ? x.pml : null,
+      mtr: y ? y.pml : null,
+      gap: !x ? "mda" : !y ? "mtr" : null,
+      ...componentSpread(x, y),
+    };
+  });
+}
 
-  const isGz = u8.length >= 2 && u8[0] === 0x1f && u8[1] === 0x8b;
+// Loads both markets for the spread; a market that fails to load counts as
+// missing everywhere, only both failing (or an abort) is an error.
+async function loadBoth(load) {
+  const [mda, mtr] = await Promise.allSettled([load("mda"), load("mtr")]);
+  const aborted = [mda, mtr].find((r) => r.reason?.name === "AbortError");
+  if (aborted) throw aborted.reason;
+  if (mda.status === "rejected" && mtr.status === "rejected") throw mda.reason;
+  return [
+    mda.status === "fulfilled" ? mda.value : null,
+    mtr.status === "fulfilled" ? mtr.value : null,
+  ];
+}
 
-  const text = isGz
-    ? pako.ungzip(u8, { to: "string" })
-    : new TextDecoder().decode(u8);
+async function loadDaily(market, projectKey, node, signal) {
+  const load = async (m) => {
+    const { tz, cols } = await fetchData(
+      "daily",
+      `${nodeBaseUrl(m, projectKey, node)}/daily/series.json.gz`,
+      { signal }
+    );
+    return { tz, daily: dailyRows(cols) };
+  };
+  if (market !== "spread") return load(market);
 
-  return JSON.parse(text);
+  const [mda, mtr] = await loadBoth(load);
+  return {
+    tz: (mda || mtr).tz,
+    daily: spreadDaily(mda?.daily || [], mtr?.daily || []),
+  };
+}
+
+async function loadMonth(market, projectKey, node, month, signal) {
+  const load = async (m) => {
+    const { meta, cols } = await fetchData(
+      "hourly",
+      `${nodeBaseUrl(m, projectKey, node)}/hourly/${month}.json.gz`,
+      { immutable: isClosedMonth(month), signal }
+    );
+    return { meta, pts: hourlyRows(cols) };
+  };
+  if (market !== "spread") return load(market);
+
+  const [mda, mtr] = await loadBoth(load);
+  return {
+    meta: (mda || mtr).meta,
+    pts: spreadHourly(mda?.pts || [], mtr?.pts || []),
+  };
+}
+
+// Hourly files fetched at once when a range or a whole year is loaded.
+const MONTH_CONCURRENCY = 3;
+// Longest range the hourly panel loads (each month is ~720 points per node).
+const MAX_RANGE_MONTHS = 24;
+// History behind the forecast: this many months before the backtest window.
+const FORECAST_TRAIN_MONTHS = 12;
+const BACKTEST_MONTH_OPTIONS = [1, 2, 3, 6];
+
+// Promise.allSettled with at most `limit` calls in flight; onProgress(done, total)
+// after each one. Once `signal` aborts no further calls start.
+async function mapSettled(items, limit, fn, onProgress, signal) {
+  const out = new Array(items.length);
+  let next = 0;
+  let done = 0;
+  const worker = async () => {
+    while (next < items.length && !signal?.aborted) {
+      const i = next++;
+      try {
+        out[i] = { status: "fulfilled", value: await fn(items[i]) };
+      } catch (reason) {
+        out[i] = { status: "rejected", reason };
+      }
+      done += 1;
+      onProgress?.(done, items.length);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+// Stitches several hourly month files; fails only if none loads (or on abort).
+// `missing` lists the months that failed, `unpublished` the subset that
+// answered 404.
+async function loadMonths(market, projectKey, node, months, onProgress, signal) {
+  const results = await mapSettled(
+    months,
+    MONTH_CONCURRENCY,
+    (m) => loadMonth(market, projectKey, node, m, signal),
+    onProgress,
+    signal
+  );
+  signal?.throwIfAborted();
+  const ok = results.filter((r) => r.status === "fulfilled").map((r) => r.value);
+  if (months.length && !ok.length) throw results[0].reason;
+  const failed = (i) => results[i].status === "rejected";
+  return {
+    meta: ok[0]?.meta || null,
+    pts: ok.flatMap((r) => r.pts),
+    missing: months.filter((_, i) => failed(i)),
+    unpublished: months.filter((_, i) => failed(i) && results[i].reason?.kind === "notFound"),
+  };
+}
+
+// "YYYY-MM-DD".."YYYY-MM-DD" → ["YYYY_MM", ...]
+function monthsBetween(start, end) {
+  const out = [];
+  let y = Number(start.slice(0, 4));
+  let m = Number(start.slice(5, 7));
+  const last = monthKeyFromDate(end);
+  for (;;) {
+    const mk = `${y}_${pad2(m)}`;
+    if (mk > last) break;
+    out.push(mk);
+    m += 1;
+    if (m > 12) {
+      m = 1;
+      y += 1;
+    }
+  }
+  return out;
+}
+
+// A valid ?start=&end= pair, or null.
+function parseRange(start, end) {
+  const iso = /^\d{4}-\d{2}-\d{2}$/;
+  if (!iso.test(start || "") || !iso.test(end || "") || start > end) return null;
+  return { start, end };
+}
+
+function isClosedMonth(mk) {
+  return mk < currentMonthKey();
+}
+
+function formatBytes(n) {
+  if (!n) return "0 B";
+  const units = ["B", "KB", "MB", "GB"];
+  let i = 0;
+  let x = n;
+  while (x >= 1024 && i < units.length - 1) {
+    x /= 1024;
+    i++;
+  }
+  return `${formatNumber(x, { maximumFractionDigits: i ? 1 : 0 })} ${units[i]}`;
 }
 
 function pad2(n) {
@@ -60,133 +385,665 @@ function monthKeyFromDate(dateStr) {
   return `${dateStr.slice(0, 4)}_${dateStr.slice(5, 7)}`;
 }
 
+function pinId(p) {
+  return `${p.projectKey}/${p.node}`;
+}
+
+// Merges overlay series into the primary chart rows, keyed by `t`.
+// Each overlay is { dataKey, rows, field }; `extra` rebuilds the fields the
+// click handlers need (year, d, hour…) for points only present in an overlay.
+function overlaySeries(primary, overlays, extra = () => ({})) {
+  if (!overlays.length) return primary;
+  const byT = new Map();
+  for (const r of primary) byT.set(r.t, { ...r });
+  for (const o of overlays) {
+    for (const r of o.rows) {
+      const cur = byT.get(r.t) || { t: r.t, ...extra(r) };
+      cur[o.dataKey] = r[o.field];
+      byT.set(r.t, cur);
+    }
+  }
+  return Array.from(byT.values()).sort((a, b) => a.t.localeCompare(b.t));
+}
+
+// [min, max] for a range Area, or null when either end is missing.
+function bandOf(r) {
+  return r.min === null || r.min === undefined || r.max === null || r.max === undefined
+    ? null
+    : [r.min, r.max];
+}
+
+// --------- URL state (?project=&node=&year=&month=&day=&start=&end=&currency=) ----------
+const URL_KEYS = ["project", "market", "node", "year", "month", "day", "start", "end", "currency"];
+
+function readUrlState() {
+  const q = new URLSearchParams(window.location.search);
+  const out = {};
+  for (const k of URL_KEYS) {
+    const v = q.get(k);
+    if (v) out[k] = v;
+  }
+  return out;
+}
+
+function buildUrlSearch(state) {
+  const q = new URLSearchParams();
+  for (const k of URL_KEYS) if (state[k]) q.set(k, state[k]);
+  const str = q.toString();
+  return str ? `?${str}` : "";
+}
+
 function isDesktop() {
   return window.matchMedia && window.matchMedia("(min-width: 1024px)").matches;
 }
 
-function Card({ children, style }) {
-  return (
-    <div
-      style={{
-        background: "white",
-        border: "1px solid #e5e7eb",
-        borderRadius: 16,
-        padding: 14,
-        boxShadow: "0 1px 0 rgba(0,0,0,0.03)",
-        ...style,
-      }}
-    >
-      {children}
-    </div>
-  );
+// Load failure → message. A 404 means the file is not published yet, which
+// each panel words its own way (`notFound`).
+function errorMessage(e, notFound) {
+  if (e?.kind === "notFound") return notFound;
+  if (e?.kind === "timeout") return t("error.timeout");
+  if (e?.kind === "network") return t("error.network");
+  if (e?.kind === "http") return t("error.http", { status: e.status });
+  if (e instanceof ManifestError) return t(`error.manifest.${e.kind}`, { file: MANIFEST_PATH });
+  return String(e?.message || e);
+}
+
+// Notes kept in state are { key, ...values } (like quality issue details)
+// and worded when rendered, so they follow a language switch.
+const note = (key, values) => ({ key, ...values });
+const noteText = (n) => (n ? t(n.key, n) : "");
+
+// Months of a span that failed to load, not-yet-published ones apart.
+function missingMonthsNote(missing, unpublished) {
+  const failed = missing.filter((m) => !unpublished.includes(m));
+  return [
+    unpublished.length ? t("error.monthsNotFound", { list: unpublished.join(", ") }) : "",
+    failed.length ? t("common.loadFailed", { list: failed.join(", ") }) : "",
+  ]
+    .filter(Boolean)
+    .join(" · ");
 }
 
-function SectionHeader({ title, subtitle, right }) {
+function PanelError({ error, notFound, onRetry }) {
   return (
     <div
       style={{
+        marginTop: 10,
+        padding: 10,
+        borderRadius: 12,
+        border: "1px solid #fecaca",
+        background: "#fff1f2",
+        color: "#991b1b",
+        fontSize: 12,
         display: "flex",
+        gap: 10,
+        alignItems: "center",
         justifyContent: "space-between",
-        gap: 12,
         flexWrap: "wrap",
       }}
     >
-      <div>
-        <div style={{ fontWeight: 800, fontSize: 14 }}>{title}</div>
-        {subtitle ? (
-          <div style={{ fontSize: 12, color: "#6b7280", marginTop: 2 }}>
-            {subtitle}
+      <span>
+        <b>{t("common.error")}</b> {errorMessage(error, notFound)}
+      </span>
+      <Button onClick={onRetry}>{t("common.retry")}</Button>
+    </div>
+  );
+}
+
+// One row of Min/Avg/Max cards per compared series.
+// count: "months" | "days" | "points" | "hours" (common.<count> in the catalogs).
+function SeriesStats({ series, count }) {
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 8, marginTop: 10 }}>
+      {series.map((s) => (
+        <div
+          key={s.key}
+          style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" }}
+        >
+          <div
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: 6,
+              minWidth: 200,
+              fontSize: 12,
+              fontWeight: 700,
+            }}
+          >
+            <SeriesSwatch color={s.color} />
+            {s.label}
           </div>
+          {s.error ? (
+            <div style={{ fontSize: 12, color: "#991b1b" }}>
+              {errorMessage(s.error, noteText(s.notFound))}
+            </div>
+          ) : (
+            <>
+              <StatCard
+                label={t("stats.min")}
+                value={formatMoney(s.stats.min)}
+                hint={tn(`common.${count}`, s.stats.n)}
+              />
+              <StatCard label={t("stats.avg")} value={formatMoney(s.stats.avg)} />
+              <StatCard label={t("stats.max")} value={formatMoney(s.stats.max)} />
+            </>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Generation profile controls + capture price / revenue cards per scope.
+function CapturePanel({
+  profile,
+  tech,
+  onChange,
+  onUpload,
+  uploadNote,
+  scopes,
+  disabledReason,
+  currency,
+}) {
+  const inputStyle = {
+    padding: "8px 10px",
+    borderRadius: 10,
+    border: "1px solid #e5e7eb",
+    background: "white",
+    fontSize: 13,
+  };
+  return (
+    <>
+      <div
+        style={{
+          display: "flex",
+          gap: 10,
+          flexWrap: "wrap",
+          alignItems: "center",
+          marginTop: 10,
+          fontSize: 12,
+          color: "#374151",
+        }}
+      >
+        <span style={{ color: "#6b7280" }}>{t("capture.profile")}</span>
+        <select
+          value={profile.source}
+          onChange={(e) => onChange({ source: e.target.value })}
+          style={inputStyle}
+        >
+          <option value="typical">{t("capture.typical")}</option>
+          <option value="upload" disabled={!profile.upload}>
+            {t("capture.uploaded")}
+            {profile.upload ? ` (${profile.upload.name})` : ""}
+          </option>
+        </select>
+        {profile.source === "typical" ? (
+          <label style={{ display: "inline-flex", gap: 6, alignItems: "center" }}>
+            {t("capture.capacity")}
+            <input
+              type="number"
+              min={0}
+              step={1}
+              value={profile.capacityMw}
+              onChange={(e) => onChange({ capacityMw: Number(e.target.value) })}
+              style={{ ...inputStyle, width: 90 }}
+            />
+            MW
+          </label>
+        ) : null}
+        <label style={{ display: "inline-flex", gap: 6, alignItems: "center" }}>
+          {t("capture.upload")}
+          <input
+            type="file"
+            accept=".csv,text/csv,text/plain"
+            onChange={(e) => {
+              const f = e.target.files?.[0];
+              if (f) onUpload(f);
+              e.target.value = "";
+            }}
+          />
+        </label>
+        {profile.upload ? (
+          <span
+            role="button"
+            onClick={() => onChange({ source: "typical", upload: null })}
+            style={{ color: "#2563eb", cursor: "pointer" }}
+          >
+            {t("capture.removeCsv")}
+          </span>
         ) : null}
       </div>
-      {right}
-    </div>
+      {uploadNote ? (
+        <div style={{ marginTop: 6, fontSize: 12, color: "#6b7280" }}>{uploadNote}</div>
+      ) : null}
+      {tech !== "solar" && profile.source === "typical" ? (
+        <div style={{ marginTop: 6, fontSize: 12, color: "#92400e" }}>
+          {t("capture.notSolar")}
+        </div>
+      ) : null}
+
+      {disabledReason ? (
+        <div style={{ marginTop: 10, fontSize: 12, color: "#6b7280" }}>{disabledReason}</div>
+      ) : (
+        <div style={{ display: "flex", flexDirection: "column", gap: 8, marginTop: 10 }}>
+          {scopes.map((sc) => (
+            <div
+              key={sc.key}
+              style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" }}
+            >
+              <div style={{ minWidth: 150, fontSize: 12, fontWeight: 700 }}>{sc.label}</div>
+              {sc.stats ? (
+                <>
+                  <StatCard label={t("capture.flat")} value={formatMoney(sc.stats.flat)} />
+                  <StatCard
+                    label={t("capture.price")}
+                    value={formatMoney(sc.stats.capture)}
+                    hint={t("capture.priceHint")}
+                  />
+                  <StatCard label={t("capture.rate")} value={formatPct(sc.stats.rate)} />
+                  <StatCard label={t("capture.energy")} value={formatMwh(sc.stats.energy)} />
+                  <StatCard
+                    label={t("capture.revenue", { currency })}
+                    value={formatMoney(sc.stats.revenue)}
+                    hint={tn("common.hours", sc.stats.hours)}
+                  />
+                </>
+              ) : (
+                sc.action || <LoadingInline text={t("common.noData")} />
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </>
   );
 }
 
-function Pill({ children }) {
+// summarize() numbers → display strings (n stays a count).
+function formatStats(sum) {
+  const out = { n: sum.n };
+  for (const k of ["min", "max", "avg", "p10", "p50", "p90"]) out[k] = formatMoney(sum[k]);
+  return out;
+}
+
+
+// Runs a worker op (see dataWorker.js) on `args` whenever they change; the
+// previous value is dropped right away so a panel never shows results that
+// belong to other data. `args` must be memoized; null skips the call.
+// Failures other than aborts go to `onError`, which must be stable too.
+function useWorkerResult(op, args, empty, onError) {
+  const [out, setOut] = useState({ args: null, value: empty });
+  useEffect(() => {
+    if (!args) return;
+    const ctrl = new AbortController();
+    runInWorker(op, args, { signal: ctrl.signal }).then(
+      (value) => setOut({ args, value }),
+      (e) => {
+        // aborted: newer args replaced these
+        if (e?.name !== "AbortError") onError(e);
+      }
+    );
+    return () => ctrl.abort();
+  }, [op, args, onError]);
+  return out.args === args ? out.value : empty;
+}
+
+// Hourly charts get at most this many points (LTTB, see pmlData.js); more
+// than that can't be told apart at chart width and make recharts sluggish.
+const MAX_CHART_POINTS = 1500;
+
+const NO_ROWS = [];
+
+const MAX_EVENT_ROWS = 200;
+
+// Row props of a table row that opens `d` in "4) Diario" when clicked.
+function openDayRow(d, onOpenDay) {
+  return { onClick: () => onOpenDay(d), style: { cursor: "pointer" }, title: t("common.openDay") };
+}
+
+// Newest first; clicking a row opens that day in "4) Diario".
+function EventsTable({ events, onOpenDay, unit }) {
+  const columns = [
+    { key: "d", label: t("common.date"), render: (e) => e.d },
+    {
+      key: "h",
+      label: t("common.hour"),
+      render: (e) => (e.h === null ? t("events.wholeDay") : `${pad2(e.h)}:00`),
+    },
+    {
+      key: "type",
+      label: t("events.type"),
+      render: (e) => (
+        <>
+          <SeriesSwatch color={EVENT_TYPES.find((x) => x.key === e.type).color} />{" "}
+          {t(`events.type.${e.type}`)}
+        </>
+      ),
+    },
+    { key: "value", label: unit, align: "right", render: (e) => formatMoney(e.value) },
+    {
+      key: "delta",
+      label: t("events.change"),
+      align: "right",
+      render: (e) => (e.delta === undefined ? "" : `${e.delta > 0 ? "+" : ""}${formatMoney(e.delta)}`),
+    },
+  ];
   return (
+    <DataTable
+      columns={columns}
+      rows={events.slice(0, MAX_EVENT_ROWS)}
+      rowKey={(e) => `${e.d}|${e.h}|${e.type}`}
+      rowProps={(e) => openDayRow(e.d, onOpenDay)}
+      empty={t("events.none")}
+      footer={
+        events.length > MAX_EVENT_ROWS
+          ? t("events.truncated", { shown: MAX_EVENT_ROWS, n: events.length })
+          : null
+      }
+    />
+  );
+}
+
+// Notes of the selected project/node, oldest first. Rows with a day open it.
+function NotesTable({ notes, onOpenDay, onEdit, onDelete }) {
+  const link = { color: "#2563eb", cursor: "pointer", marginLeft: 8 };
+  const action = (label, color, fn) => (
     <span
-      style={{
-        display: "inline-flex",
-        alignItems: "center",
-        gap: 6,
-        padding: "6px 10px",
-        borderRadius: 999,
-        border: "1px solid #e5e7eb",
-        background: "#f9fafb",
-        fontSize: 12,
-        color: "#374151",
+      role="button"
+      style={{ ...link, color }}
+      onClick={(e) => {
+        e.stopPropagation();
+        fn();
       }}
     >
-      {children}
+      {label}
     </span>
   );
+  const columns = [
+    {
+      key: "at",
+      label: t("notes.at"),
+      style: { whiteSpace: "nowrap" },
+      render: (n) => formatTooltipLabel(n.at),
+    },
+    {
+      key: "category",
+      label: t("notes.category"),
+      style: { whiteSpace: "nowrap" },
+      render: (n) => (
+        <>
+          <SeriesSwatch color={categoryColor(n.category)} /> {t(`notes.category.${n.category}`)}
+        </>
+      ),
+    },
+    { key: "text", label: t("notes.text"), style: { whiteSpace: "pre-wrap" }, render: (n) => n.text },
+    {
+      key: "actions",
+      label: "",
+      align: "right",
+      style: { whiteSpace: "nowrap" },
+      render: (n) => (
+        <>
+          {action(t("notes.edit"), link.color, () => onEdit(n))}
+          {action(t("notes.delete"), "#991b1b", () => onDelete(n.id))}
+        </>
+      ),
+    },
+  ];
+  return (
+    <DataTable
+      columns={columns}
+      rows={notes}
+      rowKey={(n) => n.id}
+      rowProps={(n) =>
+        n.at.length >= 10 ? openDayRow(n.at.slice(0, 10), onOpenDay) : { style: { cursor: "default" } }
+      }
+      empty={t("notes.none")}
+    />
+  );
 }
 
-function StatCard({ label, value, hint }) {
+// Issue detail ({ key, ...values } from quality.js) as text.
+function issueDetail(i) {
+  const text = t(`quality.detail.${i.detail.key}`, i.detail);
+  return i.detail.dst ? `${text} ${t("quality.detail.dst")}` : text;
+}
+
+// Newest first; clicking a row opens that day in "4) Diario".
+function QualityTable({ issues, onOpenDay }) {
+  const rows = issues.slice(0, MAX_EVENT_ROWS).map((i) => ({ ...i, text: issueDetail(i) }));
+  const columns = [
+    {
+      key: "d",
+      label: t("common.date"),
+      render: (i) => (i.to !== i.d ? t("common.dateSpan", { from: i.d, to: i.to }) : i.d),
+    },
+    { key: "kind", label: t("quality.problem"), render: (i) => t(`quality.kind.${i.kind}`) },
+    { key: "detail", label: t("quality.detail"), render: (i) => i.text },
+  ];
+  return (
+    <DataTable
+      columns={columns}
+      rows={rows}
+      rowKey={(i) => `${i.d}|${i.kind}|${i.text}`}
+      rowProps={(i) => openDayRow(i.d, onOpenDay)}
+      empty={t("quality.none")}
+      footer={
+        issues.length > MAX_EVENT_ROWS
+          ? t("quality.truncated", { shown: MAX_EVENT_ROWS, n: issues.length })
+          : null
+      }
+    />
+  );
+}
+
+// Min–max band, moving averages (annual only) and y-axis mode under a chart.
+function ChartOptions({ bands, onBands, scale, onScale, windows, onWindows }) {
+  const check = { display: "inline-flex", gap: 4, alignItems: "center", cursor: "pointer" };
   return (
     <div
       style={{
-        border: "1px solid #e5e7eb",
-        borderRadius: 14,
-        padding: 12,
-        minWidth: 150,
-        background: "white",
+        display: "flex",
+        gap: 10,
+        flexWrap: "wrap",
+        alignItems: "center",
+        marginTop: 8,
+        fontSize: 12,
+        color: "#374151",
       }}
     >
-      <div style={{ fontSize: 12, color: "#6b7280" }}>{label}</div>
-      <div style={{ fontSize: 18, fontWeight: 800, marginTop: 2 }}>
-        {value ?? "—"}
-      </div>
-      {hint ? (
-        <div style={{ fontSize: 11, color: "#9ca3af", marginTop: 2 }}>
-          {hint}
-        </div>
-      ) : null}
+      <label style={check}>
+        <input type="checkbox" checked={bands} onChange={(e) => onBands(e.target.checked)} />
+        {t("axis.band")}
+      </label>
+      {onWindows
+        ? ROLLING_WINDOWS.map((w) => (
+            <label key={w} style={check}>
+              <input
+                type="checkbox"
+                checked={windows.includes(w)}
+                onChange={(e) =>
+                  onWindows(
+                    e.target.checked
+                      ? [...windows, w].sort((a, b) => a - b)
+                      : windows.filter((x) => x !== w)
+                  )
+                }
+              />
+              <SeriesSwatch color={MA_COLORS[w]} />
+              {t("axis.movingAverage", { n: w })}
+            </label>
+          ))
+        : null}
+      <span style={{ color: "#6b7280" }}>{t("axis.y")}</span>
+      {Y_SCALES.map((key) => (
+        <Button
+          key={key}
+          active={scale === key}
+          onClick={() => onScale(key)}
+          title={t(`axis.scale.${key}.title`)}
+        >
+          {t(`axis.scale.${key}`)}
+        </Button>
+      ))}
     </div>
   );
 }
 
-function LoadingInline({ text = "Cargando…" }) {
-  return <div style={{ fontSize: 12, color: "#6b7280" }}>{text}</div>;
+// Change vs. the reference year over the days / hours both years have.
+function YoyCards({ change, refYear, suffix = "" }) {
+  if (!change) return null;
+  const card = (label, c) => (
+    <StatCard
+      label={t("yoy.card", { label, suffix, year: refYear })}
+      value={formatSigned(c.delta)}
+      hint={c.pct === null ? "" : `${c.pct > 0 ? "+" : ""}${formatPct(c.pct)}`}
+    />
+  );
+  return (
+    <>
+      {card(t("yoy.min"), change.min)}
+      {card(t("yoy.avg"), change.avg)}
+      {card(t("yoy.max"), change.max)}
+    </>
+  );
 }
 
-function formatMoney(n) {
-  if (n === null || n === undefined || Number.isNaN(Number(n))) return null;
-  const x = Number(n);
-  return x.toLocaleString("es-MX", {
-    maximumFractionDigits: 2,
-    minimumFractionDigits: 2,
-  });
+function PercentileCard({ stats }) {
+  return (
+    <StatCard
+      label={t("stats.median")}
+      value={stats.p50}
+      hint={`P10 ${stats.p10 ?? "—"} · P90 ${stats.p90 ?? "—"}`}
+    />
+  );
 }
 
-function computeStats(values) {
-  if (!values || values.length === 0)
-    return { min: null, max: null, avg: null, n: 0 };
-  let min = Infinity,
-    max = -Infinity,
-    sum = 0,
-    count = 0;
-  for (const v of values) {
-    const x = Number(v);
-    if (Number.isNaN(x)) continue;
-    if (x < min) min = x;
-    if (x > max) max = x;
-    sum += x;
-    count++;
-  }
-  if (count === 0) return { min: null, max: null, avg: null, n: 0 };
-  return {
-    min: formatMoney(min),
-    max: formatMoney(max),
-    avg: formatMoney(sum / count),
-    n: count,
-  };
+// Histogram, duration curve, percentiles and negative/zero/high-price counts.
+function DistributionPanel({ dist, threshold, unit }) {
+  if (!dist) return null;
+  const hist = dist.histogram.map((b) => ({
+    t: formatMoney((b.from + b.to) / 2),
+    range: t("common.valueSpan", { from: formatMoney(b.from), to: formatMoney(b.to) }),
+    count: b.count,
+  }));
+  const countCard = (label, c) => (
+    <StatCard
+      label={label}
+      value={t("dist.hours", { n: formatNumber(c.n) })}
+      hint={t("dist.share", { pct: formatPct(c.share), n: dist.n })}
+    />
+  );
+  return (
+    <>
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 10 }}>
+        {PERCENTILES.map((p) => (
+          <StatCard key={p} label={`P${p}`} value={formatMoney(dist.percentiles[p])} />
+        ))}
+        <StatCard
+          label={t("dist.std")}
+          value={formatMoney(dist.std)}
+          hint={t("dist.mean", { value: formatMoney(dist.mean) })}
+        />
+      </div>
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 10 }}>
+        {countCard(t("dist.negative"), dist.counts.negative)}
+        {countCard(t("dist.zero"), dist.counts.zero)}
+        {threshold !== null
+          ? countCard(
+              t("dist.above", { value: `${formatMoney(threshold)} ${MXN_UNIT}` }),
+              dist.counts.above
+            )
+          : null}
+      </div>
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "repeat(auto-fit, minmax(320px, 1fr))",
+          gap: 14,
+          marginTop: 10,
+        }}
+      >
+        <div>
+          <div style={{ fontSize: 12, color: "#6b7280" }}>{t("dist.histogram")}</div>
+          <div style={{ height: 240, marginTop: 6 }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={hist}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="t" minTickGap={30} />
+                <YAxis allowDecimals={false} tickFormatter={formatTick} />
+                <Tooltip
+                  labelFormatter={(_, payload) => payload?.[0]?.payload?.range}
+                  formatter={(v) => [tn("common.hours", v), ""]}
+                />
+                <Bar dataKey="count" fill="#3182bd" isAnimationActive={false} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+        <div>
+          <div style={{ fontSize: 12, color: "#6b7280" }}>
+            {t("dist.duration")}
+          </div>
+          <div style={{ height: 240, marginTop: 6 }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={dist.duration}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  dataKey="pct"
+                  type="number"
+                  domain={[0, 100]}
+                  tickFormatter={(v) => `${v}%`}
+                />
+                <YAxis tickFormatter={formatTick} />
+                <Tooltip
+                  labelFormatter={(v) => t("dist.durationLabel", { pct: formatPct(v / 100) })}
+                  formatter={(v) => [`${formatMoney(v)} ${unit}`, ""]}
+                />
+                <Line type="stepAfter" dataKey="price" dot={false} strokeWidth={2} isAnimationActive={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      </div>
+    </>
+  );
 }
 
 export default function App() {
-  const [projectKey, setProjectKey] = useState(PROJECTS[0].key);
+  // Selection requested by the URL; each loader consumes the keys it can validate.
+  const [urlInit] = useState(readUrlState);
+  const pendingUrl = useRef(urlInit);
+  // "push" after a user action (new history entry), "replace" for automatic defaults.
+  const navMode = useRef("replace");
+
+  // UI language; i18n.js keeps the same value for the plain helpers.
+  const [lang, setLangState] = useState(getLang);
+  const changeLang = (next) => {
+    setLang(next);
+    saveLang(next);
+    setLangState(next);
+  };
+
+  const [urlWarnings, setUrlWarnings] = useState(() => [
+    ...((urlInit.start || urlInit.end) && !parseRange(urlInit.start, urlInit.end)
+      ? [note("url.badRange", { start: urlInit.start || "—", end: urlInit.end || "—" })]
+      : []),
+  ]);
+
+  // Project list from projects.json (or the built-in fallback); null until
+  // it is resolved, and no project is selected before that.
+  const [registry, setRegistry] = useState(null); // { projects, source, error }
+  const projects = useMemo(() => registry?.projects || [], [registry]);
+  const [projectKey, setProjectKey] = useState("");
+
+  const [market, setMarket] = useState(() =>
+    MARKETS.includes(urlInit.market) ? urlInit.market : "mda"
+  );
+  // Spread mode reads nodes/months from the MDA index.
+  const indexMarket = market === "mtr" ? "mtr" : "mda";
+
+  const [currency, setCurrency] = useState(() => (urlInit.currency === "USD" ? "USD" : "MXN"));
 
   const [indexData, setIndexData] = useState(null);
   const [node, setNode] = useState("");
@@ -194,25 +1051,81 @@ export default function App() {
   const [year, setYear] = useState("2024");
   const [month, setMonth] = useState(""); // "YYYY_MM"
   const [day, setDay] = useState(""); // "YYYY-MM-DD"
+  // Custom hourly range; null = the selected month.
+  const [range, setRange] = useState(() => parseRange(urlInit.start, urlInit.end));
+  const [rangeProgress, setRangeProgress] = useState({ done: 0, total: 0 });
+  const [rangeNote, setRangeNote] = useState(null); // { missing, unpublished } months
 
   const [dailyMeta, setDailyMeta] = useState({ tz: "America/Mexico_City" });
-  const [dailySeries, setDailySeries] = useState([]); // [{d, avg, min, max, n}]
+  const [dailyRaw, setDailySeries] = useState([]); // [{d, avg, min, max, n}] as published (MXN)
 
   const [monthlyMeta, setMonthlyMeta] = useState(null);
-  const [monthlySeries, setMonthlySeries] = useState([]); // [{d,h,t,pml}]
+  const [monthlyRaw, setMonthlySeries] = useState([]); // [{d,h,t,pml}] as published (MXN)
+
+  const [pins, setPins] = useState([]); // [{projectKey, node}]
+  const [pinData, setPinData] = useState({}); // pinId -> {daily, monthly, error}
+  const pinDailyCache = useRef(new Map());
 
-  const [error, setError] = useState("");
-  const [loading, setLoading] = useState({ idx: false, daily: false, month: false });
+  // Per-panel load failures (Error / FetchError) and retry counters.
+  const [errors, setErrors] = useState({ idx: null, daily: null, month: null });
+  const [attempts, setAttempts] = useState({ idx: 0, daily: 0, month: 0 });
+  const setPanelError = useCallback((panel, e) => setErrors((s) => ({ ...s, [panel]: e })), []);
+  // Worker computations over a panel's data fail as that panel.
+  const dailyWorkerError = useCallback((e) => setPanelError("daily", e), [setPanelError]);
+  const monthWorkerError = useCallback((e) => setPanelError("month", e), [setPanelError]);
+  const retryPanel = (panel) => setAttempts((s) => ({ ...s, [panel]: s[panel] + 1 }));
+  const [loading, setLoading] = useState({
+    idx: false,
+    daily: false,
+    month: false,
+    pins: false,
+  });
 
   const annualRef = useRef(null);
   const monthRef = useRef(null);
   const dayRef = useRef(null);
 
-  // --------- Load index.json ----------
+  // --------- Load projects.json ----------
   useEffect(() => {
     let cancel = false;
     (async () => {
-      setError("");
+      let list = BUILTIN_PROJECTS;
+      let source = "builtin";
+      let error = null;
+      try {
+        // Always revalidated (new plants are added here)
+        list = parseManifest(await fetchJson(`${BASE}/${MANIFEST_PATH}`));
+        source = "manifest";
+      } catch (e) {
+        error = e;
+      }
+      if (cancel) return;
+
+      setRegistry({ projects: list, source, error });
+      const want = urlInit.project;
+      const known = list.some((p) => p.key === want);
+      if (want && !known) {
+        setUrlWarnings((w) => [
+          ...w,
+          note("url.unknownProject", { want, shown: list[0].display }),
+        ]);
+      }
+      setProjectKey(known ? want : list[0].key);
+    })();
+
+    return () => {
+      cancel = true;
+    };
+  }, [urlInit]);
+
+  // --------- Load index.json ----------
+  useEffect(() => {
+    const ctrl = new AbortController();
+    const cancelled = () => ctrl.signal.aborted;
+    (async () => {
+      setPanelError("idx", null);
+      if (!projectKey) return;
+
       setLoading((s) => ({ ...s, idx: true }));
       setIndexData(null);
       setNode("");
@@ -223,35 +1136,56 @@ export default function App() {
       setMonthlyMeta(null);
 
       try {
-        // Cache-buster here is the most important one (index controls years/months)
-        const buster = Date.now();
-        const idxUrl = withBuster(`${BASE}/pml-mda/${projectKey}/index.json`, buster);
-        const idx = await fetchJson(idxUrl);
-        if (cancel) return;
+        // Always revalidated (index controls years/months)
+        const idxUrl = `${BASE}/pml-${indexMarket}/${projectKey}/index.json`;
+        const idx = await fetchJson(idxUrl, { signal: ctrl.signal });
+        if (cancelled()) return;
 
         setIndexData(idx);
 
-        const defaultNode = idx.defaultNode || idx.nodes?.[0]?.node || "";
-        setNode(defaultNode);
+        const want = pendingUrl.current;
+        const warnings = [];
+
+        let nextNode = idx.defaultNode || idx.nodes?.[0]?.node || "";
+        if (want.node) {
+          if ((idx.nodes || []).some((n) => n.node === want.node)) nextNode = want.node;
+          else
+            warnings.push(
+              note("url.unknownNode", { want: want.node, project: projectKey, shown: nextNode || "—" })
+            );
+        }
+        setNode(nextNode);
 
         const nodeObj =
-          (idx.nodes || []).find((n) => n.node === defaultNode) || idx.nodes?.[0];
+          (idx.nodes || []).find((n) => n.node === nextNode) || idx.nodes?.[0];
         const months = (nodeObj?.months || []).slice().sort();
-        const lastMonth = months.length ? months[months.length - 1] : "";
-        setMonth(lastMonth);
+        let nextMonth = months.length ? months[months.length - 1] : "";
+        const wantMonth = want.month || (want.day ? monthKeyFromDate(want.day) : "");
+        if (wantMonth) {
+          if (months.includes(wantMonth)) nextMonth = wantMonth;
+          else
+            warnings.push(
+              note("url.unknownMonth", { want: wantMonth, node: nextNode || "—", shown: nextMonth || "—" })
+            );
+        }
+        setMonth(nextMonth);
 
-        if (lastMonth) setYear(lastMonth.slice(0, 4));
+        if (nextMonth) setYear(nextMonth.slice(0, 4));
+
+        // year/day are validated by the daily and monthly loaders
+        pendingUrl.current = months.includes(wantMonth)
+          ? { year: want.year, day: want.day }
+          : { year: want.year };
+        if (warnings.length) setUrlWarnings((w) => [...w, ...warnings]);
       } catch (e) {
-        if (!cancel) setError(String(e.message || e));
+        if (!cancelled()) setPanelError("idx", e);
       } finally {
-        if (!cancel) setLoading((s) => ({ ...s, idx: false }));
+        if (!cancelled()) setLoading((s) => ({ ...s, idx: false }));
       }
     })();
 
-    return () => {
-      cancel = true;
-    };
-  }, [projectKey]);
+    return () => ctrl.abort();
+  }, [projectKey, indexMarket, attempts.idx, setPanelError]);
 
   const nodeOptions = useMemo(() => {
     if (!indexData?.nodes) return [];
@@ -264,53 +1198,104 @@ export default function App() {
     return (nodeObj?.months || []).slice().sort();
   }, [indexData, node]);
 
+  // Hourly span: the custom range, or the selected month.
+  const spanStart = range ? range.start : month ? monthRange(month).d : "";
+  const spanEnd = range ? range.end : month ? monthRange(month).to : "";
+  const spanLabel = range ? t("common.dateSpan", { from: range.start, to: range.end }) : month;
+  const spanShort = range ? t("span.range", { span: spanLabel }) : t("span.month", { month: month || "—" });
+  const spanMonths = useMemo(
+    () => (spanStart && spanEnd ? monthsBetween(spanStart, spanEnd) : []),
+    [spanStart, spanEnd]
+  );
+  const spanTooLong = spanMonths.length > MAX_RANGE_MONTHS;
+  // Only months published in index.json are fetched.
+  const spanMonthsKey = spanTooLong
+    ? ""
+    : spanMonths.filter((m) => monthOptions.includes(m)).join(",");
+  const spanUnpublished = spanMonths.filter((m) => !monthOptions.includes(m));
+
   // --------- Load daily series ----------
   useEffect(() => {
-    let cancel = false;
+    const ctrl = new AbortController();
+    const cancelled = () => ctrl.signal.aborted;
     (async () => {
+      setPanelError("daily", null);
       if (!projectKey || !node) return;
 
-      setError("");
       setLoading((s) => ({ ...s, daily: true }));
       setDailySeries([]);
 
       try {
-        // You can optionally buster daily too. Usually not needed if Cache-Control is right,
-        // but it's handy while you're iterating.
-        const url = `${BASE}/pml-mda/${projectKey}/nodes/${node}/daily/series.json.gz`;
-        const data = await fetchMaybeGzJson(url);
-        if (cancel) return;
-
-        // IMPORTANT FIX:
-        // Your daily JSON is: { ..., "rows":[["YYYY-MM-DD", n, avg, min, max], ...] }
-        // (we also tolerate older shape just in case)
-        const rows = data.rows || data.daily || [];
-        const daily = rows.map((row) => ({
-          d: row[0],
-          n: Number(row[1] ?? 0),
-          avg: Number(row[2]),
-          min: Number(row[3]),
-          max: Number(row[4]),
-        }));
-
-        setDailyMeta({ tz: data.tz || "America/Mexico_City" });
+        // Revalidated on every load: the series grows with each published day.
+        const { tz, daily } = await loadDaily(market, projectKey, node, ctrl.signal);
+        if (cancelled()) return;
+
+        setDailyMeta({ tz });
         setDailySeries(daily);
 
-        if (daily.length) {
+        const wantYear = pendingUrl.current.year;
+        pendingUrl.current = { ...pendingUrl.current, year: undefined };
+
+        if (wantYear && daily.some((r) => r.d.startsWith(wantYear + "-"))) {
+          setYear(wantYear);
+        } else if (daily.length) {
           const lastDate = daily[daily.length - 1].d;
           setYear(lastDate.slice(0, 4));
+          if (wantYear)
+            setUrlWarnings((w) => [
+              ...w,
+              note("url.unknownYear", { want: wantYear, shown: lastDate.slice(0, 4) }),
+            ]);
         }
       } catch (e) {
-        if (!cancel) setError(String(e.message || e));
+        if (!cancelled()) setPanelError("daily", e);
       } finally {
-        if (!cancel) setLoading((s) => ({ ...s, daily: false }));
+        if (!cancelled()) setLoading((s) => ({ ...s, daily: false }));
       }
     })();
 
-    return () => {
-      cancel = true;
-    };
-  }, [projectKey, node]);
+    return () => ctrl.abort();
+  }, [projectKey, node, market, attempts.daily, setPanelError]);
+
+  // --------- Currency (MXN as published / USD at each date's FX rate) ----------
+  const [fx, setFx] = useState({ table: null, loading: false, error: null });
+
+  useEffect(() => {
+    if (currency !== "USD" || fx.table) return;
+    const ctrl = new AbortController();
+    const cancelled = () => ctrl.signal.aborted;
+    (async () => {
+      setFx((s) => ({ ...s, loading: true, error: null }));
+      try {
+        const table = parseFxRows(await fetchJson(`${BASE}/${FX_PATH}`, { signal: ctrl.signal }));
+        if (cancelled()) return;
+        setFx({ table, loading: false, error: null });
+      } catch (e) {
+        if (cancelled()) return;
+        setFx({ table: null, loading: false, error: e });
+      }
+    })();
+    return () => ctrl.abort();
+  }, [currency, fx.table]);
+
+  // Until the FX series is in, values stay in MXN and are labelled as such.
+  const rateOf = useMemo(
+    () => (currency === "USD" && fx.table?.dates.length ? fxLookup(fx.table) : null),
+    [currency, fx.table]
+  );
+  const fxProblem = fx.error
+    ? t("fx.error", { error: errorMessage(fx.error, t("error.fxNotFound", { file: FX_PATH })) })
+    : fx.table && !fx.table.dates.length
+      ? t("fx.empty")
+      : "";
+  const activeCurrency = rateOf ? "USD" : "MXN";
+  const unit = rateOf ? "USD/MWh" : MXN_UNIT;
+  const toCurrency = useMemo(
+    () => (rateOf ? (rows) => convertRows(rows, rateOf) : (rows) => rows),
+    [rateOf]
+  );
+  const dailySeries = useMemo(() => toCurrency(dailyRaw), [toCurrency, dailyRaw]);
+  const monthlySeries = useMemo(() => toCurrency(monthlyRaw), [toCurrency, monthlyRaw]);
 
   const yearOptions = useMemo(() => {
     const set = new Set();
@@ -319,101 +1304,101 @@ export default function App() {
   }, [dailySeries]);
 
   // --------- Historical chart (monthly downsample from daily) ----------
-  const histChart = useMemo(() => {
-    const byMonth = new Map();
-    for (const r of dailySeries) {
-      const ym = r.d.slice(0, 7); // YYYY-MM
-      const cur =
-        byMonth.get(ym) || { sumAvg: 0, n: 0, min: Infinity, max: -Infinity };
-      cur.sumAvg += r.avg;
-      cur.n += 1;
-      if (r.min < cur.min) cur.min = r.min;
-      if (r.max > cur.max) cur.max = r.max;
-      byMonth.set(ym, cur);
-    }
-
-    const out = [];
-    for (const [ym, a] of Array.from(byMonth.entries()).sort((a, b) =>
-      a[0].localeCompare(b[0])
-    )) {
-      out.push({
-        t: ym,
-        avg: a.sumAvg / a.n,
-        min: a.min,
-        max: a.max,
-        year: ym.slice(0, 4),
-      });
-    }
-    return out;
-  }, [dailySeries]);
+  const histInput = useMemo(
+    () => (dailySeries.length ? { cols: rowColumns(dailySeries, MONTHLY_FIELDS) } : null),
+    [dailySeries]
+  );
+  const histChart = useWorkerResult("monthly", histInput, NO_ROWS, dailyWorkerError);
 
   // --------- Annual chart (daily filtered) ----------
   const annualChart = useMemo(() => {
     return dailySeries
       .filter((r) => r.d.startsWith(year + "-"))
-      .map((r) => ({ t: r.d, avg: r.avg, min: r.min, max: r.max, n: r.n }));
+      .map((r) => ({
+        t: r.d,
+        avg: r.avg,
+        min: r.min,
+        max: r.max,
+        n: r.n,
+        mda: r.mda,
+        mtr: r.mtr,
+        gap: r.gap,
+        gapMark: r.gap ? 0 : null,
+        fx: r.fx,
+      }));
   }, [dailySeries, year]);
 
-  const annualStats = useMemo(() => {
-    const vals = annualChart.map((r) => r.avg);
-    return computeStats(vals);
-  }, [annualChart]);
+  const annualStatsInput = useMemo(
+    () => ({ values: Float64Array.from(annualChart, (r) => r.avg ?? NaN) }),
+    [annualChart]
+  );
+  const annualStats = formatStats(useWorkerResult("stats", annualStatsInput, EMPTY_SUMMARY, dailyWorkerError));
 
-  // --------- Load monthly hourly ----------
+  // --------- Load hourly span (month or custom range) ----------
   useEffect(() => {
-    let cancel = false;
+    const ctrl = new AbortController();
+    const cancelled = () => ctrl.signal.aborted;
     (async () => {
-      if (!projectKey || !node || !month) return;
+      setRangeNote(null);
+      setPanelError("month", null);
+      if (!projectKey || !node || !spanMonthsKey) {
+        setMonthlySeries([]);
+        return;
+      }
+      const months = spanMonthsKey.split(",");
 
-      setError("");
       setLoading((s) => ({ ...s, month: true }));
+      setRangeProgress({ done: 0, total: months.length });
       setMonthlySeries([]);
       setMonthlyMeta(null);
 
       try {
-        const url = `${BASE}/pml-mda/${projectKey}/nodes/${node}/hourly/${month}.json.gz`;
-        const data = await fetchMaybeGzJson(url);
-        if (cancel) return;
-
-        const rows = data.rows || [];
-        const pts = rows.map((r) => {
-          const d = r[0];
-          const h = Number(r[1]);
-          const p = Number(r[2]);
-          return {
-            d,
-            h,
-            t: `${d} ${pad2(h)}:00`,
-            pml: p,
-          };
-        });
+        const { meta, pts, missing, unpublished } = await loadMonths(
+          market,
+          projectKey,
+          node,
+          months,
+          (done, total) => {
+            if (!cancelled()) setRangeProgress({ done, total });
+          },
+          ctrl.signal
+        );
+        if (cancelled()) return;
 
-        setMonthlyMeta({
-          project: data.project,
-          displayName: data.displayName,
-          node: data.node,
-          rawNode: data.rawNode,
-          system: data.system,
-          month: data.month,
-        });
+        setMonthlyMeta(meta);
+
+        const spanPts = pts.filter((p) => p.d >= spanStart && p.d <= spanEnd);
+        setMonthlySeries(spanPts);
+        setRangeNote(missing.length ? { missing, unpublished } : null);
 
-        setMonthlySeries(pts);
+        const days = Array.from(new Set(spanPts.map((p) => p.d))).sort();
+        const wantDay = pendingUrl.current.day;
+        pendingUrl.current = { ...pendingUrl.current, day: undefined };
 
-        const days = Array.from(new Set(pts.map((p) => p.d))).sort();
-        if (!day || !days.includes(day)) {
+        if (wantDay && days.includes(wantDay)) {
+          setDay(wantDay);
+        } else if (wantDay) {
           setDay(days[0] || "");
+          setUrlWarnings((w) => [
+            ...w,
+            note("url.unknownDay", { want: wantDay, from: spanStart, to: spanEnd, shown: days[0] || "—" }),
+          ]);
+        } else {
+          // keep the selected day when the new span still has it
+          setDay((cur) => (cur && days.includes(cur) ? cur : days[0] || ""));
         }
       } catch (e) {
-        if (!cancel) setError(String(e.message || e));
+        if (!cancelled()) {
+          pendingUrl.current = { ...pendingUrl.current, day: undefined };
+          setPanelError("month", e);
+        }
       } finally {
-        if (!cancel) setLoading((s) => ({ ...s, month: false }));
+        if (!cancelled()) setLoading((s) => ({ ...s, month: false }));
       }
     })();
 
-    return () => {
-      cancel = true;
-    };
-  }, [projectKey, node, month]);
+    return () => ctrl.abort();
+  }, [projectKey, node, market, spanMonthsKey, spanStart, spanEnd, attempts.month, setPanelError]);
 
   const dayOptions = useMemo(() => {
     const set = new Set();
@@ -421,71 +1406,1491 @@ export default function App() {
     return Array.from(set).sort();
   }, [monthlySeries]);
 
-  const monthStats = useMemo(
-    () => computeStats(monthlySeries.map((r) => r.pml)),
-    [monthlySeries]
+  const monthStatsInput = useMemo(
+    () => ({ values: Float64Array.from(monthlySeries, (r) => r.pml ?? NaN) }),
+    [monthlySeries]
+  );
+  const monthStats = formatStats(useWorkerResult("stats", monthStatsInput, EMPTY_SUMMARY, monthWorkerError));
+
+  const daySeries = useMemo(() => {
+    if (!day) return [];
+    return monthlySeries
+      .filter((r) => r.d === day)
+      .slice()
+      .sort((a, b) => a.h - b.h)
+      .map((r) => ({
+        t: `${pad2(r.h)}:00`,
+        pml: r.pml,
+        hour: r.h,
+        energy: r.energy,
+        losses: r.losses,
+        congestion: r.congestion,
+        mda: r.mda,
+        mtr: r.mtr,
+        gap: r.gap,
+        gapMark: r.gap ? 0 : null,
+        fx: r.fx,
+      }));
+  }, [monthlySeries, day]);
+
+  // Spread mode: hours/days published in only one market
+  const gapCounts = useMemo(() => {
+    const c = { mda: 0, mtr: 0, days: 0 };
+    for (const r of monthlySeries) if (r.gap) c[r.gap] += 1;
+    for (const r of annualChart) if (r.gap) c.days += 1;
+    return c;
+  }, [monthlySeries, annualChart]);
+
+  // --------- PML components (energy / losses / congestion) ----------
+  const [componentView, setComponentView] = useState("off"); // off | lines | stacked
+  const [componentOn, setComponentOn] = useState({
+    energy: true,
+    losses: true,
+    congestion: true,
+  });
+
+  const hasComponents = useMemo(
+    () => monthlySeries.some((r) => r.energy !== null && r.energy !== undefined),
+    [monthlySeries]
+  );
+
+  const monthComponentStats = useMemo(
+    () =>
+      COMPONENTS.map((c) => ({
+        ...c,
+        avg: summarize(monthlySeries.map((r) => r[c.key])).avg,
+      })),
+    [monthlySeries]
+  );
+
+  const daySummary = useMemo(() => summarize(daySeries.map((r) => r.pml)), [daySeries]);
+  const dayStats = formatStats(daySummary);
+
+  const dayComponentStats = useMemo(
+    () =>
+      COMPONENTS.map((c) => ({
+        ...c,
+        avg: summarize(daySeries.map((r) => r[c.key])).avg,
+      })),
+    [daySeries]
+  );
+
+  // --------- Generation profile, capture price and revenue ----------
+  const [profiles, setProfiles] = useState({}); // projectKey -> profile edited this session
+  const profile = useMemo(
+    () => profiles[projectKey] || loadProfile(projectKey),
+    [profiles, projectKey]
+  );
+  const [uploadNote, setUploadNote] = useState(null);
+
+  const updateProfile = (patch) => {
+    const next = { ...profile, ...patch };
+    setProfiles((ps) => ({ ...ps, [projectKey]: next }));
+    if (!saveProfile(projectKey, next))
+      setUploadNote(note("capture.notSaved"));
+  };
+
+  const onUploadProfile = async (file) => {
+    let parsed;
+    try {
+      parsed = parseGenerationCsv(await file.text());
+    } catch {
+      setUploadNote(note("capture.readError", { file: file.name }));
+      return;
+    }
+    const { rows, skipped } = parsed;
+    if (!rows.length) {
+      setUploadNote(note("capture.noRows", { file: file.name }));
+      return;
+    }
+    setUploadNote(
+      skipped
+        ? note("capture.loadedSkipped", { file: file.name, n: rows.length, skipped })
+        : note("capture.loaded", { file: file.name, n: rows.length })
+    );
+    updateProfile({ source: "upload", upload: { name: file.name, rows } });
+  };
+
+  // Hourly files of the whole selected year, loaded on demand.
+  const [yearHourly, setYearHourly] = useState({ key: "", pts: [], loading: false, error: null });
+  const yearKey = `${market}/${projectKey}/${node}/${year}`;
+  const yearHourlyRaw = yearHourly.key === yearKey && !yearHourly.loading ? yearHourly.pts : null;
+  const yearHourlyPts = useMemo(
+    () => (yearHourlyRaw ? toCurrency(yearHourlyRaw) : null),
+    [yearHourlyRaw, toCurrency]
+  );
+
+  // Switching market / node / year stops a download in progress.
+  const yearCtrl = useRef(null);
+  useEffect(() => () => yearCtrl.current?.abort(), [yearKey]);
+
+  const loadYearHourly = async () => {
+    const key = yearKey;
+    const months = monthOptions.filter((m) => m.startsWith(year + "_"));
+    yearCtrl.current?.abort();
+    const ctrl = new AbortController();
+    yearCtrl.current = ctrl;
+    setYearHourly({ key, pts: [], loading: true, error: null, done: 0, total: months.length });
+    const results = await mapSettled(
+      months,
+      MONTH_CONCURRENCY,
+      (m) => loadMonth(market, projectKey, node, m, ctrl.signal),
+      (done) => setYearHourly((cur) => (cur.key === key ? { ...cur, done } : cur)),
+      ctrl.signal
+    );
+    if (ctrl.signal.aborted) {
+      // forget the aborted load so the button comes back for this year
+      setYearHourly((cur) => (cur.key === key ? { key: "", pts: [], loading: false, error: null } : cur));
+      return;
+    }
+    const missing = months.filter((_, i) => results[i].status === "rejected");
+    const pts = results.flatMap((r) => (r.status === "fulfilled" ? r.value.pts : []));
+    setYearHourly((cur) =>
+      cur.key === key
+        ? {
+            key,
+            pts,
+            loading: false,
+            error: missing.length ? note("common.loadFailed", { list: missing.join(", ") }) : null,
+          }
+        : cur
+    );
+  };
+  const yearLoadingText = t("year.loading", { done: yearHourly.done || 0, total: yearHourly.total || 0 });
+  const loadYearButton = (label) => (
+    <LoadButton
+      loading={yearHourly.key === yearKey && yearHourly.loading}
+      loadingText={yearLoadingText}
+      onClick={loadYearHourly}
+      disabled={!node}
+    >
+      {label}
+    </LoadButton>
+  );
+
+  const hourBase = firstHourOf(monthlySeries.length ? monthlySeries : yearHourlyPts || []);
+  const generation = useMemo(() => generationLookup(profile, hourBase), [profile, hourBase]);
+
+  const dayCapture = useMemo(
+    () => (day ? captureStats(monthlySeries.filter((r) => r.d === day), generation) : null),
+    [monthlySeries, day, generation]
+  );
+  const monthCapture = useMemo(
+    () => (monthlySeries.length ? captureStats(monthlySeries, generation) : null),
+    [monthlySeries, generation]
+  );
+  const yearCapture = useMemo(
+    () => (yearHourlyPts?.length ? captureStats(yearHourlyPts, generation) : null),
+    [yearHourlyPts, generation]
+  );
+  const captureApplies = market !== "spread";
+
+  // --------- PPA / CfD contracts (see contracts.js) ----------
+  const [contractEdits, setContractEdits] = useState({}); // projectKey -> contracts
+  const contracts = useMemo(
+    () => contractEdits[projectKey] || loadContracts(projectKey),
+    [contractEdits, projectKey]
+  );
+  const [contractId, setContractId] = useState("");
+  const contract = contracts.find((c) => c.id === contractId) || contracts[0] || null;
+  const [contractNote, setContractNote] = useState(null);
+
+  const updateContracts = (next) => {
+    setContractEdits((m) => ({ ...m, [projectKey]: next }));
+    setContractNote(saveContracts(projectKey, next) ? null : note("cfd.notSaved"));
+  };
+  const updateContract = (patch) =>
+    updateContracts(contracts.map((c) => (c.id === contract.id ? { ...c, ...patch } : c)));
+
+  const addContract = () => {
+    const c = newContract({
+      name: t("cfd.defaultName", { n: contracts.length + 1 }),
+      startMonth: (spanStart || `${year || new Date().getFullYear()}-01`).slice(0, 7),
+      currency: activeCurrency,
+      tech: projects.find((p) => p.key === projectKey)?.tech,
+    });
+    updateContracts([...contracts, c]);
+    setContractId(c.id);
+  };
+  const deleteContract = () => {
+    updateContracts(contracts.filter((c) => c.id !== contract.id));
+    setContractId("");
+  };
+
+  const onUploadContractProfile = async (file) => {
+    let parsed;
+    try {
+      parsed = parseGenerationCsv(await file.text());
+    } catch {
+      setContractNote(note("capture.readError", { file: file.name }));
+      return;
+    }
+    const { rows, skipped } = parsed;
+    if (!rows.length) {
+      setContractNote(note("capture.noRows", { file: file.name }));
+      return;
+    }
+    updateContract({ shape: "upload", upload: { name: file.name, rows } });
+    setContractNote(
+      skipped
+        ? note("capture.loadedSkipped", { file: file.name, n: rows.length, skipped })
+        : note("capture.loaded", { file: file.name, n: rows.length })
+    );
+  };
+
+  // Settled over the loaded hourly span (or the loaded year), in the
+  // contract's currency only.
+  const [cfdScope, setCfdScope] = useState("month"); // month | year
+  const cfdApplies = market !== "spread" && !!contract && contract.currency === activeCurrency;
+  const cfdPoints = cfdScope === "year" ? yearHourlyPts : monthlySeries;
+  const cfd = useMemo(
+    () => (cfdApplies && cfdPoints?.length ? settleContract(cfdPoints, contract) : null),
+    [cfdApplies, cfdPoints, contract]
+  );
+
+  // --------- Price distribution ----------
+  const [distScope, setDistScope] = useState("month"); // day | month | year | range
+  const [distThreshold, setDistThreshold] = useState(1000);
+  const [distRange, setDistRange] = useState({ start: "", end: "" });
+
+  // Range scope filters whatever hourly data is loaded: the year if it was
+  // downloaded, otherwise the selected month. Picked in MXN, where the
+  // threshold is compared, and shown in the active currency.
+  const distPointsRaw = useMemo(() => {
+    if (distScope === "day") return day ? monthlyRaw.filter((r) => r.d === day) : [];
+    if (distScope === "month") return monthlyRaw;
+    if (distScope === "year") return yearHourlyRaw || [];
+    const src = yearHourlyRaw?.length ? yearHourlyRaw : monthlyRaw;
+    const { start, end } = distRange;
+    return src.filter((r) => (!start || r.d >= start) && (!end || r.d <= end));
+  }, [distScope, day, monthlyRaw, yearHourlyRaw, distRange]);
+  const distPoints = useMemo(() => toCurrency(distPointsRaw), [toCurrency, distPointsRaw]);
+
+  const distThresholdValue = Number.isFinite(distThreshold) ? distThreshold : null;
+  const distInput = useMemo(
+    () =>
+      distPoints.length
+        ? {
+            values: Float64Array.from(distPoints, (r) => r.pml ?? NaN),
+            threshold: distThresholdValue,
+            thresholdValues: Float64Array.from(distPointsRaw, (r) => r.pml ?? NaN),
+          }
+        : null,
+    [distPoints, distPointsRaw, distThresholdValue]
+  );
+  const distribution = useWorkerResult("distribution", distInput, null, monthWorkerError);
+
+  // --------- Price events (spikes, negative / zero prices, jumps) ----------
+  const [thresholdEdits, setThresholdEdits] = useState({}); // "project/node" -> thresholds
+  const thresholdKey = `${projectKey}/${node}`;
+  const thresholds = useMemo(
+    () => thresholdEdits[thresholdKey] || loadThresholds(projectKey, node),
+    [thresholdEdits, thresholdKey, projectKey, node]
+  );
+  const [eventTypesOn, setEventTypesOn] = useState(() =>
+    Object.fromEntries(EVENT_TYPES.map((t) => [t.key, true]))
+  );
+  const [thresholdNote, setThresholdNote] = useState(null);
+  const eventsApply = market !== "spread";
+
+  const updateThresholds = (patch) => {
+    const next = { ...thresholds, ...patch };
+    setThresholdEdits((m) => ({ ...m, [thresholdKey]: next }));
+    setThresholdNote(saveThresholds(projectKey, node, next) ? null : note("events.notSaved"));
+  };
+
+  // Selected year: daily min/max for every day, hourly detail where loaded
+  // (the selected month, plus the whole year once downloaded). Detected on
+  // the MXN prices the thresholds are set in; values shown converted.
+  const eventsRaw = useMemo(() => {
+    if (!eventsApply) return [];
+    const yearDaily = dailyRaw.filter((r) => r.d.startsWith(year + "-"));
+    const hourly = new Map();
+    for (const p of [...(yearHourlyRaw || []), ...monthlyRaw]) {
+      if (p.d.startsWith(year + "-")) hourly.set(`${p.d}|${p.h}`, p);
+    }
+    const pts = Array.from(hourly.values());
+    return mergeEvents(
+      detectDailyEvents(yearDaily, thresholds),
+      detectHourlyEvents(pts, thresholds),
+      new Set(pts.map((p) => p.d))
+    );
+  }, [eventsApply, dailyRaw, yearHourlyRaw, monthlyRaw, year, thresholds]);
+  const events = useMemo(() => {
+    if (!rateOf) return eventsRaw;
+    return eventsRaw.map((e) => {
+      const rate = rateOf(e.d);
+      const conv = (v) => (v === undefined ? v : rate ? v / rate : null);
+      return { ...e, value: conv(e.value), delta: conv(e.delta) };
+    });
+  }, [eventsRaw, rateOf]);
+
+  const visibleEvents = useMemo(
+    () => events.filter((e) => eventTypesOn[e.type]),
+    [events, eventTypesOn]
+  );
+
+  // Chart markers: day → event types, "day|hour" → event types.
+  const eventIndex = useMemo(() => {
+    const byDay = new Map();
+    const byHour = new Map();
+    const add = (m, k, type) => {
+      const cur = m.get(k) || [];
+      if (!cur.includes(type)) m.set(k, [...cur, type]);
+    };
+    for (const e of visibleEvents) {
+      add(byDay, e.d, e.type);
+      if (e.h !== null) add(byHour, `${e.d}|${e.h}`, e.type);
+    }
+    return { byDay, byHour };
+  }, [visibleEvents]);
+
+  // --------- Data quality ----------
+  const qualityApplies = market !== "spread";
+  const [fileCheck, setFileCheck] = useState({ key: "", results: [], loading: false });
+  const [shadeBad, setShadeBad] = useState(true);
+  const fileCheckKey = `${market}/${projectKey}/${node}`;
+
+  // Probes of the previous node stop when the selection changes.
+  const fileCheckCtrl = useRef(null);
+  useEffect(() => () => fileCheckCtrl.current?.abort(), [fileCheckKey]);
+
+  const checkMonthFiles = async () => {
+    const key = fileCheckKey;
+    const months = monthOptions;
+    fileCheckCtrl.current?.abort();
+    const ctrl = new AbortController();
+    fileCheckCtrl.current = ctrl;
+    setFileCheck({ key, results: [], loading: true });
+    try {
+      const results = await probeFiles(
+        months.map((m) => `${nodeBaseUrl(market, projectKey, node)}/hourly/${m}.json.gz`),
+        { signal: ctrl.signal, timeout: FETCH_TIMEOUT_MS, retries: FETCH_RETRIES }
+      );
+      setFileCheck((cur) =>
+        cur.key === key
+          ? { key, loading: false, results: results.map((r, i) => ({ ...r, month: months[i] })) }
+          : cur
+      );
+    } catch {
+      // aborted: forget the check so it can be started again
+      setFileCheck((cur) => (cur.key === key ? { key: "", results: [], loading: false } : cur));
+    }
+  };
+
+  // Hourly checks use the loaded year when available (it includes the
+  // selected month), otherwise the selected month.
+  const qualityIssues = useMemo(() => {
+    if (!qualityApplies || !dailyRaw.length) return [];
+    const tz = dailyMeta.tz || "America/Mexico_City";
+    const useYear = yearHourlyRaw?.length && !range && month.startsWith(year + "_");
+    // A custom range cuts its first/last month: only report inside it.
+    const hourlyIssues = useYear
+      ? checkHourly(
+          yearHourlyRaw,
+          tz,
+          monthOptions.filter((m) => m.startsWith(year + "_")),
+          isClosedMonth
+        )
+      : checkHourly(monthlyRaw, tz, spanMonthsKey ? spanMonthsKey.split(",") : [], isClosedMonth)
+          .filter((i) => i.to >= spanStart && i.d <= spanEnd)
+          .map((i) => ({
+            ...i,
+            d: i.d < spanStart ? spanStart : i.d,
+            to: i.to > spanEnd ? spanEnd : i.to,
+          }));
+    const files = fileCheck.key === fileCheckKey ? fileCheck.results : [];
+    return [
+      ...checkDaily(dailyRaw, tz),
+      ...hourlyIssues,
+      ...monthsWithoutDaily(monthOptions, dailyRaw).map((m) => ({
+        ...monthRange(m),
+        kind: "missingDay",
+        detail: { key: "noDaily" },
+      })),
+      ...files
+        .filter((r) => r.status !== "ok")
+        .map((r) => ({
+          ...monthRange(r.month),
+          kind: "missingFile",
+          detail: {
+            key: r.status === "missing" ? "fileMissing" : r.code ? "fileUncheckedCode" : "fileUnchecked",
+            file: `hourly/${r.month}.json.gz`,
+            code: r.code,
+          },
+        })),
+    ].sort((a, b) => b.d.localeCompare(a.d));
+  }, [
+    qualityApplies,
+    dailyRaw,
+    dailyMeta,
+    yearHourlyRaw,
+    monthlyRaw,
+    month,
+    year,
+    range,
+    spanMonthsKey,
+    spanStart,
+    spanEnd,
+    monthOptions,
+    fileCheck,
+    fileCheckKey,
+  ]);
+
+  // Bad periods shaded on the annual and monthly charts.
+  const annualShade = useMemo(() => {
+    if (!shadeBad || !annualChart.length) return [];
+    const from = annualChart[0].t;
+    const to = annualChart[annualChart.length - 1].t;
+    const spans = qualityIssues.filter((i) => i.to >= from && i.d <= to);
+    return shadeAreas(annualChart, (r) => r.t, (r) => r.t, spans);
+  }, [shadeBad, annualChart, qualityIssues]);
+
+  const qualityCounts = useMemo(() => {
+    const c = Object.fromEntries(ISSUE_KINDS.map((k) => [k, 0]));
+    for (const i of qualityIssues) c[i.kind] += 1;
+    return c;
+  }, [qualityIssues]);
+
+  // --------- Forecast ----------
+  // The latest published months, loaded on demand: training history plus the
+  // backtest window. The forecast starts the day after the last hour loaded.
+  const [backtestMonths, setBacktestMonths] = useState(3);
+  const [forecastModel, setForecastModel] = useState("regression");
+  const [forecastHist, setForecastHist] = useState({ key: "", pts: [], loading: false, error: null });
+  const forecastMonths = useMemo(
+    () => monthOptions.slice(-(FORECAST_TRAIN_MONTHS + backtestMonths)),
+    [monthOptions, backtestMonths]
+  );
+  const forecastKey = `${market}/${projectKey}/${node}/${forecastMonths.join(",")}`;
+  const forecastRaw =
+    forecastHist.key === forecastKey && !forecastHist.loading ? forecastHist.pts : null;
+  const forecastPts = useMemo(
+    () => (forecastRaw ? toCurrency(forecastRaw) : null),
+    [forecastRaw, toCurrency]
+  );
+
+  const forecastCtrl = useRef(null);
+  useEffect(() => () => forecastCtrl.current?.abort(), [forecastKey]);
+
+  const loadForecastHistory = async () => {
+    const key = forecastKey;
+    forecastCtrl.current?.abort();
+    const ctrl = new AbortController();
+    forecastCtrl.current = ctrl;
+    setForecastHist({ key, pts: [], loading: true, error: null, done: 0, total: forecastMonths.length });
+    try {
+      const { pts, missing, unpublished } = await loadMonths(
+        market,
+        projectKey,
+        node,
+        forecastMonths,
+        (done) => setForecastHist((cur) => (cur.key === key ? { ...cur, done } : cur)),
+        ctrl.signal
+      );
+      setForecastHist((cur) =>
+        cur.key === key ? { key, pts, loading: false, error: null, missing, unpublished } : cur
+      );
+    } catch (e) {
+      if (ctrl.signal.aborted) {
+        setForecastHist((cur) =>
+          cur.key === key ? { key: "", pts: [], loading: false, error: null } : cur
+        );
+        return;
+      }
+      setForecastHist((cur) =>
+        cur.key === key ? { key, pts: [], loading: false, error: e } : cur
+      );
+    }
+  };
+
+  // Fitting (and refitting at every backtest origin) runs in the data
+  // worker; both stay undefined while it is busy.
+  const forecastCols = useMemo(
+    () => (forecastPts?.length ? rowColumns(forecastPts, ["h", "pml"]) : null),
+    [forecastPts]
+  );
+  const forecastWorkerError = useCallback(
+    (e) => setForecastHist((cur) => ({ ...cur, error: e })),
+    []
+  );
+  const forecastInput = useMemo(() => (forecastCols ? { cols: forecastCols } : null), [forecastCols]);
+  const backtestInput = useMemo(
+    () => (forecastCols ? { cols: forecastCols, months: backtestMonths } : null),
+    [forecastCols, backtestMonths]
+  );
+  const forecastOut = useWorkerResult("forecast", forecastInput, undefined, forecastWorkerError);
+  const backtestOut = useWorkerResult("backtest", backtestInput, undefined, forecastWorkerError);
+  const forecast = forecastCols ? forecastOut : null;
+  const backtestResult = forecastCols ? backtestOut : null;
+
+  // Last week of actuals followed by the forecast; `band` is [P10, P90] of
+  // the selected model.
+  const forecastData = useMemo(() => {
+    if (!forecast) return [];
+    const since = addDays(forecast.origin, -HORIZON_DAYS);
+    const actual = forecastPts
+      .filter((p) => p.d > since && p.pml !== null)
+      .sort((a, b) => (a.d === b.d ? a.h - b.h : a.d.localeCompare(b.d)))
+      .map((p) => ({ t: `${p.d} ${pad2(p.h)}:00`, actual: p.pml }));
+    const rows = forecast.rows.map((r) => ({
+      ...r,
+      band:
+        r[`${forecastModel}P10`] !== null ? [r[`${forecastModel}P10`], r[`${forecastModel}P90`]] : null,
+    }));
+    return [...actual, ...rows];
+  }, [forecast, forecastPts, forecastModel]);
+
+  // --------- Monthly panel view (lines / heatmap) ----------
+  const [monthView, setMonthView] = useState("line"); // line | heatmap | heatmapYear
+  const heatmapPoints =
+    monthView === "heatmap" ? monthlySeries : monthView === "heatmapYear" ? yearHourlyPts : null;
+
+  const monthShade = useMemo(() => {
+    if (!shadeBad || !spanStart) return [];
+    const spans = qualityIssues.filter((i) => i.to >= spanStart && i.d <= spanEnd);
+    return shadeAreas(monthlySeries, (r) => r.d, (r) => r.t, spans);
+  }, [shadeBad, spanStart, spanEnd, monthlySeries, qualityIssues]);
+
+  // --------- Comparison (pinned project/node pairs) ----------
+  // Pinned nodes may publish other months, so they try every month of the span.
+  const pinMonthsKey = spanTooLong ? "" : spanMonths.join(",");
+  useEffect(() => {
+    const ctrl = new AbortController();
+    const cancelled = () => ctrl.signal.aborted;
+    const dailyCache = pinDailyCache.current;
+    (async () => {
+      if (!pins.length) {
+        setPinData({});
+        return;
+      }
+
+      setLoading((s) => ({ ...s, pins: true }));
+
+      const entries = await Promise.all(
+        pins.map(async (p) => {
+          const id = pinId(p);
+          const cacheKey = `${market}:${id}`;
+          // failedAt: the load an error came from, for the wording of a 404.
+          const entry = { daily: [], monthly: [], tz: "", meta: null, error: null, failedAt: "daily" };
+          try {
+            if (!dailyCache.has(cacheKey)) {
+              dailyCache.set(cacheKey, await loadDaily(market, p.projectKey, p.node, ctrl.signal));
+            }
+            const { tz, daily } = dailyCache.get(cacheKey);
+            entry.daily = daily;
+            entry.tz = tz;
+            entry.failedAt = "hourly";
+            if (pinMonthsKey) {
+              const { meta, pts } = await loadMonths(
+                market,
+                p.projectKey,
+                p.node,
+                pinMonthsKey.split(","),
+                null,
+                ctrl.signal
+              );
+              entry.monthly = pts.filter((r) => r.d >= spanStart && r.d <= spanEnd);
+              entry.meta = meta;
+            }
+          } catch (e) {
+            entry.error = e;
+          }
+          return [id, entry];
+        })
+      );
+      if (cancelled()) return;
+
+      setPinData(Object.fromEntries(entries));
+      setLoading((s) => ({ ...s, pins: false }));
+    })();
+
+    return () => ctrl.abort();
+  }, [pins, pinMonthsKey, spanStart, spanEnd, market]);
+
+  const isPinned = pins.some((p) => p.projectKey === projectKey && p.node === node);
+
+  const pinCurrent = () => {
+    if (!node || isPinned || pins.length >= MAX_PINS) return;
+    setPins((ps) => [...ps, { projectKey, node }]);
+  };
+
+  const unpin = (id) => setPins((ps) => ps.filter((p) => pinId(p) !== id));
+
+  // Per-series chart rows; index 0 of SERIES_COLORS is reserved for the active selection.
+  const pinSeries = useMemo(
+    () =>
+      pins.map((p, i) => {
+        const id = pinId(p);
+        const data = pinData[id] || { daily: [], monthly: [], tz: "", meta: null, error: null };
+        const display = projects.find((x) => x.key === p.projectKey)?.display || p.projectKey;
+        const pinDaily = toCurrency(data.daily);
+        const pinMonthly = toCurrency(data.monthly);
+        const annual = pinDaily
+          .filter((r) => r.d.startsWith(year + "-"))
+          .map((r) => ({ t: r.d, avg: r.avg, min: r.min, max: r.max, n: r.n, fx: r.fx }));
+        const daily = pinMonthly
+          .filter((r) => r.d === day)
+          .slice()
+          .sort((a, b) => a.h - b.h)
+          .map((r) => ({ t: `${pad2(r.h)}:00`, pml: r.pml, hour: r.h, fx: r.fx }));
+        return {
+          id,
+          key: `c${i}`,
+          label: `${display} — ${p.node}`,
+          color: SERIES_COLORS[(i + 1) % SERIES_COLORS.length],
+          error: data.error,
+          notFound:
+            data.failedAt === "daily"
+              ? note("error.dailyNotFound", { node: p.node })
+              : note("error.monthNotFound", { span: spanLabel }),
+          exportMeta: [
+            display,
+            p.node,
+            data.meta?.system || "",
+            data.meta?.rawNode || "",
+            data.tz,
+          ],
+          hist: aggregateMonthly(rowColumns(pinDaily, MONTHLY_FIELDS)),
+          annual,
+          monthly: pinMonthly,
+          daily,
+        };
+      }),
+    [pins, pinData, projects, year, day, toCurrency, spanLabel]
+  );
+
+  // --------- URL sync ----------
+  // User-driven selection changes open a new history entry; the defaults the
+  // loaders fill in afterwards replace it.
+  const navigate = (apply) => {
+    navMode.current = "push";
+    setUrlWarnings([]);
+    apply();
+  };
+
+  useEffect(() => {
+    const search = buildUrlSearch({
+      project: projectKey,
+      market: market === "mda" ? "" : market,
+      node,
+      year,
+      month,
+      day,
+      start: range?.start,
+      end: range?.end,
+      currency: currency === "MXN" ? "" : currency,
+    });
+    if (search === window.location.search) return;
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (navMode.current === "push") {
+      window.history.pushState(null, "", url);
+      navMode.current = "replace";
+    } else {
+      window.history.replaceState(null, "", url);
+    }
+  }, [projectKey, market, node, year, month, day, range, currency]);
+
+  useEffect(() => {
+    const onPop = () => {
+      const u = readUrlState();
+      navMode.current = "replace";
+      setUrlWarnings([]);
+      setCurrency(u.currency === "USD" ? "USD" : "MXN");
+      setRange((cur) => {
+        const next = parseRange(u.start, u.end);
+        return cur?.start === next?.start && cur?.end === next?.end ? cur : next;
+      });
+
+      if (!projects.length) return;
+      const pk = projects.some((p) => p.key === u.project) ? u.project : projects[0].key;
+      const mk = MARKETS.includes(u.market) ? u.market : "mda";
+      const idxChanges = (mk === "mtr") !== (market === "mtr");
+      if (pk !== projectKey || idxChanges) {
+        pendingUrl.current = u;
+        setProjectKey(pk);
+        setMarket(mk);
+        return;
+      }
+
+      // Same index: only effects that will re-run get pending keys.
+      const nodeChanges = (!!u.node && u.node !== node) || mk !== market;
+      const monthChanges =
+        (!!u.month && u.month !== month) ||
+        (u.start || "") !== (range?.start || "") ||
+        (u.end || "") !== (range?.end || "");
+      setMarket(mk);
+      pendingUrl.current = {
+        year: nodeChanges ? u.year : undefined,
+        day: nodeChanges || monthChanges ? u.day : undefined,
+      };
+      if (u.node) setNode(u.node);
+      if (u.year) setYear(u.year);
+      if (u.month) setMonth(u.month);
+      if (u.day) setDay(u.day);
+    };
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, [projects, projectKey, market, node, month, range]);
+
+  // Keeps node/month/year/day across a market switch when the other tree has them.
+  const changeMarket = (next) => {
+    const idxChanges = (next === "mtr") !== (market === "mtr");
+    pendingUrl.current = idxChanges ? { node, month, year, day } : { year, day };
+    setMarket(next);
+  };
+
+  // --------- Zoom interactions ----------
+  const scrollToRef = (ref) => {
+    const el = ref.current;
+    if (!el) return;
+    el.scrollIntoView({ behavior: "smooth", block: "start" });
+  };
+
+  // --------- Notes (user annotations, see annotations.js) ----------
+  const [noteEdits, setNoteEdits] = useState({}); // "project/node" -> notes
+  const notes = useMemo(
+    () => noteEdits[thresholdKey] || loadNotes(projectKey, node),
+    [noteEdits, thresholdKey, projectKey, node]
+  );
+  const [annotating, setAnnotating] = useState(false);
+  const [showNotes, setShowNotes] = useState(true);
+  const [noteDraft, setNoteDraft] = useState(null); // { key, at, category, text, id? }
+  const [notesNote, setNotesNote] = useState(null);
+  // A draft belongs to the project/node it was started on.
+  const draft = noteDraft?.key === thresholdKey ? noteDraft : null;
+
+  const updateNotes = (next) => {
+    setNoteEdits((m) => ({ ...m, [thresholdKey]: next }));
+    setNotesNote(saveNotes(projectKey, node, next) ? null : note("notes.notSaved"));
+  };
+
+  // Chart clicks in annotation mode open the editor instead of navigating.
+  const startNote = (at) =>
+    setNoteDraft({ key: thresholdKey, at, category: NOTE_CATEGORIES[0].key, text: "" });
+  const editNote = (n) =>
+    setNoteDraft({ key: thresholdKey, id: n.id, at: n.at, category: n.category, text: n.text });
+
+  const saveDraft = () => {
+    const text = draft?.text.trim();
+    if (!text) return;
+    const { id, at, category } = draft;
+    updateNotes(
+      id
+        ? notes.map((n) => (n.id === id ? { ...n, category, text } : n))
+        : sortNotes([...notes, newNote({ project: projectKey, node, at, category, text })])
+    );
+    setNoteDraft(null);
+  };
+
+  const deleteNote = (id) => {
+    updateNotes(notes.filter((n) => n.id !== id));
+    if (draft?.id === id) setNoteDraft(null);
+  };
+
+  const exportNotes = () =>
+    downloadBlob(
+      new Blob([notesToJson(allNotes())], { type: "application/json" }),
+      "pml-notes.json"
+    );
+
+  const importNotes = async (file) => {
+    try {
+      const { notes: imported, skipped } = parseNotesJson(await file.text());
+      const { added, updated, saved } = mergeNotes(imported);
+      setNoteEdits({});
+      setNotesNote(saved ? note("notes.imported", { added, updated, skipped }) : note("notes.notSaved"));
+    } catch {
+      setNotesNote(note("notes.importError", { file: file.name }));
+    }
+  };
+
+  const onHistClick = (e) => {
+    const p = e?.activePayload?.[0]?.payload;
+    if (annotating && p?.t) {
+      startNote(p.t);
+      return;
+    }
+    if (!p?.year) return;
+    navigate(() => setYear(p.year));
+    setTimeout(() => scrollToRef(annualRef), 50);
+  };
+
+  // Dates picked in the range inputs; the month selector keeps following the start.
+  const changeRange = (start, end) => {
+    if (!start || !end) return;
+    const next = start <= end ? { start, end } : { start, end: start };
+    const mk = monthKeyFromDate(next.start);
+    navigate(() => {
+      setRange(next);
+      if (mk !== month && monthOptions.includes(mk)) setMonth(mk);
+    });
+  };
+
+  const inSpan = (d) => !!range && d >= range.start && d <= range.end;
+
+  const onAnnualClick = (e) => {
+    const p = e?.activePayload?.[0]?.payload;
+    if (!p?.t) return;
+    if (annotating) {
+      startNote(p.t);
+      return;
+    }
+    const clickedDay = p.t;
+    const mk = monthKeyFromDate(clickedDay);
+
+    navigate(() => {
+      if (!inSpan(clickedDay) && monthOptions.includes(mk)) {
+        setMonth(mk);
+        setRange(null);
+      }
+      setDay(clickedDay);
+    });
+    setTimeout(() => scrollToRef(monthRef), 50);
+  };
+
+  const onMonthClick = (e) => {
+    const p = e?.activePayload?.[0]?.payload;
+    if (!p?.d) return;
+    if (annotating) {
+      startNote(p.t);
+      return;
+    }
+    navigate(() => setDay(p.d));
+    setTimeout(() => scrollToRef(dayRef), 50);
+  };
+
+  // The day chart only takes clicks to annotate.
+  const onDayClick = (e) => {
+    const p = e?.activePayload?.[0]?.payload;
+    if (annotating && day && p?.t) startNote(`${day} ${p.t}`);
+  };
+
+  // Heatmap cells and event rows select the day like onMonthClick; the day may
+  // be outside the loaded span, so the month follows.
+  const openDay = (d) => {
+    const mk = monthKeyFromDate(d);
+    navigate(() => {
+      if (!inSpan(d) && (mk !== month || range) && monthOptions.includes(mk)) {
+        setMonth(mk);
+        setRange(null);
+      }
+      setDay(d);
+    });
+    setTimeout(() => scrollToRef(dayRef), 50);
+  };
+
+  // --------- UI labels ----------
+  const project = projects.find((p) => p.key === projectKey) || null;
+  const projectLabel =
+    project?.display ||
+    indexData?.displayName ||
+    projectKey;
+
+  const marketLabel = t(`market.${market}`);
+
+  const subtitleBits = useMemo(() => {
+    const sys = (indexData?.nodes || []).find((n) => n.node === node)?.system;
+    return { sys };
+  }, [indexData, node]);
+
+  // When the data files were last built (index.json `updatedAt`).
+  const lastUpdated = indexData?.updatedAt ? formatDateTime(indexData.updatedAt) : null;
+
+  // --------- Node map ----------
+  // Every node of projects.json; nodes of the current index.json that the
+  // manifest leaves out are listed too (placed only if index.json has lat/lon).
+  const [mapScope, setMapScope] = useState("month"); // day | month
+  const mapNodes = useMemo(() => {
+    const out = [];
+    for (const p of projects) {
+      for (const n of p.nodes) {
+        out.push({
+          id: `${p.key}/${n.node}`,
+          projectKey: p.key,
+          node: n.node,
+          display: p.display,
+          lat: n.lat,
+          lon: n.lon,
+        });
+      }
+    }
+    for (const n of indexData?.nodes || []) {
+      if (out.some((x) => x.projectKey === projectKey && x.node === n.node)) continue;
+      out.push({
+        id: `${projectKey}/${n.node}`,
+        projectKey,
+        node: n.node,
+        display: projectLabel,
+        lat: num(n.lat),
+        lon: num(n.lon),
+      });
+    }
+    return out;
+  }, [projects, indexData, projectKey, projectLabel]);
+
+  // Daily series of the map nodes for the current market (through the
+  // cache), fetched once the panel scrolls into view and then only for the
+  // nodes not loaded yet. byKey: "market|project/node" -> rows, null if it
+  // failed.
+  const mapPanelRef = useRef(null);
+  const [mapShown, setMapShown] = useState(false);
+  useEffect(() => {
+    const el = mapPanelRef.current;
+    if (mapShown || !el) return;
+    if (!("IntersectionObserver" in window)) {
+      setMapShown(true);
+      return;
+    }
+    const io = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((e) => e.isIntersecting)) setMapShown(true);
+      },
+      { rootMargin: "200px" }
+    );
+    io.observe(el);
+    return () => io.disconnect();
+  }, [mapShown]);
+
+  const [mapDaily, setMapDaily] = useState({ byKey: {}, run: "", done: 0, total: 0 });
+  const mapMissingKey = mapNodes
+    .map((n) => n.id)
+    .filter((id) => !(`${market}|${id}` in mapDaily.byKey))
+    .join("|");
+  const mapRun = `${market}|${mapMissingKey}`;
+  useEffect(() => {
+    const ctrl = new AbortController();
+    const cancelled = () => ctrl.signal.aborted;
+    (async () => {
+      if (!mapShown || !mapMissingKey) return;
+      const run = `${market}|${mapMissingKey}`;
+      const ids = mapMissingKey.split("|");
+      setMapDaily((cur) => ({ ...cur, run, done: 0, total: ids.length }));
+      const results = await mapSettled(
+        ids,
+        MONTH_CONCURRENCY,
+        (id) => {
+          const at = id.indexOf("/");
+          return loadDaily(market, id.slice(0, at), id.slice(at + 1), ctrl.signal);
+        },
+        (done) => {
+          if (!cancelled()) setMapDaily((cur) => (cur.run === run ? { ...cur, done } : cur));
+        },
+        ctrl.signal
+      );
+      if (cancelled()) return;
+      setMapDaily((cur) => ({
+        byKey: {
+          ...cur.byKey,
+          ...Object.fromEntries(
+            ids.map((id, i) => [
+              `${market}|${id}`,
+              results[i].status === "fulfilled" ? results[i].value.daily : null,
+            ])
+          ),
+        },
+        run: "",
+        done: 0,
+        total: 0,
+      }));
+    })();
+
+    return () => ctrl.abort();
+  }, [market, mapMissingKey, mapShown]);
+  const mapLoading = mapShown && !!mapMissingKey && mapDaily.run === mapRun;
+  const mapFailed = mapNodes.filter((n) => mapDaily.byKey[`${market}|${n.id}`] === null);
+  // Forgetting the failed nodes puts them back in mapMissingKey.
+  const retryMapFailed = () =>
+    setMapDaily((cur) => ({
+      ...cur,
+      byKey: Object.fromEntries(Object.entries(cur.byKey).filter(([, rows]) => rows !== null)),
+    }));
+
+  // Average of the selected day, or of the selected month weighted by hours.
+  const mapPoints = useMemo(() => {
+    return mapNodes.map((n) => {
+      const rows = toCurrency(mapDaily.byKey[`${market}|${n.id}`] || []).filter((r) =>
+        mapScope === "day" ? r.d === day : monthKeyFromDate(r.d) === month
+      );
+      let sum = 0;
+      let hours = 0;
+      for (const r of rows) {
+        if (r.avg === null) continue;
+        const w = r.n || 1;
+        sum += r.avg * w;
+        hours += w;
+      }
+      return {
+        ...n,
+        label: `${n.display} — ${n.node}`,
+        value: hours ? sum / hours : null,
+        active: n.projectKey === projectKey && n.node === node,
+      };
+    });
+  }, [mapDaily, market, mapNodes, toCurrency, mapScope, day, month, projectKey, node]);
+  const mapPlaced = mapPoints.filter((n) => n.lat !== null && n.lon !== null);
+  const mapUnplaced = mapPoints.filter((n) => n.lat === null || n.lon === null);
+
+  const selectMapNode = (n) => {
+    if (n.active) return;
+    navigate(() => {
+      if (n.projectKey !== projectKey) {
+        pendingUrl.current = { node: n.node, month, year, day };
+        setProjectKey(n.projectKey);
+      } else {
+        setNode(n.node);
+      }
+    });
+  };
+
+  // --------- Year over year ----------
+  const [yoyOn, setYoyOn] = useState(false);
+  const [yoyPick, setYoyPick] = useState(null); // null = previous year
+  const [histGroup, setHistGroup] = useState("timeline"); // timeline | calendar
+
+  // Most recent first; the first one is the reference for deltas.
+  const yoyYears = useMemo(() => {
+    if (!yoyOn) return [];
+    const picked = yoyPick || [String(Number(year) - 1)];
+    return picked
+      .filter((y) => y !== year && yearOptions.includes(y))
+      .sort()
+      .reverse()
+      .slice(0, MAX_YOY_YEARS);
+  }, [yoyOn, yoyPick, year, yearOptions]);
+  const yoyRef = yoyYears[0] || "";
+  const yoyColor = (y) => YEAR_COLORS[yoyYears.indexOf(y) % YEAR_COLORS.length];
+
+  const toggleYoyYear = (y) =>
+    setYoyPick((cur) => {
+      const base = cur || yoyYears;
+      return base.includes(y) ? base.filter((x) => x !== y) : [...base, y];
+    });
+
+  // Same span of the hourly panel, moved to each compare year.
+  const yoyShiftsKey = yoyYears.map((y) => Number(y) - Number(year)).join(",");
+  const yoyHourlyKey =
+    yoyShiftsKey && !spanTooLong && spanStart && node
+      ? `${market}/${projectKey}/${node}/${spanStart}/${spanEnd}/${yoyShiftsKey}`
+      : "";
+  const [yoyHourly, setYoyHourly] = useState({ key: "", byShift: {}, loading: false });
+
+  useEffect(() => {
+    if (!yoyHourlyKey) return;
+    const ctrl = new AbortController();
+    const cancelled = () => ctrl.signal.aborted;
+    (async () => {
+      setYoyHourly({ key: yoyHourlyKey, byShift: {}, loading: true });
+      const byShift = {};
+      for (const shift of yoyShiftsKey.split(",").map(Number)) {
+        // Feb 29 ends fall back to Feb 28 in non-leap years
+        const from = shiftYear(spanStart, shift) || shiftYear(spanStart.slice(0, 8) + "28", shift);
+        const to = shiftYear(spanEnd, shift) || shiftYear(spanEnd.slice(0, 8) + "28", shift);
+        const months = monthsBetween(from, to).filter((m) => monthOptions.includes(m));
+        if (!months.length) continue;
+        try {
+          const { pts } = await loadMonths(market, projectKey, node, months, null, ctrl.signal);
+          byShift[shift] = pts.filter((p) => p.d >= from && p.d <= to);
+        } catch {
+          // year without hourly files: no overlay for it
+        }
+        if (cancelled()) return;
+      }
+      setYoyHourly({ key: yoyHourlyKey, byShift, loading: false });
+    })();
+    return () => ctrl.abort();
+  }, [yoyHourlyKey, yoyShiftsKey, market, projectKey, node, spanStart, spanEnd, monthOptions]);
+
+  const yoyHourlyLoading = !!yoyHourlyKey && (yoyHourly.key !== yoyHourlyKey || yoyHourly.loading);
+
+  const yoyHourlyRows = useMemo(() => {
+    if (!yoyHourlyKey || yoyHourly.key !== yoyHourlyKey) return [];
+    return yoyYears.map((y) => {
+      const shift = Number(y) - Number(year);
+      const pts = yoyHourly.byShift[shift] || [];
+      return {
+        year: y,
+        // a range across New Year is named by its real dates
+        span:
+          pts.length && pts[0].d.slice(0, 4) !== pts[pts.length - 1].d.slice(0, 4)
+            ? { from: pts[0].d, to: pts[pts.length - 1].d }
+            : null,
+        rows: alignHourly(toCurrency(pts), -shift),
+      };
+    });
+  }, [yoyHourlyKey, yoyHourly, yoyYears, year, toCurrency]);
+
+  // --------- Comparison overlays ----------
+  const comparing = pins.length > 0;
+  const primaryLabel = `${projectLabel} — ${node || "—"}`;
+
+  const histCalendar = useMemo(
+    () => (histGroup === "calendar" ? calendarMonths(histChart) : null),
+    [histGroup, histChart]
+  );
+
+  // --------- Bands, moving averages and y-axis mode ----------
+  const [histBands, setHistBands] = useState(true);
+  const [histScale, setHistScale] = useState("linear"); // linear | log | clip
+  const [annualBands, setAnnualBands] = useState(true);
+  const [annualScale, setAnnualScale] = useState("linear");
+  const [maWindows, setMaWindows] = useState([]); // days, on the annual chart
+  // Over the whole series, so early January already has its 30/90-day window.
+  const rolling = useMemo(
+    () => (maWindows.length ? rollingAverages(dailySeries, maWindows) : null),
+    [dailySeries, maWindows]
+  );
+
+  const histData = useMemo(
+    () =>
+      histCalendar
+        ? histCalendar.rows
+        : overlaySeries(
+            histBands ? histChart.map((r) => ({ ...r, band: bandOf(r) })) : histChart,
+            pinSeries.map((s) => ({ dataKey: s.key, rows: s.hist, field: "avg" })),
+            (r) => ({ year: r.year })
+          ),
+    [histCalendar, histChart, histBands, pinSeries]
+  );
+  const histAxis = useMemo(
+    () =>
+      histCalendar
+        ? {}
+        : yAxisProps(
+            histData.flatMap((r) => [r.avg, ...(r.band || []), ...pinSeries.map((s) => r[s.key])]),
+            histScale
+          ),
+    [histCalendar, histData, pinSeries, histScale]
+  );
+
+  const annualData = useMemo(() => {
+    const rows = overlaySeries(
+      annualChart.map((r) => {
+        const types = eventIndex.byDay.get(r.t);
+        return {
+          ...r,
+          ...(annualBands ? { band: bandOf(r) } : {}),
+          ...(rolling?.get(r.t) || {}),
+          ...(types ? { eventMark: r.avg, eventTypes: types } : {}),
+        };
+      }),
+      [
+        ...pinSeries.map((s) => ({ dataKey: s.key, rows: s.annual, field: "avg" })),
+        ...yoyYears.map((y) => ({
+          dataKey: yoyKey(y),
+          rows: alignDaily(dailySeries, y, year),
+          field: "avg",
+        })),
+      ]
+    );
+    return yoyRef ? withDelta(rows, "avg", yoyKey(yoyRef)) : rows;
+  }, [annualChart, annualBands, rolling, pinSeries, eventIndex, yoyYears, yoyRef, dailySeries, year]);
+  const annualAxis = useMemo(() => {
+    const keys = [
+      ...maWindows.map(rollingKey),
+      ...pinSeries.map((s) => s.key),
+      ...yoyYears.map(yoyKey),
+    ];
+    return yAxisProps(
+      annualData.flatMap((r) => [r.avg, ...(r.band || []), ...keys.map((k) => r[k])]),
+      annualScale
+    );
+  }, [annualData, maWindows, pinSeries, yoyYears, annualScale]);
+
+  const annualYoy = useMemo(
+    () => (yoyRef ? yoyChange(annualData, "avg", yoyKey(yoyRef)) : null),
+    [annualData, yoyRef]
+  );
+
+  const monthRows = useMemo(
+    () =>
+      overlaySeries(
+        market === "spread"
+          ? monthlySeries.map((r) => (r.gap ? { ...r, gapMark: 0 } : r))
+          : eventIndex.byHour.size
+            ? monthlySeries.map((r) => {
+                const types = eventIndex.byHour.get(`${r.d}|${r.h}`);
+                return types ? { ...r, eventMark: r.pml, eventTypes: types } : r;
+              })
+            : monthlySeries,
+        [
+          ...pinSeries.map((s) => ({ dataKey: s.key, rows: s.monthly, field: "pml" })),
+          ...yoyHourlyRows.map((o) => ({ dataKey: yoyKey(o.year), rows: o.rows, field: "pml" })),
+        ],
+        (r) => ({ d: r.d, h: r.h })
+      ),
+    [monthlySeries, pinSeries, market, eventIndex, yoyHourlyRows]
+  );
+  const monthData = useMemo(
+    () => (yoyRef && yoyHourlyRows.length ? withDelta(monthRows, "pml", yoyKey(yoyRef)) : monthRows),
+    [monthRows, yoyRef, yoyHourlyRows]
+  );
+  const monthYoy = useMemo(
+    () => (yoyRef && yoyHourlyRows.length ? yoyChange(monthData, "pml", yoyKey(yoyRef)) : null),
+    [monthData, yoyRef, yoyHourlyRows]
+  );
+
+  // Note markers per chart; the day chart's x is the hour alone.
+  const histNoteMarks = useMemo(
+    () => (histCalendar ? [] : noteMarks(notes, histData, (r) => r.t)),
+    [notes, histData, histCalendar]
+  );
+  const annualNoteMarks = useMemo(
+    () => noteMarks(notes, annualData, (r) => r.t),
+    [notes, annualData]
+  );
+  const monthNoteMarks = useMemo(
+    () => noteMarks(notes, monthData, (r) => r.t),
+    [notes, monthData]
   );
 
-  const daySeries = useMemo(() => {
-    if (!day) return [];
-    return monthlySeries
-      .filter((r) => r.d === day)
-      .slice()
-      .sort((a, b) => a.h - b.h)
-      .map((r) => ({ t: `${pad2(r.h)}:00`, pml: r.pml, hour: r.h }));
-  }, [monthlySeries, day]);
+  // Points actually drawn: LTTB on the price, keeping event / gap marks,
+  // notes and the edges of shaded spans so those layers still find their x
+  // values.
+  const monthLttbInput = useMemo(() => {
+    if (monthData.length <= MAX_CHART_POINTS) return null;
+    const edges = new Set(monthShade.flatMap((a) => [a.x1, a.x2]));
+    for (const m of monthNoteMarks) edges.add(m.x);
+    const keep = [];
+    monthData.forEach((r, i) => {
+      if (r.eventMark !== undefined || r.gapMark !== undefined || edges.has(r.t)) keep.push(i);
+    });
+    return {
+      values: Float64Array.from(monthData, (r) => r.pml ?? NaN),
+      threshold: MAX_CHART_POINTS,
+      keep,
+    };
+  }, [monthData, monthShade, monthNoteMarks]);
+  const monthPicks = useWorkerResult("lttb", monthLttbInput, null, monthWorkerError);
+  const monthChartData = useMemo(() => {
+    if (!monthLttbInput) return monthData;
+    return monthPicks ? Array.from(monthPicks, (i) => monthData[i]) : NO_ROWS;
+  }, [monthData, monthLttbInput, monthPicks]);
 
-  const dayStats = useMemo(
-    () => computeStats(daySeries.map((r) => r.pml)),
-    [daySeries]
+  const dayData = useMemo(
+    () =>
+      overlaySeries(
+        daySeries.map((r) => {
+          const types = eventIndex.byHour.get(`${day}|${r.hour}`);
+          return types ? { ...r, eventMark: r.pml, eventTypes: types } : r;
+        }),
+        pinSeries.map((s) => ({ dataKey: s.key, rows: s.daily, field: "pml" })),
+        (r) => ({ hour: r.hour })
+      ),
+    [daySeries, pinSeries, eventIndex, day]
+  );
+  const dayNoteMarks = useMemo(
+    () => (day ? noteMarks(notes, dayData, (r) => `${day} ${r.t}`, (r) => r.t) : []),
+    [notes, dayData, day]
   );
 
-  // --------- Zoom interactions ----------
-  const scrollToRef = (ref) => {
-    const el = ref.current;
-    if (!el) return;
-    el.scrollIntoView({ behavior: "smooth", block: "start" });
-  };
-
-  const onHistClick = (e) => {
-    const p = e?.activePayload?.[0]?.payload;
-    if (!p?.year) return;
-    setYear(p.year);
-    setTimeout(() => scrollToRef(annualRef), 50);
-  };
+  const compareStats = useMemo(() => {
+    if (!comparing) return null;
+    const build = (field, primaryRows, pick) => [
+      {
+        key: "primary",
+        label: primaryLabel,
+        color: SERIES_COLORS[0],
+        error: null,
+        stats: summarize(primaryRows.map((r) => r[field])),
+      },
+      ...pinSeries.map((s) => ({
+        key: s.key,
+        label: s.label,
+        color: s.color,
+        error: s.error,
+        notFound: s.notFound,
+        stats: summarize(pick(s).map((r) => r[field])),
+      })),
+    ];
+    return {
+      hist: build("avg", histChart, (s) => s.hist),
+      annual: build("avg", annualChart, (s) => s.annual),
+      month: build("pml", monthlySeries, (s) => s.monthly),
+      day: build("pml", daySeries, (s) => s.daily),
+    };
+  }, [comparing, primaryLabel, pinSeries, histChart, annualChart, monthlySeries, daySeries]);
 
-  const onAnnualClick = (e) => {
-    const p = e?.activePayload?.[0]?.payload;
-    if (!p?.t) return;
-    const clickedDay = p.t;
-    const mk = monthKeyFromDate(clickedDay);
+  // --------- Export (CSV / XLSX) ----------
+  // Rows are exactly what the charts draw: active selection first, then pinned series.
+  // Built on each export so the headers follow the current language.
+  const exportTables = () => {
+    const metaCols = [
+      t("export.project"),
+      t("export.node"),
+      t("export.system"),
+      t("export.rawNode"),
+      t("export.tz"),
+    ].map((label) => ({ label, type: "text" }));
+    const primaryMeta = [
+      projectLabel,
+      node,
+      subtitleBits.sys || "",
+      monthlyMeta?.rawNode || "",
+      dailyMeta.tz || "",
+    ];
+    const table = (name, cols, primaryRows, pick, toRow) => ({
+      name,
+      columns: [...metaCols, ...cols],
+      rows: [
+        ...primaryRows.map((r) => [...primaryMeta, ...toRow(r)]),
+        ...pinSeries.flatMap((s) => pick(s).map((r) => [...s.exportMeta, ...toRow(r)])),
+      ],
+    });
+    const money = (label) => ({ label: `${label} (${unit})`, type: "money" });
+    // USD exports carry the rate each row was converted with.
+    const fxCols = rateOf ? [{ label: t("export.rate"), type: "rate" }] : [];
+    const fxVals = (r) => (rateOf ? [r.fx ?? null] : []);
+    const componentCols = hasComponents ? COMPONENTS.map((c) => money(t(`component.${c.key}`))) : [];
+    const componentVals = (r) => (hasComponents ? COMPONENTS.map((c) => r[c.key] ?? null) : []);
+    const cfdCols = [
+      { label: t("cfd.volume"), type: "money" },
+      money("PML"),
+      money(t("cfd.strike")),
+      { label: t("cfd.settlement", { currency: activeCurrency }), type: "money" },
+    ];
+    const cfdVals = (r) => [r.volume, r.pml, r.strike, r.settlement];
+    const cfdMissing = { label: t("cfd.missing"), type: "int" };
 
-    if (monthOptions.includes(mk)) {
-      setMonth(mk);
-    }
-    setDay(clickedDay);
-    setTimeout(() => scrollToRef(monthRef), 50);
+    return {
+      hist: table(
+        t("export.hist"),
+        [
+          { label: t("export.month"), type: "text" },
+          money(t("stats.avg")),
+          money(t("stats.min")),
+          money(t("stats.max")),
+          ...(rateOf ? [{ label: t("export.rateAvg"), type: "rate" }] : []),
+        ],
+        histChart,
+        (s) => s.hist,
+        (r) => [r.t, r.avg, r.min, r.max, ...fxVals(r)]
+      ),
+      annual: table(
+        t("export.annual", { year }),
+        [
+          { label: t("common.date"), type: "text" },
+          { label: t("export.hours"), type: "int" },
+          money(t("stats.avg")),
+          money(t("stats.min")),
+          money(t("stats.max")),
+          ...fxCols,
+        ],
+        annualChart,
+        (s) => s.annual,
+        (r) => [r.t, r.n, r.avg, r.min, r.max, ...fxVals(r)]
+      ),
+      month: table(
+        t("export.hourly", { span: spanLabel }),
+        [
+          { label: t("common.date"), type: "text" },
+          { label: t("common.hour"), type: "text" },
+          money("PML"),
+          ...componentCols,
+          ...fxCols,
+        ],
+        monthlySeries,
+        (s) => s.monthly,
+        (r) => [r.d, `${pad2(r.h)}:00`, r.pml, ...componentVals(r), ...fxVals(r)]
+      ),
+      day: table(
+        t("export.daily", { day }),
+        [
+          { label: t("common.date"), type: "text" },
+          { label: t("common.hour"), type: "text" },
+          money("PML"),
+          ...componentCols,
+          ...fxCols,
+        ],
+        daySeries,
+        (s) => s.daily,
+        (r) => [day, r.t, r.pml, ...componentVals(r), ...fxVals(r)]
+      ),
+      // Contract settlement: the selected node only, no pinned series.
+      cfdHourly: table(
+        t("cfd.exportHourly", { name: contract?.name || "" }),
+        [
+          { label: t("common.date"), type: "text" },
+          { label: t("common.hour"), type: "text" },
+          ...cfdCols,
+        ],
+        cfd?.hourly || [],
+        () => [],
+        (r) => [r.d, `${pad2(r.h)}:00`, ...cfdVals(r)]
+      ),
+      cfdMonthly: table(
+        t("cfd.exportMonthly", { name: contract?.name || "" }),
+        [{ label: t("export.month"), type: "text" }, ...cfdCols, cfdMissing],
+        cfd?.monthly || [],
+        () => [],
+        (r) => [r.key, ...cfdVals(r), r.missing]
+      ),
+      cfdAnnual: table(
+        t("cfd.exportAnnual", { name: contract?.name || "" }),
+        [{ label: t("cfd.year"), type: "text" }, ...cfdCols, cfdMissing],
+        cfd?.annual || [],
+        () => [],
+        (r) => [r.key, ...cfdVals(r), r.missing]
+      ),
+    };
   };
 
-  const onMonthClick = (e) => {
-    const p = e?.activePayload?.[0]?.payload;
-    if (!p?.d) return;
-    setDay(p.d);
-    setTimeout(() => scrollToRef(dayRef), 50);
+  const exportBase = safeFileName(`pml_${projectKey}_${node}`);
+  const exportCsv = (panel, scope) =>
+    downloadCsv(exportTables()[panel], formatMoney, `${exportBase}_${safeFileName(scope)}.csv`);
+  const exportXlsx = (panels, scope) => {
+    const tables = exportTables();
+    downloadXlsx(
+      panels.map((p) => tables[p]),
+      `${exportBase}_${safeFileName(scope)}.xlsx`
+    );
   };
 
-  // --------- UI labels ----------
-  const projectLabel =
-    PROJECTS.find((p) => p.key === projectKey)?.display ||
-    indexData?.displayName ||
-    projectKey;
+  const overlayLines = pinSeries.map((s) => (
+    <Line
+      key={s.key}
+      type="monotone"
+      dataKey={s.key}
+      name={s.label}
+      stroke={s.color}
+      dot={false}
+      strokeWidth={2}
+      connectNulls
+    />
+  ));
 
-  const subtitleBits = useMemo(() => {
-    const sys = (indexData?.nodes || []).find((n) => n.node === node)?.system;
-    return { sys };
-  }, [indexData, node]);
+  // --------- Local cache size ----------
+  const [cacheInfo, setCacheInfo] = useState({ entries: 0, bytes: 0 });
+  useEffect(() => {
+    let cancel = false;
+    const refresh = () =>
+      cacheStats().then((st) => {
+        if (!cancel) setCacheInfo(st);
+      });
+    refresh();
+    const unsubscribe = subscribeCache(refresh);
+    return () => {
+      cancel = true;
+      unsubscribe();
+    };
+  }, []);
 
-  const lastUpdated = useMemo(() => null, []);
+  // --------- Connectivity ----------
+  // Offline when the browser says so or when files are coming from stored
+  // copies (see dataCache.js / public/sw.js).
+  const [offline, setOffline] = useState(() => !navigator.onLine || isOffline());
+  useEffect(() => {
+    const update = () => setOffline(!navigator.onLine || isOffline());
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    const unsubscribe = subscribeCache(update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+      unsubscribe();
+    };
+  }, []);
+  const dataAsOf = lastUpdated || dailyRaw[dailyRaw.length - 1]?.d || "—";
 
   // --------- Responsive layout ----------
   const [desktop, setDesktop] = useState(isDesktop());
@@ -497,27 +2902,6 @@ export default function App() {
   }, []);
 
   // --------- Controls ----------
-  const Control = ({ value, onChange, options, disabled, width = 170 }) => (
-    <select
-      value={value}
-      onChange={(e) => onChange(e.target.value)}
-      disabled={disabled}
-      style={{
-        padding: "10px 12px",
-        borderRadius: 12,
-        border: "1px solid #e5e7eb",
-        background: disabled ? "#f3f4f6" : "white",
-        minWidth: width,
-      }}
-    >
-      {options.map((o) => (
-        <option key={o.value} value={o.value}>
-          {o.label}
-        </option>
-      ))}
-    </select>
-  );
-
   const TopBar = (
     <div
       style={{
@@ -529,17 +2913,59 @@ export default function App() {
     >
       <div>
         <div style={{ fontSize: 12, color: "#6b7280" }}>
-          PML MDA · TZ: {dailyMeta.tz || "America/Mexico_City"}
-          {subtitleBits.sys ? ` · Sistema: ${subtitleBits.sys}` : ""}
+          PML {marketLabel} · TZ: {dailyMeta.tz || "America/Mexico_City"}
+          {subtitleBits.sys ? ` · ${t("top.system", { system: subtitleBits.sys })}` : ""}
         </div>
         <h1 style={{ margin: "6px 0 0", fontSize: 26, letterSpacing: -0.2 }}>
           {projectLabel} — {node || "—"}
         </h1>
         <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginTop: 8 }}>
-          <Pill>Zoom: histórico → anual → mensual → diario</Pill>
-          {monthlyMeta?.month ? <Pill>Mes activo: {monthlyMeta.month}</Pill> : null}
-          {day ? <Pill>Día activo: {day}</Pill> : null}
-          {lastUpdated ? <Pill>Actualizado: {lastUpdated}</Pill> : null}
+          <Pill>{t("top.zoom")}</Pill>
+          {describeProject(project) ? <Pill>{describeProject(project)}</Pill> : null}
+          {registry?.source === "builtin" ? (
+            <Pill>
+              <span title={errorMessage(registry.error, t("error.http", { status: 404 }))}>
+                {t("top.builtinProjects", { file: MANIFEST_PATH })}
+              </span>
+            </Pill>
+          ) : null}
+          {monthlyMeta?.month ? <Pill>{t("top.activeMonth", { month: monthlyMeta.month })}</Pill> : null}
+          {day ? <Pill>{t("top.activeDay", { day })}</Pill> : null}
+          {market === "spread" && (gapCounts.mda || gapCounts.mtr || gapCounts.days) ? (
+            <Pill>
+              <span style={{ color: "#dc2626", fontWeight: 700 }}>⚠</span>
+              {t("top.unpaired", { mda: gapCounts.mda, mtr: gapCounts.mtr, days: gapCounts.days, year })}
+            </Pill>
+          ) : null}
+          {currency === "USD" ? (
+            <Pill>
+              {fx.loading
+                ? t("fx.loading")
+                : rateOf
+                  ? t("fx.active") + (fx.table.source ? ` (${fx.table.source})` : "")
+                  : t("fx.missing", { error: fxProblem })}
+            </Pill>
+          ) : null}
+          {offline ? (
+            <Pill>
+              <span style={{ color: "#dc2626", fontWeight: 700 }}>●</span>
+              {t("top.offline", { date: dataAsOf })}
+            </Pill>
+          ) : lastUpdated ? (
+            <Pill>{t("top.updated", { date: lastUpdated })}</Pill>
+          ) : null}
+          <Pill>
+            {t("cache.size", { size: formatBytes(cacheInfo.bytes) })} ·{" "}
+            {tn("cache.files", cacheInfo.entries)}
+            <span
+              role="button"
+              title={t("cache.clearHint")}
+              onClick={() => clearCache()}
+              style={{ color: "#2563eb", cursor: "pointer", marginLeft: 4 }}
+            >
+              {t("cache.clear")}
+            </span>
+          </Pill>
         </div>
       </div>
 
@@ -548,14 +2974,33 @@ export default function App() {
       >
         <Control
           value={projectKey}
-          onChange={(v) => setProjectKey(v)}
-          disabled={loading.idx}
+          onChange={(v) => navigate(() => setProjectKey(v))}
+          disabled={loading.idx || !registry}
           width={180}
-          options={PROJECTS.map((p) => ({ value: p.key, label: p.display }))}
+          options={groupBySystem(projects).flatMap((g) =>
+            g.projects.map((p) => ({
+              value: p.key,
+              label: p.display,
+              group: g.label || t("top.otherSystem"),
+            }))
+          )}
+        />
+        <Control
+          value={market}
+          onChange={(v) => navigate(() => changeMarket(v))}
+          disabled={loading.idx}
+          width={150}
+          options={MARKETS.map((m) => ({ value: m, label: t(`market.${m}`) }))}
+        />
+        <Control
+          value={currency}
+          onChange={(v) => navigate(() => setCurrency(v))}
+          width={90}
+          options={CURRENCIES.map((c) => ({ value: c.key, label: c.label }))}
         />
         <Control
           value={node}
-          onChange={(v) => setNode(v)}
+          onChange={(v) => navigate(() => setNode(v))}
           disabled={loading.idx || !nodeOptions.length}
           width={170}
           options={nodeOptions.map((n) => ({
@@ -565,47 +3010,470 @@ export default function App() {
         />
         <Control
           value={year}
-          onChange={(v) => setYear(v)}
+          onChange={(v) => navigate(() => setYear(v))}
           disabled={loading.daily || !yearOptions.length}
           width={120}
           options={yearOptions.map((y) => ({ value: y, label: y }))}
         />
         <Control
           value={month}
-          onChange={(v) => setMonth(v)}
+          onChange={(v) =>
+            navigate(() => {
+              setMonth(v);
+              setRange(null);
+            })
+          }
           disabled={loading.idx || !monthOptions.length}
           width={130}
           options={monthOptions.map((m) => ({ value: m, label: m }))}
         />
         <Control
           value={day}
-          onChange={(v) => setDay(v)}
+          onChange={(v) => navigate(() => setDay(v))}
           disabled={loading.month || !dayOptions.length}
           width={150}
           options={dayOptions.map((d) => ({ value: d, label: d }))}
         />
+        <Button
+          onClick={pinCurrent}
+          disabled={!node || isPinned || pins.length >= MAX_PINS}
+          title={t("pins.addHint", { max: MAX_PINS })}
+        >
+          {t("pins.add")}
+        </Button>
+        <Button
+          active={annotating}
+          onClick={() => setAnnotating((a) => !a)}
+          disabled={!node}
+          title={t("notes.annotateHint")}
+        >
+          {t("notes.annotate")}
+        </Button>
+        <Button
+          onClick={() => exportXlsx(["hist", "annual", "month", "day"], day || month || year)}
+          disabled={!node}
+          title={t("export.excelHint")}
+        >
+          {t("export.excel")}
+        </Button>
+        <Control
+          value={lang}
+          onChange={changeLang}
+          width={70}
+          options={LANGS.map((l) => ({ value: l.key, label: l.label }))}
+        />
       </div>
     </div>
   );
 
-  const ErrorBanner = error ? (
+  const PinBar = comparing ? (
+    <div
+      style={{
+        display: "flex",
+        gap: 8,
+        flexWrap: "wrap",
+        alignItems: "center",
+        marginTop: 12,
+      }}
+    >
+      <span style={{ fontSize: 12, color: "#6b7280" }}>
+        {loading.pins ? t("pins.comparingLoading") : t("pins.comparing")}
+      </span>
+      <Pill>
+        <SeriesSwatch color={SERIES_COLORS[0]} />
+        {t("pins.current", { label: primaryLabel })}
+      </Pill>
+      {pinSeries.map((s) => (
+        <Pill key={s.key}>
+          <SeriesSwatch color={s.color} />
+          {s.label}
+          <span
+            role="button"
+            title={t("pins.remove")}
+            onClick={() => unpin(s.id)}
+            style={{ cursor: "pointer", fontWeight: 700, marginLeft: 2 }}
+          >
+            ×
+          </span>
+        </Pill>
+      ))}
+      <span
+        role="button"
+        onClick={() => setPins([])}
+        style={{ fontSize: 12, color: "#2563eb", cursor: "pointer" }}
+      >
+        {t("pins.clear")}
+      </span>
+    </div>
+  ) : null;
+
+  const ErrorBanner = errors.idx ? (
+    <PanelError
+      error={errors.idx}
+      notFound={t("error.indexNotFound", { project: projectKey })}
+      onRetry={() => retryPanel("idx")}
+    />
+  ) : null;
+
+  const DailyError = errors.daily ? (
+    <PanelError
+      error={errors.daily}
+      notFound={t("error.dailyNotFound", { node })}
+      onRetry={() => retryPanel("daily")}
+    />
+  ) : null;
+
+  const MonthError = errors.month ? (
+    <PanelError
+      error={errors.month}
+      notFound={t("error.monthNotFound", { span: spanLabel })}
+      onRetry={() => retryPanel("month")}
+    />
+  ) : null;
+
+  // Floating box: the note being written, or the annotation-mode hint.
+  const dockStyle = {
+    position: "fixed",
+    right: 20,
+    bottom: 20,
+    zIndex: 10,
+    width: 340,
+    maxWidth: "calc(100vw - 40px)",
+    padding: 14,
+    borderRadius: 14,
+    border: "1px solid #e5e7eb",
+    background: "white",
+    boxShadow: "0 10px 30px rgba(0,0,0,0.12)",
+    fontSize: 12,
+  };
+  const NoteDock = draft ? (
+    <div style={dockStyle}>
+      <div style={{ fontWeight: 700, fontSize: 13 }}>
+        {t(draft.id ? "notes.editTitle" : "notes.newTitle", { at: formatTooltipLabel(draft.at) })}
+      </div>
+      <div style={{ color: "#6b7280", marginTop: 2 }}>
+        {projectLabel} — {node}
+      </div>
+      <div style={{ marginTop: 10 }}>
+        <Control
+          value={draft.category}
+          onChange={(v) => setNoteDraft((d) => ({ ...d, category: v }))}
+          width={200}
+          options={NOTE_CATEGORIES.map((c) => ({ value: c.key, label: t(`notes.category.${c.key}`) }))}
+        />
+      </div>
+      <textarea
+        value={draft.text}
+        onChange={(e) => setNoteDraft((d) => ({ ...d, text: e.target.value }))}
+        placeholder={t("notes.placeholder")}
+        rows={4}
+        autoFocus
+        style={{
+          marginTop: 8,
+          width: "100%",
+          boxSizing: "border-box",
+          padding: 8,
+          borderRadius: 10,
+          border: "1px solid #e5e7eb",
+          font: "inherit",
+          resize: "vertical",
+        }}
+      />
+      <div style={{ display: "flex", gap: 8, marginTop: 8, justifyContent: "flex-end" }}>
+        {draft.id ? (
+          <Button onClick={() => deleteNote(draft.id)}>{t("notes.delete")}</Button>
+        ) : null}
+        <Button onClick={() => setNoteDraft(null)}>{t("notes.cancel")}</Button>
+        <Button active onClick={saveDraft} disabled={!draft.text.trim()}>
+          {t("notes.save")}
+        </Button>
+      </div>
+    </div>
+  ) : annotating ? (
+    <div style={{ ...dockStyle, display: "flex", gap: 10, alignItems: "center" }}>
+      <span style={{ flex: 1 }}>{t("notes.annotating")}</span>
+      <Button onClick={() => setAnnotating(false)}>{t("notes.done")}</Button>
+    </div>
+  ) : null;
+
+  const UrlWarningBanner = urlWarnings.length ? (
     <div
       style={{
         marginTop: 14,
         padding: 12,
         borderRadius: 14,
-        border: "1px solid #fecaca",
-        background: "#fff1f2",
-        color: "#991b1b",
+        border: "1px solid #fde68a",
+        background: "#fffbeb",
+        color: "#92400e",
+        display: "flex",
+        justifyContent: "space-between",
+        gap: 12,
+        alignItems: "flex-start",
+      }}
+    >
+      <div>
+        <b>{t("url.title")}</b>{" "}
+        {urlWarnings.map((w, i) => (
+          <div key={i}>{noteText(w)}</div>
+        ))}
+      </div>
+      <span
+        role="button"
+        onClick={() => setUrlWarnings([])}
+        style={{ cursor: "pointer", fontWeight: 700 }}
+      >
+        ×
+      </span>
+    </div>
+  ) : null;
+
+  const showComponents = hasComponents && componentView !== "off";
+  const showSeriesNames = comparing || showComponents || yoyYears.length > 0;
+
+  const moneyTooltip = (value, name, item) => {
+    const r = item?.payload || {};
+    if (item?.dataKey === "gapMark") return [t("spread.noData", { market: r.gap.toUpperCase() }), "⚠"];
+    if (item?.dataKey === "eventMark") {
+      return [r.eventTypes.map((k) => t(`events.type.${k}`)).join(", "), t("events.event")];
+    }
+    const parts =
+      market === "spread" && r.mda !== null && r.mtr !== null && r.mda !== undefined
+        ? ` (MTR ${formatMoney(r.mtr)} − MDA ${formatMoney(r.mda)})`
+        : "";
+    const rate = r.fx ? ` · ${t("fx.short", { rate: formatRate(r.fx) })}` : "";
+    return [`${formatMoney(value)} ${unit}${parts}${rate}`, showSeriesNames ? name : ""];
+  };
+
+  // Histórico / annual: the band arrives as [min, max], and every series is
+  // named since the band and moving averages share the chart with the average.
+  const rangeTooltip = (value, name, item) => {
+    if (Array.isArray(value)) {
+      return [`${formatMoney(value[0])} – ${formatMoney(value[1])} ${unit}`, name];
+    }
+    const [text, label] = moneyTooltip(value, name, item);
+    return [text, label || name];
+  };
+
+  // Energy/losses/congestion drawn as lines or as a stack that adds up to the PML.
+  const componentLayers = showComponents
+    ? COMPONENTS.filter((c) => componentOn[c.key]).map((c) =>
+        componentView === "stacked" ? (
+          <Area
+            key={c.key}
+            type="monotone"
+            dataKey={c.key}
+            name={t(`component.${c.key}`)}
+            stackId="components"
+            stroke={c.color}
+            fill={c.color}
+            fillOpacity={0.35}
+            isAnimationActive={false}
+          />
+        ) : (
+          <Line
+            key={c.key}
+            type="monotone"
+            dataKey={c.key}
+            name={t(`component.${c.key}`)}
+            stroke={c.color}
+            dot={false}
+            strokeWidth={1.5}
+            isAnimationActive={false}
+          />
+        )
+      )
+    : null;
+
+  const ComponentControls = hasComponents ? (
+    <div
+      style={{
+        display: "flex",
+        gap: 8,
+        flexWrap: "wrap",
+        alignItems: "center",
+        marginTop: 10,
+        fontSize: 12,
+        color: "#374151",
       }}
     >
-      <b>Error:</b> {error}
+      <span style={{ color: "#6b7280" }}>{t("component.title")}</span>
+      {["off", "lines", "stacked"].map((v) => (
+        <Button key={v} active={componentView === v} onClick={() => setComponentView(v)}>
+          {t(`component.view.${v}`)}
+        </Button>
+      ))}
+      {componentView !== "off"
+        ? COMPONENTS.map((c) => (
+            <label
+              key={c.key}
+              style={{ display: "inline-flex", gap: 4, alignItems: "center", cursor: "pointer" }}
+            >
+              <input
+                type="checkbox"
+                checked={componentOn[c.key]}
+                onChange={(e) => setComponentOn((o) => ({ ...o, [c.key]: e.target.checked }))}
+              />
+              <SeriesSwatch color={c.color} />
+              {t(`component.${c.key}`)}
+            </label>
+          ))
+        : null}
     </div>
   ) : null;
 
-  const moneyTooltip = (value) => [`${formatMoney(value)} $/MWh`, ""];
-  const TooltipLabel = ({ label }) => <span style={{ fontSize: 12 }}>{label}</span>;
+  // Spread mode: red dots on the zero line where one market is missing.
+  const gapLine =
+    market === "spread" ? (
+      <Line
+        type="monotone"
+        dataKey="gapMark"
+        name={t("spread.unpaired")}
+        stroke="none"
+        dot={{ r: 3, fill: "#dc2626", stroke: "#dc2626" }}
+        activeDot={{ r: 4, fill: "#dc2626" }}
+        legendType="none"
+        isAnimationActive={false}
+      />
+    ) : null;
+  const qualityLayer = (areas) =>
+    areas.map((a) => (
+      <ReferenceArea
+        key={`${a.x1}|${a.x2}`}
+        x1={a.x1}
+        x2={a.x2}
+        fill="#f59e0b"
+        fillOpacity={0.15}
+        ifOverflow="hidden"
+      />
+    ));
+
+  const notesLayer = (marks) =>
+    showNotes
+      ? marks.map((m) => (
+          <ReferenceLine
+            key={`note|${m.x}`}
+            x={m.x}
+            stroke={categoryColor(m.notes[0].category)}
+            strokeDasharray="4 3"
+            ifOverflow="hidden"
+            label={{
+              value: m.notes.length > 1 ? `✎${m.notes.length}` : "✎",
+              position: "insideTopLeft",
+              fill: categoryColor(m.notes[0].category),
+              fontSize: 12,
+            }}
+          />
+        ))
+      : null;
+
+  // Year-over-year: dashed lines for the other years, aligned on this year's dates.
+  const yoyLines = (labels) =>
+    yoyYears.map((y) => (
+      <Line
+        key={y}
+        type="monotone"
+        dataKey={yoyKey(y)}
+        name={labels?.[y] || y}
+        stroke={yoyColor(y)}
+        strokeDasharray="5 3"
+        dot={false}
+        strokeWidth={1.5}
+        isAnimationActive={false}
+      />
+    ));
+
+  const yoyDeltaChart = (data, xKey, minTickGap) =>
+    yoyRef ? (
+      <div style={{ height: 120, marginTop: 6 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={data}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey={xKey} minTickGap={minTickGap} tickFormatter={formatAxisLabel} />
+            <YAxis tickFormatter={formatTick} />
+            <Tooltip
+              label={<TooltipLabel />}
+              labelFormatter={formatTooltipLabel}
+              formatter={(v) => [`${formatSigned(v)} ${unit}`, `Δ ${year} − ${yoyRef}`]}
+            />
+            <Area
+              type="monotone"
+              dataKey="yoyDelta"
+              stroke="#6b7280"
+              fill="#9ca3af"
+              fillOpacity={0.35}
+              baseValue={0}
+              isAnimationActive={false}
+            />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+    ) : null;
+
+  const YoyControls = (
+    <div
+      style={{
+        display: "flex",
+        gap: 8,
+        flexWrap: "wrap",
+        alignItems: "center",
+        marginTop: 10,
+        fontSize: 12,
+        color: "#374151",
+      }}
+    >
+      <label style={{ display: "inline-flex", gap: 4, alignItems: "center", cursor: "pointer" }}>
+        <input type="checkbox" checked={yoyOn} onChange={(e) => setYoyOn(e.target.checked)} />
+        {t("yoy.toggle")}
+      </label>
+      {yoyOn
+        ? yearOptions
+            .filter((y) => y !== year)
+            .map((y) => (
+              <label
+                key={y}
+                style={{ display: "inline-flex", gap: 4, alignItems: "center", cursor: "pointer" }}
+              >
+                <input
+                  type="checkbox"
+                  checked={yoyYears.includes(y)}
+                  disabled={!yoyYears.includes(y) && yoyYears.length >= MAX_YOY_YEARS}
+                  onChange={() => toggleYoyYear(y)}
+                />
+                {yoyYears.includes(y) ? <SeriesSwatch color={yoyColor(y)} /> : null}
+                {y}
+              </label>
+            ))
+        : null}
+      {yoyOn && yoyRef ? (
+        <span style={{ color: "#6b7280" }}>{t("yoy.against", { year: yoyRef })}</span>
+      ) : null}
+    </div>
+  );
 
+  // Event markers on top of the PML line (spikes, negative/zero prices, jumps).
+  const eventLine = visibleEvents.length ? (
+    <Line
+      type="monotone"
+      dataKey="eventMark"
+      name={t("events.events")}
+      stroke="none"
+      dot={{ r: 3.5, fill: "#fff", stroke: "#dc2626", strokeWidth: 2 }}
+      activeDot={{ r: 5, fill: "#dc2626" }}
+      legendType="none"
+      isAnimationActive={false}
+    />
+  ) : null;
+  const bandArea = (
+    <Area
+      type="monotone"
+      dataKey="band"
+      name={t("axis.minMax")}
+      stroke="none"
+      fill={SERIES_COLORS[0]}
+      fillOpacity={0.15}
+      isAnimationActive={false}
+    />
+  );
   return (
     <div
       style={{
@@ -616,7 +3484,10 @@ export default function App() {
     >
       <div style={{ maxWidth: 1280, margin: "0 auto", padding: 20 }}>
         {TopBar}
+        {PinBar}
+        {UrlWarningBanner}
         {ErrorBanner}
+        {NoteDock}
 
         <div
           style={{
@@ -628,65 +3499,198 @@ export default function App() {
         >
           <Card>
             <SectionHeader
-              title="1) Histórico (resumen mensual)"
-              subtitle="Click en un punto para saltar al año correspondiente."
+              title={t("hist.title")}
+              subtitle={t("hist.subtitle")}
               right={
                 loading.daily ? (
-                  <LoadingInline text="Cargando daily…" />
+                  <LoadingInline text={t("hist.loading")} />
                 ) : (
-                  <div style={{ fontSize: 12, color: "#6b7280" }}>
-                    {histChart.length} meses
+                  <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
+                    <div style={{ fontSize: 12, color: "#6b7280" }}>
+                      {tn("common.months", histChart.length)}
+                    </div>
+                    <Button
+                      active={histGroup === "timeline"}
+                      onClick={() => setHistGroup("timeline")}
+                    >
+                      {t("hist.timeline")}
+                    </Button>
+                    <Button
+                      active={histGroup === "calendar"}
+                      onClick={() => setHistGroup("calendar")}
+                      title={t("hist.calendarHint")}
+                    >
+                      {t("hist.calendar")}
+                    </Button>
+                    <ExportButtons
+                      disabled={!histChart.length}
+                      onCsv={() => exportCsv("hist", "historico")}
+                      onXlsx={() => exportXlsx(["hist"], "historico")}
+                    />
                   </div>
                 )
               }
             />
+            {DailyError}
             <div style={{ height: 260, marginTop: 10 }}>
               <ResponsiveContainer width="100%" height="100%">
-                <LineChart data={histChart} onClick={onHistClick}>
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="t" minTickGap={40} />
-                  <YAxis />
-                  <Tooltip label={<TooltipLabel />} formatter={(v) => moneyTooltip(v)} />
-                  <Line type="monotone" dataKey="avg" dot={false} strokeWidth={2} />
-                </LineChart>
+                {histCalendar ? (
+                  <LineChart data={histData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="t" tickFormatter={formatAxisLabel} />
+                    <YAxis tickFormatter={formatTick} />
+                    <Tooltip
+                      label={<TooltipLabel />}
+                      labelFormatter={formatTooltipLabel}
+                      formatter={(v, name, item) => [moneyTooltip(v, name, item)[0], name]}
+                    />
+                    <Legend />
+                    {histCalendar.years.map((y, i, all) => (
+                      <Line
+                        key={y}
+                        type="monotone"
+                        dataKey={yoyKey(y)}
+                        name={y}
+                        stroke={
+                          y === year
+                            ? SERIES_COLORS[0]
+                            : YEAR_COLORS[(all.length - 1 - i) % YEAR_COLORS.length]
+                        }
+                        strokeWidth={y === year ? 2.5 : 1.5}
+                        dot={{ r: 2 }}
+                        isAnimationActive={false}
+                      />
+                    ))}
+                  </LineChart>
+                ) : (
+                  <ComposedChart data={histData} onClick={onHistClick}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="t" minTickGap={40} tickFormatter={formatAxisLabel} />
+                    <YAxis {...histAxis} tickFormatter={formatTick} />
+                    <Tooltip
+                      label={<TooltipLabel />}
+                      labelFormatter={formatTooltipLabel}
+                      formatter={rangeTooltip}
+                    />
+                    {comparing ? <Legend /> : null}
+                    {histBands ? bandArea : null}
+                    <Line
+                      type="monotone"
+                      dataKey="avg"
+                      name={primaryLabel}
+                      stroke={SERIES_COLORS[0]}
+                      dot={false}
+                      strokeWidth={2}
+                    />
+                    {overlayLines}
+                    {notesLayer(histNoteMarks)}
+                  </ComposedChart>
+                )}
               </ResponsiveContainer>
             </div>
+            {!histCalendar ? (
+              <ChartOptions
+                bands={histBands}
+                onBands={setHistBands}
+                scale={histScale}
+                onScale={setHistScale}
+              />
+            ) : null}
+            {compareStats && !histCalendar ? (
+              <SeriesStats series={compareStats.hist} count="months" />
+            ) : null}
             <div style={{ marginTop: 10, fontSize: 12, color: "#6b7280" }}>
-              Fuente: agregado diario → mensual (promedio de promedios diarios).
+              {t("hist.source")}
             </div>
           </Card>
 
           <Card>
             <div ref={annualRef} />
             <SectionHeader
-              title={`2) Anual (diario) — ${year}`}
-              subtitle="Click en un día para abrir el mes y el detalle diario."
+              title={t("annual.title", { year })}
+              subtitle={t("annual.subtitle")}
               right={
                 loading.daily ? (
                   <LoadingInline text="…" />
                 ) : (
                   <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
-                    <StatCard label="Min (avg diario)" value={annualStats.min} />
-                    <StatCard label="Avg (avg diario)" value={annualStats.avg} />
-                    <StatCard label="Max (avg diario)" value={annualStats.max} />
+                    <StatCard label={t("annual.min")} value={annualStats.min} />
+                    <StatCard label={t("annual.avg")} value={annualStats.avg} />
+                    <StatCard label={t("annual.max")} value={annualStats.max} />
+                    <PercentileCard stats={annualStats} />
+                    <YoyCards change={annualYoy} refYear={yoyRef} suffix={t("yoy.daily")} />
+                    {captureApplies && yearCapture ? (
+                      <StatCard
+                        label={t("capture.short")}
+                        value={formatMoney(yearCapture.capture)}
+                        hint={t("capture.ofFlat", { pct: formatPct(yearCapture.rate) ?? "—" })}
+                      />
+                    ) : null}
+                    <ExportButtons
+                      disabled={!annualChart.length}
+                      onCsv={() => exportCsv("annual", `anual_${year}`)}
+                      onXlsx={() => exportXlsx(["annual"], `anual_${year}`)}
+                    />
                   </div>
                 )
               }
             />
+            {DailyError}
             <div style={{ height: 260, marginTop: 10 }}>
               <ResponsiveContainer width="100%" height="100%">
-                <LineChart data={annualChart} onClick={onAnnualClick}>
+                <ComposedChart data={annualData} onClick={onAnnualClick}>
                   <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="t" minTickGap={45} />
-                  <YAxis />
-                  <Tooltip label={<TooltipLabel />} formatter={(v) => moneyTooltip(v)} />
-                  <Line type="monotone" dataKey="avg" dot={false} strokeWidth={2} />
-                </LineChart>
+                  <XAxis dataKey="t" minTickGap={45} tickFormatter={formatAxisLabel} />
+                  <YAxis {...annualAxis} tickFormatter={formatTick} />
+                  <Tooltip
+                    label={<TooltipLabel />}
+                    labelFormatter={formatTooltipLabel}
+                    formatter={rangeTooltip}
+                  />
+                  {comparing || yoyYears.length || maWindows.length ? <Legend /> : null}
+                  {annualBands ? bandArea : null}
+                  <Line
+                    type="monotone"
+                    dataKey="avg"
+                    name={yoyYears.length ? `${primaryLabel} (${year})` : primaryLabel}
+                    stroke={SERIES_COLORS[0]}
+                    dot={false}
+                    strokeWidth={2}
+                  />
+                  {maWindows.map((w) => (
+                    <Line
+                      key={w}
+                      type="monotone"
+                      dataKey={rollingKey(w)}
+                      name={t("axis.movingAverage", { n: w })}
+                      stroke={MA_COLORS[w]}
+                      dot={false}
+                      strokeWidth={1.5}
+                      isAnimationActive={false}
+                    />
+                  ))}
+                  {overlayLines}
+                  {yoyLines()}
+                  {gapLine}
+                  {eventLine}
+                  {qualityLayer(annualShade)}
+                  {notesLayer(annualNoteMarks)}
+                </ComposedChart>
               </ResponsiveContainer>
             </div>
+            <ChartOptions
+              bands={annualBands}
+              onBands={setAnnualBands}
+              scale={annualScale}
+              onScale={setAnnualScale}
+              windows={maWindows}
+              onWindows={setMaWindows}
+            />
+            {yoyDeltaChart(annualData, "t", 45)}
+            {YoyControls}
+            {compareStats ? <SeriesStats series={compareStats.annual} count="days" /> : null}
             <div style={{ marginTop: 10, fontSize: 12, color: "#6b7280" }}>
-              Tip: días con 23/25 horas (DST) se reflejan en el conteo “n” del agregado
-              diario.
+              {t("annual.tip")}
             </div>
           </Card>
         </div>
@@ -695,33 +3699,187 @@ export default function App() {
           <Card>
             <div ref={monthRef} />
             <SectionHeader
-              title={`3) Mensual (horario) — ${month || "—"}`}
-              subtitle="Click en un punto para seleccionar el día y ver el detalle horario abajo."
+              title={t(range ? "month.titleRange" : "month.title", { span: spanLabel || "—" })}
+              subtitle={t("month.subtitle")}
               right={
                 loading.month ? (
-                  <LoadingInline text="Cargando mes…" />
+                  <LoadingInline
+                    text={
+                      rangeProgress.total > 1
+                        ? t("month.loadingMonths", { done: rangeProgress.done, total: rangeProgress.total })
+                        : t("month.loading")
+                    }
+                  />
                 ) : (
                   <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
-                    <StatCard label="Mínimo" value={monthStats.min} hint={`${monthStats.n} pts`} />
-                    <StatCard label="Promedio" value={monthStats.avg} />
-                    <StatCard label="Máximo" value={monthStats.max} />
+                    <StatCard
+                      label={t("stats.min")}
+                      value={monthStats.min}
+                      hint={tn("common.points", monthStats.n)}
+                    />
+                    <StatCard label={t("stats.avg")} value={monthStats.avg} />
+                    <StatCard label={t("stats.max")} value={monthStats.max} />
+                    <PercentileCard stats={monthStats} />
+                    {yoyHourlyLoading ? (
+                      <LoadingInline text={t("yoy.loading")} />
+                    ) : (
+                      <YoyCards change={monthYoy} refYear={yoyRef} suffix={t("yoy.hourly")} />
+                    )}
+                    {captureApplies && monthCapture ? (
+                      <StatCard
+                        label={t("capture.short")}
+                        value={formatMoney(monthCapture.capture)}
+                        hint={t("capture.ofFlat", { pct: formatPct(monthCapture.rate) ?? "—" })}
+                      />
+                    ) : null}
+                    {hasComponents
+                      ? monthComponentStats.map((c) => (
+                          <StatCard
+                            key={c.key}
+                            label={t("component.avg", { label: t(`component.${c.key}`) })}
+                            value={formatMoney(c.avg)}
+                          />
+                        ))
+                      : null}
+                    <ExportButtons
+                      disabled={!monthlySeries.length}
+                      onCsv={() => exportCsv("month", `horario_${spanLabel}`)}
+                      onXlsx={() => exportXlsx(["month"], `horario_${spanLabel}`)}
+                    />
                   </div>
                 )
               }
             />
+            {MonthError}
 
-            <div style={{ height: 340, marginTop: 10 }}>
-              <ResponsiveContainer width="100%" height="100%">
-                <LineChart data={monthlySeries} onClick={onMonthClick}>
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="t" minTickGap={60} />
-                  <YAxis />
-                  <Tooltip label={<TooltipLabel />} formatter={(v) => moneyTooltip(v)} />
-                  <Line type="monotone" dataKey="pml" dot={false} strokeWidth={2} />
-                </LineChart>
-              </ResponsiveContainer>
+            <div
+              style={{
+                display: "flex",
+                gap: 8,
+                flexWrap: "wrap",
+                alignItems: "center",
+                marginTop: 10,
+                fontSize: 12,
+              }}
+            >
+              <span style={{ color: "#6b7280" }}>{t("month.period")}</span>
+              <input
+                type="date"
+                value={spanStart}
+                max={spanEnd || undefined}
+                onChange={(e) => changeRange(e.target.value, spanEnd)}
+                disabled={!node}
+              />
+              <span style={{ color: "#6b7280" }}>{t("month.to")}</span>
+              <input
+                type="date"
+                value={spanEnd}
+                min={spanStart || undefined}
+                onChange={(e) => changeRange(spanStart, e.target.value)}
+                disabled={!node}
+              />
+              {range ? (
+                <Button onClick={() => navigate(() => setRange(null))} title={t("month.backHint")}>
+                  {t("month.only", { month: month || "—" })}
+                </Button>
+              ) : null}
+              <span style={{ color: "#6b7280", marginLeft: 8 }}>{t("month.view")}</span>
+              {[
+                { value: "line", label: t("month.view.line") },
+                { value: "heatmap", label: t(range ? "month.view.heatmapRange" : "month.view.heatmap") },
+                { value: "heatmapYear", label: t("month.view.heatmapYear", { year }) },
+              ].map((o) => (
+                <Button
+                  key={o.value}
+                  active={monthView === o.value}
+                  onClick={() => setMonthView(o.value)}
+                >
+                  {o.label}
+                </Button>
+              ))}
             </div>
 
+            {spanTooLong ? (
+              <div style={{ marginTop: 8, fontSize: 12, color: "#991b1b" }}>
+                {t("month.tooLong", { n: spanMonths.length, max: MAX_RANGE_MONTHS })}
+              </div>
+            ) : null}
+            {rangeNote || spanUnpublished.length ? (
+              <div style={{ marginTop: 8, fontSize: 12, color: "#92400e" }}>
+                {[
+                  rangeNote ? missingMonthsNote(rangeNote.missing, rangeNote.unpublished) : "",
+                  !spanTooLong && spanUnpublished.length
+                    ? t("month.unpublished", { list: spanUnpublished.join(", ") })
+                    : "",
+                ]
+                  .filter(Boolean)
+                  .join(" · ")}
+              </div>
+            ) : null}
+
+            {monthView === "line" ? (
+              <>
+                {ComponentControls}
+
+                <div style={{ height: 340, marginTop: 10 }}>
+                  <ResponsiveContainer width="100%" height="100%">
+                    <ComposedChart data={monthChartData} onClick={onMonthClick} stackOffset="sign">
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="t" minTickGap={60} tickFormatter={formatAxisLabel} />
+                      <YAxis tickFormatter={formatTick} />
+                      <Tooltip
+                        label={<TooltipLabel />}
+                        labelFormatter={formatTooltipLabel}
+                        formatter={moneyTooltip}
+                      />
+                      {showSeriesNames ? <Legend /> : null}
+                      {componentLayers}
+                      <Line
+                        type="monotone"
+                        dataKey="pml"
+                        name={primaryLabel}
+                        stroke={SERIES_COLORS[0]}
+                        dot={false}
+                        strokeWidth={2}
+                      />
+                      {overlayLines}
+                      {yoyLines(
+                        Object.fromEntries(
+                          yoyHourlyRows.map((o) => [o.year, o.span ? t("common.dateSpan", o.span) : o.year])
+                        )
+                      )}
+                      {gapLine}
+                      {eventLine}
+                      {qualityLayer(monthShade)}
+                      {notesLayer(monthNoteMarks)}
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+                {yoyHourlyRows.length ? yoyDeltaChart(monthChartData, "t", 60) : null}
+              </>
+            ) : (
+              <div style={{ marginTop: 10 }}>
+                {heatmapPoints ? (
+                  <PriceHeatmap
+                    points={heatmapPoints}
+                    format={formatMoney}
+                    unit={unit}
+                    selectedDay={day}
+                    onSelectDay={openDay}
+                  />
+                ) : loadYearButton(t("year.load", { year }))}
+                {monthView === "heatmapYear" &&
+                yearHourly.key === yearKey &&
+                yearHourly.error ? (
+                  <div style={{ marginTop: 6, fontSize: 12, color: "#991b1b" }}>
+                    {noteText(yearHourly.error)}
+                  </div>
+                ) : null}
+              </div>
+            )}
+
+            {compareStats ? <SeriesStats series={compareStats.month} count="points" /> : null}
+
             <div
               style={{
                 marginTop: 10,
@@ -734,10 +3892,15 @@ export default function App() {
               }}
             >
               <span>
-                {monthlyMeta?.system ? `Sistema: ${monthlyMeta.system} · ` : ""}
-                {monthlyMeta?.rawNode ? `RawNode: ${monthlyMeta.rawNode}` : ""}
+                {monthlyMeta?.system ? `${t("top.system", { system: monthlyMeta.system })} · ` : ""}
+                {monthlyMeta?.rawNode ? t("top.rawNode", { node: monthlyMeta.rawNode }) : ""}
+              </span>
+              <span>
+                {loading.month ? "" : tn("month.points", monthStats.n)}
+                {!loading.month && monthChartData.length < monthData.length
+                  ? ` · ${t("month.downsampled", { n: formatNumber(monthChartData.length) })}`
+                  : ""}
               </span>
-              <span>{loading.month ? "" : `${monthStats.n} puntos horarios`}</span>
             </div>
           </Card>
         </div>
@@ -746,45 +3909,508 @@ export default function App() {
           <Card>
             <div ref={dayRef} />
             <SectionHeader
-              title={`4) Diario (horario) — ${day || "—"}`}
-              subtitle="Derivado del mes seleccionado. Días con 23/25 horas se muestran tal cual."
+              title={t("day.title", { day: day || "—" })}
+              subtitle={t("day.subtitle")}
               right={
                 daySeries.length ? (
                   <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
                     <StatCard
-                      label="Mínimo"
+                      label={t("stats.min")}
                       value={dayStats.min}
-                      hint={`${daySeries.length} horas`}
+                      hint={tn("common.hours", daySeries.length)}
+                    />
+                    <StatCard label={t("stats.avg")} value={dayStats.avg} />
+                    <StatCard label={t("stats.max")} value={dayStats.max} />
+                    <PercentileCard stats={dayStats} />
+                    {captureApplies && dayCapture ? (
+                      <StatCard
+                        label={t("capture.short")}
+                        value={formatMoney(dayCapture.capture)}
+                        hint={t("capture.ofFlat", { pct: formatPct(dayCapture.rate) ?? "—" })}
+                      />
+                    ) : null}
+                    {hasComponents
+                      ? dayComponentStats.map((c) => (
+                          <StatCard
+                            key={c.key}
+                            label={t("component.avg", { label: t(`component.${c.key}`) })}
+                            value={formatMoney(c.avg)}
+                          />
+                        ))
+                      : null}
+                    <ExportButtons
+                      disabled={!daySeries.length}
+                      onCsv={() => exportCsv("day", `diario_${day}`)}
+                      onXlsx={() => exportXlsx(["day"], `diario_${day}`)}
                     />
-                    <StatCard label="Promedio" value={dayStats.avg} />
-                    <StatCard label="Máximo" value={dayStats.max} />
                   </div>
                 ) : (
-                  <LoadingInline text={loading.month ? "Cargando…" : "Sin datos"} />
+                  <LoadingInline text={loading.month ? t("common.loading") : t("common.noData")} />
                 )
               }
             />
 
+            {ComponentControls}
+
             <div style={{ height: 240, marginTop: 10 }}>
               <ResponsiveContainer width="100%" height="100%">
-                <LineChart data={daySeries}>
+                <ComposedChart data={dayData} onClick={onDayClick} stackOffset="sign">
                   <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="t" />
-                  <YAxis />
-                  <Tooltip label={<TooltipLabel />} formatter={(v) => moneyTooltip(v)} />
-                  <Line type="monotone" dataKey="pml" dot={false} strokeWidth={2} />
-                </LineChart>
+                  <XAxis dataKey="t" tickFormatter={formatAxisLabel} />
+                  <YAxis tickFormatter={formatTick} />
+                  <Tooltip
+                    label={<TooltipLabel />}
+                    labelFormatter={formatTooltipLabel}
+                    formatter={moneyTooltip}
+                  />
+                  {showSeriesNames ? <Legend /> : null}
+                  {componentLayers}
+                  <Line
+                    type="monotone"
+                    dataKey="pml"
+                    name={primaryLabel}
+                    stroke={SERIES_COLORS[0]}
+                    dot={false}
+                    strokeWidth={2}
+                  />
+                  {overlayLines}
+                  {gapLine}
+                  {eventLine}
+                  {notesLayer(dayNoteMarks)}
+                </ComposedChart>
               </ResponsiveContainer>
             </div>
 
+            {compareStats ? <SeriesStats series={compareStats.day} count="hours" /> : null}
+
             <div style={{ marginTop: 10, fontSize: 12, color: "#6b7280" }}>
-              Nota: este panel no descarga más data. Solo filtra el mes ya cargado.
+              {t("day.note")}
             </div>
           </Card>
         </div>
 
+        <div style={{ marginTop: 14 }}>
+          <Card>
+            <SectionHeader
+              title={t("capture.title")}
+              subtitle={t("capture.subtitle")}
+            />
+            <CapturePanel
+              currency={activeCurrency}
+              profile={profile}
+              tech={project?.tech}
+              onChange={updateProfile}
+              onUpload={onUploadProfile}
+              uploadNote={noteText(uploadNote)}
+              disabledReason={
+                captureApplies
+                  ? ""
+                  : t("capture.noSpread")
+              }
+              scopes={[
+                { key: "day", label: t("span.day", { day: day || "—" }), stats: dayCapture },
+                { key: "month", label: spanShort, stats: monthCapture },
+                {
+                  key: "year",
+                  label: t("span.year", { year }),
+                  stats: yearCapture,
+                  action: loadYearButton(t("capture.loadYear", { year })),
+                },
+              ]}
+            />
+            {yearHourly.key === yearKey && yearHourly.error ? (
+              <div style={{ marginTop: 6, fontSize: 12, color: "#991b1b" }}>
+                {noteText(yearHourly.error)}
+              </div>
+            ) : null}
+          </Card>
+        </div>
+
+        <div style={{ marginTop: 14 }}>
+          <Card>
+            <SectionHeader
+              title={t("dist.title")}
+              subtitle={t("dist.subtitle")}
+              right={
+                <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+                  {[
+                    { key: "day", label: t("span.day", { day: day || "—" }) },
+                    { key: "month", label: spanShort },
+                    { key: "year", label: t("span.year", { year }) },
+                    { key: "range", label: t("span.custom") },
+                  ].map((o) => (
+                    <Button key={o.key} active={distScope === o.key} onClick={() => setDistScope(o.key)}>
+                      {o.label}
+                    </Button>
+                  ))}
+                  <label style={{ fontSize: 12, color: "#6b7280" }}>
+                    {t("dist.threshold", { unit: MXN_UNIT })}{" "}
+                    <input
+                      type="number"
+                      value={distThresholdValue ?? ""}
+                      onChange={(e) =>
+                        setDistThreshold(e.target.value === "" ? NaN : Number(e.target.value))
+                      }
+                      style={{ width: 90 }}
+                    />
+                  </label>
+                </div>
+              }
+            />
+            {distScope === "range" ? (
+              <div
+                style={{
+                  display: "flex",
+                  gap: 10,
+                  flexWrap: "wrap",
+                  alignItems: "center",
+                  marginTop: 10,
+                  fontSize: 12,
+                  color: "#6b7280",
+                }}
+              >
+                <label>
+                  {t("common.from")}{" "}
+                  <input
+                    type="date"
+                    value={distRange.start}
+                    onChange={(e) => setDistRange((r) => ({ ...r, start: e.target.value }))}
+                  />
+                </label>
+                <label>
+                  {t("common.to")}{" "}
+                  <input
+                    type="date"
+                    value={distRange.end}
+                    onChange={(e) => setDistRange((r) => ({ ...r, end: e.target.value }))}
+                  />
+                </label>
+                <span>
+                  {yearHourlyPts?.length
+                    ? t("dist.inYear", { year })
+                    : t("dist.inSpan", { span: spanLabel || "—" })}
+                </span>
+              </div>
+            ) : null}
+            {(distScope === "year" || distScope === "range") && !yearHourlyPts?.length ? (
+              <div style={{ marginTop: 10 }}>
+                {loadYearButton(t("dist.loadYear", { year }))}
+              </div>
+            ) : null}
+            {distribution ? (
+              <DistributionPanel dist={distribution} threshold={distThresholdValue} unit={unit} />
+            ) : (
+              <div style={{ marginTop: 10, fontSize: 12, color: "#6b7280" }}>
+                {t("dist.none")}
+              </div>
+            )}
+          </Card>
+        </div>
+
+        <div style={{ marginTop: 14 }}>
+          <Card>
+            <SectionHeader
+              title={t("events.title", { year })}
+              subtitle={t("events.subtitle")}
+              right={
+                eventsApply ? (
+                  <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" }}>
+                    {EVENT_TYPES.map((x) => (
+                      <StatCard
+                        key={x.key}
+                        label={t(`events.type.${x.key}`)}
+                        value={String(events.filter((e) => e.type === x.key).length)}
+                      />
+                    ))}
+                  </div>
+                ) : null
+              }
+            />
+            {eventsApply ? (
+              <>
+                <div
+                  style={{
+                    display: "flex",
+                    gap: 12,
+                    flexWrap: "wrap",
+                    alignItems: "center",
+                    marginTop: 10,
+                    fontSize: 12,
+                    color: "#374151",
+                  }}
+                >
+                  <label>
+                    {t("events.high", { unit: MXN_UNIT })}{" "}
+                    <input
+                      type="number"
+                      value={thresholds.high ?? ""}
+                      onChange={(e) =>
+                        updateThresholds({
+                          high: e.target.value === "" ? null : Number(e.target.value),
+                        })
+                      }
+                      style={{ width: 90 }}
+                    />
+                  </label>
+                  <label>
+                    {t("events.jump", { unit: MXN_UNIT })}{" "}
+                    <input
+                      type="number"
+                      value={thresholds.jump ?? ""}
+                      onChange={(e) =>
+                        updateThresholds({
+                          jump: e.target.value === "" ? null : Number(e.target.value),
+                        })
+                      }
+                      style={{ width: 90 }}
+                    />
+                  </label>
+                  {EVENT_TYPES.map((x) => (
+                    <label
+                      key={x.key}
+                      style={{ display: "inline-flex", gap: 4, alignItems: "center", cursor: "pointer" }}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={eventTypesOn[x.key]}
+                        onChange={(e) => setEventTypesOn((o) => ({ ...o, [x.key]: e.target.checked }))}
+                      />
+                      <SeriesSwatch color={x.color} />
+                      {t(`events.type.${x.key}`)}
+                    </label>
+                  ))}
+                  {!yearHourlyPts?.length ? loadYearButton(t("events.loadYear", { year })) : null}
+                </div>
+                <div style={{ marginTop: 6, fontSize: 12, color: "#6b7280" }}>
+                  {t("events.note", { project: projectLabel, node: node || "—" })}
+                </div>
+                {thresholdNote ? (
+                  <div style={{ marginTop: 6, fontSize: 12, color: "#991b1b" }}>{noteText(thresholdNote)}</div>
+                ) : null}
+                <EventsTable events={visibleEvents} onOpenDay={openDay} unit={unit} />
+              </>
+            ) : (
+              <div style={{ marginTop: 10, fontSize: 12, color: "#6b7280" }}>
+                {t("events.noSpread")}
+              </div>
+            )}
+          </Card>
+        </div>
+
+        <div style={{ marginTop: 14 }}>
+          <Card>
+            <SectionHeader
+              title={t("quality.title", { node: node || "—" })}
+              subtitle={t("quality.subtitle", { tz: dailyMeta.tz || "America/Mexico_City" })}
+              right={
+                qualityApplies ? (
+                  <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" }}>
+                    {ISSUE_KINDS.map((k) => (
+                      <StatCard key={k} label={t(`quality.kind.${k}`)} value={String(qualityCounts[k])} />
+                    ))}
+                  </div>
+                ) : null
+              }
+            />
+            {qualityApplies ? (
+              <>
+                <div
+                  style={{
+                    display: "flex",
+                    gap: 12,
+                    flexWrap: "wrap",
+                    alignItems: "center",
+                    marginTop: 10,
+                    fontSize: 12,
+                    color: "#374151",
+                  }}
+                >
+                  <label style={{ display: "inline-flex", gap: 4, alignItems: "center", cursor: "pointer" }}>
+                    <input
+                      type="checkbox"
+                      checked={shadeBad}
+                      onChange={(e) => setShadeBad(e.target.checked)}
+                    />
+                    {t("quality.shade")}
+                  </label>
+                  {fileCheck.key === fileCheckKey && fileCheck.loading ? (
+                    <LoadingInline text={t("quality.checking")} />
+                  ) : (
+                    <Button onClick={checkMonthFiles} disabled={!node || !monthOptions.length}>
+                      {t("quality.checkFiles", { n: monthOptions.length })}
+                    </Button>
+                  )}
+                  {!yearHourlyPts?.length ? loadYearButton(t("quality.loadYear", { year })) : null}
+                </div>
+                <div style={{ marginTop: 6, fontSize: 12, color: "#6b7280" }}>
+                  {yearHourlyPts?.length && month.startsWith(year + "_")
+                    ? t("quality.scopeYear", { year })
+                    : t(range ? "quality.scopeRange" : "quality.scopeMonth", { span: spanLabel || "—" })}
+                  {fileCheck.key === fileCheckKey && fileCheck.results.length
+                    ? ` · ${t("quality.filesFound", {
+                        found: fileCheck.results.filter((r) => r.status === "ok").length,
+                        n: fileCheck.results.length,
+                      })}`
+                    : ""}
+                </div>
+                <QualityTable issues={qualityIssues} onOpenDay={openDay} />
+              </>
+            ) : (
+              <div style={{ marginTop: 10, fontSize: 12, color: "#6b7280" }}>
+                {t("quality.noSpread")}
+              </div>
+            )}
+          </Card>
+        </div>
+
+        <div style={{ marginTop: 14 }}>
+          <ForecastPanel
+            node={node}
+            history={FORECAST_TRAIN_MONTHS + backtestMonths}
+            model={forecastModel}
+            onModel={setForecastModel}
+            backtestMonths={backtestMonths}
+            backtestOptions={BACKTEST_MONTH_OPTIONS}
+            onBacktestMonths={setBacktestMonths}
+            loaded={!!forecastPts}
+            loadButton={
+              <LoadButton
+                loading={forecastHist.key === forecastKey && forecastHist.loading}
+                loadingText={t("forecast.loading", {
+                  done: forecastHist.done || 0,
+                  total: forecastHist.total || 0,
+                })}
+                onClick={loadForecastHistory}
+                disabled={!node || !forecastMonths.length}
+              >
+                {t("forecast.load", {
+                  from: forecastMonths[0] || "—",
+                  to: forecastMonths[forecastMonths.length - 1] || "—",
+                })}
+              </LoadButton>
+            }
+            forecast={forecast}
+            data={forecastData}
+            backtest={backtestResult}
+            error={
+              forecastHist.key !== forecastKey
+                ? ""
+                : forecastHist.error
+                  ? errorMessage(
+                      forecastHist.error,
+                      t("error.monthsNotFound", { list: forecastMonths.join(", ") })
+                    )
+                  : missingMonthsNote(forecastHist.missing || [], forecastHist.unpublished || [])
+            }
+            color={SERIES_COLORS[0]}
+            height={isDesktop() ? 340 : 260}
+            unit={unit}
+          />
+        </div>
+
+        <div style={{ marginTop: 14 }}>
+          <NodeMapPanel
+            panelRef={mapPanelRef}
+            scope={mapScope}
+            onScope={setMapScope}
+            day={day}
+            month={month}
+            marketLabel={marketLabel}
+            loading={mapLoading}
+            progress={{ done: mapDaily.done, total: mapDaily.total }}
+            placed={mapPlaced}
+            unplaced={mapUnplaced}
+            failed={mapFailed}
+            manifestPath={MANIFEST_PATH}
+            onSelect={selectMapNode}
+            onRetry={retryMapFailed}
+            unit={unit}
+          />
+        </div>
+
+        <div style={{ marginTop: 14 }}>
+          <Card>
+            <SectionHeader
+              title={t("notes.title", { node: node || "—" })}
+              subtitle={t("notes.subtitle")}
+              right={
+                <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+                  <Button
+                    active={annotating}
+                    onClick={() => setAnnotating((a) => !a)}
+                    disabled={!node}
+                  >
+                    {t("notes.annotate")}
+                  </Button>
+                  <Button active={showNotes} onClick={() => setShowNotes((v) => !v)}>
+                    {t("notes.show")}
+                  </Button>
+                  <Button onClick={exportNotes} title={t("notes.exportHint")}>
+                    {t("notes.export")}
+                  </Button>
+                  <label
+                    style={{ fontSize: 12, display: "inline-flex", gap: 6, alignItems: "center" }}
+                    title={t("notes.importHint")}
+                  >
+                    {t("notes.import")}
+                    <input
+                      type="file"
+                      accept=".json,application/json"
+                      onChange={(e) => {
+                        const f = e.target.files?.[0];
+                        if (f) importNotes(f);
+                        e.target.value = "";
+                      }}
+                    />
+                  </label>
+                </div>
+              }
+            />
+            <NotesTable
+              notes={notes}
+              onOpenDay={openDay}
+              onEdit={editNote}
+              onDelete={deleteNote}
+            />
+            {notesNote ? (
+              <div style={{ marginTop: 8, fontSize: 12, color: "#92400e" }}>{noteText(notesNote)}</div>
+            ) : null}
+          </Card>
+        </div>
+
+        <div style={{ marginTop: 14 }}>
+          <ContractsPanel
+            contracts={contracts}
+            contract={contract}
+            onSelect={setContractId}
+            onAdd={addContract}
+            onDelete={deleteContract}
+            onChange={updateContract}
+            onUpload={onUploadContractProfile}
+            uploadNote={noteText(contractNote)}
+            spread={market === "spread"}
+            currency={activeCurrency}
+            onSwitchCurrency={() => navigate(() => setCurrency(contract.currency))}
+            scopes={[
+              { key: "month", label: spanShort },
+              { key: "year", label: t("span.year", { year }) },
+            ]}
+            scope={cfdScope}
+            onScope={setCfdScope}
+            pending={
+              cfdScope === "year" && !yearHourlyPts?.length
+                ? loadYearButton(t("capture.loadYear", { year }))
+                : null
+            }
+            settlement={cfd}
+            unit={unit}
+            onCsv={() => exportCsv("cfdHourly", `cfd_${contract.name}`)}
+            onXlsx={() => exportXlsx(["cfdHourly", "cfdMonthly", "cfdAnnual"], `cfd_${contract.name}`)}
+          />
+        </div>
+
         <div style={{ marginTop: 14, fontSize: 12, color: "#6b7280" }}>
-          Fuente: CENACE (PML MDA). Datos en S3 ({BASE}). App en Amplify.
+          {t("footer", { market: market === "spread" ? t("footer.both") : marketLabel, base: BASE })}
         </div>
       </div>
     </div>
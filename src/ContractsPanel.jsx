@@ -0,0 +1,380 @@
+import { useMemo, useState } from "react";
+import {
+  Bar,
+  CartesianGrid,
+  ComposedChart,
+  Legend,
+  Line,
+  ReferenceLine,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { VOLUME_SHAPES } from "./contracts.js";
+import { formatMoney, formatMwh } from "./format.js";
+import { CURRENCIES } from "./fx.js";
+import { formatAxisLabel, formatTick, formatTooltipLabel, t, tn } from "./i18n.js";
+import { Button, Card, Control, DataTable, ExportButtons, SectionHeader, StatCard } from "./ui.jsx";
+
+// "12) Contratos PPA / CfD": contract terms, and the settlement of the
+// selected contract (settleContract() in contracts.js) over the loaded span
+// or year. The contracts and the settlement live in App.jsx, which also
+// exports them.
+
+// Contract terms (see contracts.js).
+function ContractForm({ contract, onChange, onUpload, uploadNote }) {
+  const inputStyle = {
+    padding: "8px 10px",
+    borderRadius: 10,
+    border: "1px solid #e5e7eb",
+    background: "white",
+    fontSize: 13,
+  };
+  const field = { display: "inline-flex", gap: 6, alignItems: "center" };
+  const numberInput = (key, width, step = 1) => (
+    <input
+      type="number"
+      step={step}
+      value={contract[key]}
+      onChange={(e) => onChange({ [key]: Number(e.target.value) })}
+      style={{ ...inputStyle, width }}
+    />
+  );
+  return (
+    <>
+      <div
+        style={{
+          display: "flex",
+          gap: 10,
+          flexWrap: "wrap",
+          alignItems: "center",
+          marginTop: 10,
+          fontSize: 12,
+          color: "#374151",
+        }}
+      >
+        <label style={field}>
+          {t("cfd.name")}
+          <input
+            type="text"
+            value={contract.name}
+            onChange={(e) => onChange({ name: e.target.value })}
+            style={{ ...inputStyle, width: 160 }}
+          />
+        </label>
+        <label style={field}>
+          {t("cfd.strike")}
+          {numberInput("strike", 100, 0.01)}
+          <select
+            value={contract.currency}
+            onChange={(e) => onChange({ currency: e.target.value })}
+            style={inputStyle}
+          >
+            {CURRENCIES.map((c) => (
+              <option key={c.key} value={c.key}>
+                {c.label}
+              </option>
+            ))}
+          </select>
+          /MWh
+        </label>
+        <label style={field}>
+          {t("cfd.escalation")}
+          {numberInput("escalation", 70, 0.1)}%
+        </label>
+        <label style={field}>
+          {t("cfd.term")}
+          <input
+            type="month"
+            value={contract.start}
+            onChange={(e) => e.target.value && onChange({ start: e.target.value })}
+            style={inputStyle}
+          />
+          {t("month.to")}
+          <input
+            type="month"
+            value={contract.end}
+            onChange={(e) => e.target.value && onChange({ end: e.target.value })}
+            style={inputStyle}
+          />
+        </label>
+      </div>
+      <div
+        style={{
+          display: "flex",
+          gap: 10,
+          flexWrap: "wrap",
+          alignItems: "center",
+          marginTop: 8,
+          fontSize: 12,
+          color: "#374151",
+        }}
+      >
+        <span style={{ color: "#6b7280" }}>{t("cfd.shape")}</span>
+        <select
+          value={contract.shape}
+          onChange={(e) => onChange({ shape: e.target.value })}
+          style={inputStyle}
+        >
+          {VOLUME_SHAPES.map((key) => (
+            <option key={key} value={key} disabled={key === "upload" && !contract.upload}>
+              {t(`cfd.shape.${key}`)}
+              {key === "upload" && contract.upload ? ` (${contract.upload.name})` : ""}
+            </option>
+          ))}
+        </select>
+        {contract.shape !== "upload" ? (
+          <label style={field}>
+            {t(contract.shape === "flat" ? "cfd.volumeFlat" : "capture.capacity")}
+            {numberInput("volumeMw", 90)}
+            MW
+          </label>
+        ) : null}
+        <label style={field}>
+          {t("capture.upload")}
+          <input
+            type="file"
+            accept=".csv,text/csv,text/plain"
+            onChange={(e) => {
+              const f = e.target.files?.[0];
+              if (f) onUpload(f);
+              e.target.value = "";
+            }}
+          />
+        </label>
+      </div>
+      {uploadNote ? (
+        <div style={{ marginTop: 6, fontSize: 12, color: "#6b7280" }}>{uploadNote}</div>
+      ) : null}
+    </>
+  );
+}
+
+// Settlement buckets → chart rows: positive (paid to the plant) and negative
+// amounts as separate bars, plus the running total.
+function settlementBars(rows) {
+  let cumulative = 0;
+  return rows.map((r) => {
+    cumulative += r.settlement;
+    return {
+      t: r.key,
+      paid: r.settlement > 0 ? r.settlement : 0,
+      owed: r.settlement < 0 ? r.settlement : 0,
+      cumulative,
+    };
+  });
+}
+
+function SettlementChart({ data, currency }) {
+  const tooltip = (value, name) => [`${formatMoney(value)} ${currency}`, name];
+  return (
+    <div style={{ height: 280, marginTop: 10 }}>
+      <ResponsiveContainer width="100%" height="100%">
+        <ComposedChart data={data} stackOffset="sign">
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="t" minTickGap={40} tickFormatter={formatAxisLabel} />
+          <YAxis yAxisId="bars" tickFormatter={formatTick} />
+          <YAxis yAxisId="total" orientation="right" tickFormatter={formatTick} />
+          <Tooltip labelFormatter={formatTooltipLabel} formatter={tooltip} />
+          <Legend />
+          <ReferenceLine yAxisId="bars" y={0} stroke="#9ca3af" />
+          <Bar
+            yAxisId="bars"
+            dataKey="paid"
+            name={t("cfd.paid")}
+            stackId="s"
+            fill="#10b981"
+            isAnimationActive={false}
+          />
+          <Bar
+            yAxisId="bars"
+            dataKey="owed"
+            name={t("cfd.owed")}
+            stackId="s"
+            fill="#ef4444"
+            isAnimationActive={false}
+          />
+          <Line
+            yAxisId="total"
+            type="monotone"
+            dataKey="cumulative"
+            name={t("cfd.cumulative")}
+            stroke="#111827"
+            dot={false}
+            strokeWidth={2}
+            isAnimationActive={false}
+          />
+        </ComposedChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+// Monthly / annual settlement totals (settleContract() buckets).
+function ContractTotalsTable({ rows, keyLabel, currency }) {
+  const columns = [
+    { key: "key", label: keyLabel, render: (r) => formatAxisLabel(r.key) },
+    { key: "volume", label: t("cfd.volume"), align: "right", render: (r) => formatMwh(r.volume) },
+    { key: "pml", label: t("cfd.avgPml"), align: "right", render: (r) => formatMoney(r.pml) ?? "—" },
+    {
+      key: "strike",
+      label: t("cfd.avgStrike"),
+      align: "right",
+      render: (r) => formatMoney(r.strike) ?? "—",
+    },
+    {
+      key: "settlement",
+      label: t("cfd.settlement", { currency }),
+      align: "right",
+      render: (r) => (
+        <span style={{ color: r.settlement < 0 ? "#991b1b" : "#065f46", fontWeight: 600 }}>
+          {formatMoney(r.settlement)}
+        </span>
+      ),
+    },
+    { key: "missing", label: t("cfd.missing"), align: "right", render: (r) => r.missing || "" },
+  ];
+  return <DataTable columns={columns} rows={rows} rowKey={(r) => r.key} />;
+}
+
+const note = (color) => ({ marginTop: 10, fontSize: 12, color });
+
+export default function ContractsPanel({
+  contracts,
+  contract,
+  onSelect,
+  onAdd,
+  onDelete,
+  onChange,
+  onUpload,
+  uploadNote,
+  spread,
+  currency,
+  onSwitchCurrency,
+  scopes,
+  scope,
+  onScope,
+  pending,
+  settlement,
+  unit,
+  onCsv,
+  onXlsx,
+}) {
+  const [period, setPeriod] = useState("daily"); // daily | monthly
+  const chart = useMemo(() => settlementBars(settlement?.[period] || []), [settlement, period]);
+  const applies = !spread && !!contract && contract.currency === currency;
+  const total = settlement?.total;
+
+  return (
+    <Card>
+      <SectionHeader
+        title={t("cfd.title")}
+        subtitle={t("cfd.subtitle")}
+        right={
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+            {contracts.length ? (
+              <Control
+                value={contract.id}
+                onChange={onSelect}
+                options={contracts.map((c) => ({ value: c.id, label: c.name }))}
+              />
+            ) : null}
+            <Button onClick={onAdd}>{t("cfd.add")}</Button>
+            <Button onClick={onDelete} disabled={!contract}>
+              {t("cfd.delete")}
+            </Button>
+            <ExportButtons onCsv={onCsv} onXlsx={onXlsx} disabled={!settlement?.hourly.length} />
+          </div>
+        }
+      />
+      {contract ? (
+        <ContractForm
+          contract={contract}
+          onChange={onChange}
+          onUpload={onUpload}
+          uploadNote={uploadNote}
+        />
+      ) : (
+        <div style={note("#6b7280")}>{t("cfd.none")}</div>
+      )}
+      {contract && spread ? <div style={note("#92400e")}>{t("cfd.noSpread")}</div> : null}
+      {contract && !spread && !applies ? (
+        <div style={{ ...note("#92400e"), display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+          {t("cfd.otherCurrency", { currency: contract.currency, active: currency })}
+          <Button onClick={onSwitchCurrency}>
+            {t("cfd.switchCurrency", { currency: contract.currency })}
+          </Button>
+        </div>
+      ) : null}
+      {applies ? (
+        <>
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginTop: 12 }}>
+            {scopes.map((o) => (
+              <Button key={o.key} active={scope === o.key} onClick={() => onScope(o.key)}>
+                {o.label}
+              </Button>
+            ))}
+            <span style={{ width: 12 }} />
+            <Button active={period === "daily"} onClick={() => setPeriod("daily")}>
+              {t("cfd.byDay")}
+            </Button>
+            <Button active={period === "monthly"} onClick={() => setPeriod("monthly")}>
+              {t("cfd.byMonth")}
+            </Button>
+          </div>
+          {pending ? (
+            <div style={{ marginTop: 10 }}>{pending}</div>
+          ) : settlement?.hourly.length ? (
+            <>
+              <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 12 }}>
+                <StatCard
+                  label={t("cfd.settlement", { currency: contract.currency })}
+                  value={formatMoney(total.settlement)}
+                  hint={t(total.settlement < 0 ? "cfd.owedHint" : "cfd.paidHint")}
+                />
+                <StatCard label={t("cfd.volume")} value={formatMwh(total.volume)} />
+                <StatCard
+                  label={t("cfd.avgPml")}
+                  value={formatMoney(total.pml)}
+                  hint={t("cfd.weighted", { unit })}
+                />
+                <StatCard label={t("cfd.avgStrike")} value={formatMoney(total.strike)} hint={unit} />
+                {total.missing ? (
+                  <StatCard
+                    label={t("cfd.missing")}
+                    value={tn("common.hours", total.missing)}
+                    hint={t("cfd.missingHint")}
+                  />
+                ) : null}
+              </div>
+              <SettlementChart data={chart} currency={contract.currency} />
+              <div
+                style={{
+                  display: "grid",
+                  gridTemplateColumns: "repeat(auto-fit, minmax(320px, 1fr))",
+                  gap: 14,
+                }}
+              >
+                <ContractTotalsTable
+                  rows={settlement.monthly}
+                  keyLabel={t("export.month")}
+                  currency={contract.currency}
+                />
+                <ContractTotalsTable
+                  rows={settlement.annual}
+                  keyLabel={t("cfd.year")}
+                  currency={contract.currency}
+                />
+              </div>
+            </>
+          ) : (
+            <div style={note("#6b7280")}>
+              {t("cfd.outOfTerm", { start: contract.start, end: contract.end })}
+            </div>
+          )}
+        </>
+      ) : null}
+    </Card>
+  );
+}
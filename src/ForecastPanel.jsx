@@ -0,0 +1,203 @@
+import {
+  Area,
+  CartesianGrid,
+  ComposedChart,
+  Legend,
+  Line,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { FORECAST_MODELS, HORIZON_DAYS } from "./forecast.js";
+import { formatMoney, formatPct } from "./format.js";
+import { formatAxisLabel, formatTick, formatTooltipLabel, t, tn } from "./i18n.js";
+import {
+  Button,
+  Card,
+  DataTable,
+  LoadingInline,
+  SectionHeader,
+  SeriesSwatch,
+  TooltipLabel,
+} from "./ui.jsx";
+
+// Next-days forecast of the selected node (forecastNext() in forecast.js)
+// and the backtest of every model over the last months of history. The
+// history, the forecast and the chart rows live in App.jsx; `forecast` and
+// `backtest` are undefined while the data worker computes them.
+
+// MAE / MAPE / band coverage per model over the backtest window.
+function BacktestTable({ result, unit }) {
+  const best = FORECAST_MODELS.reduce(
+    (b, m) => (b === null || (result.models[m.key].mae ?? Infinity) < result.models[b].mae ? m.key : b),
+    null
+  );
+  const columns = [
+    {
+      key: "model",
+      label: t("forecast.model"),
+      render: (m) => (
+        <>
+          <SeriesSwatch color={m.color} /> {t(`forecast.model.${m.key}`)}
+        </>
+      ),
+    },
+    { key: "mae", label: `MAE (${unit})`, render: (m) => formatMoney(result.models[m.key].mae) ?? "—" },
+    { key: "mape", label: "MAPE", render: (m) => formatPct(result.models[m.key].mape) ?? "—" },
+    {
+      key: "coverage",
+      label: t("forecast.inBand"),
+      render: (m) => formatPct(result.models[m.key].coverage) ?? "—",
+    },
+    { key: "n", label: t("forecast.hoursScored"), render: (m) => result.models[m.key].n },
+  ];
+  return (
+    <DataTable
+      columns={columns}
+      rows={FORECAST_MODELS}
+      rowKey={(m) => m.key}
+      rowProps={(m) => ({ style: { fontWeight: m.key === best ? 700 : 400 } })}
+      maxHeight={null}
+      footer={t("forecast.backtestNote", {
+        n: result.origins,
+        days: HORIZON_DAYS,
+        from: result.from,
+        to: result.to,
+      })}
+    />
+  );
+}
+
+export default function ForecastPanel({
+  node,
+  history,
+  model,
+  onModel,
+  backtestMonths,
+  backtestOptions,
+  onBacktestMonths,
+  loaded,
+  loadButton,
+  forecast,
+  data,
+  backtest,
+  error,
+  color,
+  height,
+  unit,
+}) {
+  return (
+    <Card>
+      <SectionHeader
+        title={t("forecast.title", { days: HORIZON_DAYS, node: node || "—" })}
+        subtitle={t("forecast.subtitle", { n: history })}
+        right={
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+            {FORECAST_MODELS.map((m) => (
+              <Button
+                key={m.key}
+                active={model === m.key}
+                onClick={() => onModel(m.key)}
+                title={t("forecast.bandModel")}
+              >
+                {t(`forecast.model.${m.key}`)}
+              </Button>
+            ))}
+            <label style={{ fontSize: 12, color: "#6b7280" }}>
+              {t("forecast.backtest")}{" "}
+              <select value={backtestMonths} onChange={(e) => onBacktestMonths(Number(e.target.value))}>
+                {backtestOptions.map((n) => (
+                  <option key={n} value={n}>
+                    {tn("common.months", n)}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+        }
+      />
+      {!loaded ? (
+        <div style={{ marginTop: 10 }}>{loadButton}</div>
+      ) : forecast === undefined ? (
+        <div style={{ marginTop: 10 }}>
+          <LoadingInline text={t("forecast.computing")} />
+        </div>
+      ) : forecast ? (
+        <>
+          <div style={{ marginTop: 10, fontSize: 12, color: "#6b7280" }}>
+            {t("forecast.note", {
+              origin: forecast.origin,
+              from: forecast.rows[0]?.d,
+              to: forecast.rows[forecast.rows.length - 1]?.d,
+            })}
+          </div>
+          <div style={{ height, marginTop: 6 }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={data}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="t" minTickGap={40} tickFormatter={formatAxisLabel} />
+                <YAxis tickFormatter={formatTick} />
+                <Tooltip
+                  label={<TooltipLabel />}
+                  labelFormatter={formatTooltipLabel}
+                  formatter={(v, name) =>
+                    Array.isArray(v)
+                      ? [`${formatMoney(v[0])} – ${formatMoney(v[1])} ${unit}`, name]
+                      : [`${formatMoney(v)} ${unit}`, name]
+                  }
+                />
+                <Legend />
+                <Area
+                  type="monotone"
+                  dataKey="band"
+                  name={t("forecast.band", { model: t(`forecast.model.${model}`) })}
+                  stroke="none"
+                  fill={FORECAST_MODELS.find((m) => m.key === model)?.color}
+                  fillOpacity={0.2}
+                  isAnimationActive={false}
+                />
+                <Line
+                  type="monotone"
+                  dataKey="actual"
+                  name={t("forecast.actual")}
+                  stroke={color}
+                  dot={false}
+                  strokeWidth={1.5}
+                  isAnimationActive={false}
+                />
+                {FORECAST_MODELS.map((m) => (
+                  <Line
+                    key={m.key}
+                    type="monotone"
+                    dataKey={m.key}
+                    name={t(`forecast.model.${m.key}`)}
+                    stroke={m.color}
+                    strokeWidth={m.key === model ? 2 : 1}
+                    strokeDasharray={m.key === model ? undefined : "4 3"}
+                    dot={false}
+                    isAnimationActive={false}
+                  />
+                ))}
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+          {backtest === undefined ? (
+            <div style={{ marginTop: 10 }}>
+              <LoadingInline text={t("forecast.computingBacktest")} />
+            </div>
+          ) : backtest ? (
+            <BacktestTable result={backtest} unit={unit} />
+          ) : (
+            <div style={{ marginTop: 10, fontSize: 12, color: "#6b7280" }}>
+              {t("forecast.shortHistory", { months: tn("common.months", backtestMonths) })}
+            </div>
+          )}
+        </>
+      ) : (
+        <div style={{ marginTop: 10, fontSize: 12, color: "#6b7280" }}>{t("forecast.none")}</div>
+      )}
+      {error ? <div style={{ marginTop: 6, fontSize: 12, color: "#991b1b" }}>{error}</div> : null}
+    </Card>
+  );
+}
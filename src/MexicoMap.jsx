@@ -0,0 +1,134 @@
+import { t } from "./i18n.js";
+import { BCA_BCS_LINE, MEXICO_OUTLINE, SYSTEM_LABELS } from "./mexicoOutline.js";
+
+// Green → yellow → red, low → high price.
+const STOPS = ["#1a9850", "#91cf60", "#fee08b", "#fc8d59", "#d73027"];
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+const STOP_RGB = STOPS.map(hexToRgb);
+
+function colorAt(f) {
+  const x = Math.min(Math.max(f, 0), 1) * (STOP_RGB.length - 1);
+  const i = Math.min(Math.floor(x), STOP_RGB.length - 2);
+  const u = x - i;
+  const a = STOP_RGB[i];
+  const b = STOP_RGB[i + 1];
+  const c = a.map((v, k) => Math.round(v + (b[k] - v) * u));
+  return `rgb(${c[0]},${c[1]},${c[2]})`;
+}
+
+// Plate carrée around Mexico's center latitude.
+const BOUNDS = { west: -118.5, east: -86.3, south: 14.2, north: 33.0 };
+const WIDTH = 1000;
+const KX = Math.cos((23.5 * Math.PI) / 180);
+const SCALE = WIDTH / ((BOUNDS.east - BOUNDS.west) * KX);
+const HEIGHT = Math.round((BOUNDS.north - BOUNDS.south) * SCALE);
+
+const project = (lon, lat) => [
+  (lon - BOUNDS.west) * KX * SCALE,
+  (BOUNDS.north - lat) * SCALE,
+];
+
+function pathOf(ring, close) {
+  const d = ring
+    .map(([lon, lat], i) => {
+      const [x, y] = project(lon, lat);
+      return `${i ? "L" : "M"}${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join("");
+  return close ? `${d}Z` : d;
+}
+
+const OUTLINE_PATH = pathOf(MEXICO_OUTLINE, true);
+const BCA_BCS_PATH = pathOf(BCA_BCS_LINE, false);
+
+// nodes: [{ id, label, lat, lon, value, active }]. Nodes without a value are
+// drawn hollow; the color scale spans the values shown.
+export default function MexicoMap({ nodes, format, unit = "$/MWh", onSelect }) {
+  const vals = nodes.map((n) => n.value).filter((v) => v !== null && v !== undefined);
+  const lo = vals.length ? Math.min(...vals) : 0;
+  const hi = vals.length ? Math.max(...vals) : 0;
+  const span = hi - lo || 1;
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        style={{ width: "100%", maxHeight: 520, display: "block" }}
+      >
+        <path d={OUTLINE_PATH} fill="#f3f4f6" stroke="#9ca3af" strokeWidth={1.5} />
+        <path d={BCA_BCS_PATH} fill="none" stroke="#9ca3af" strokeDasharray="6 4" />
+        {SYSTEM_LABELS.map((s) => {
+          const [x, y] = project(s.lon, s.lat);
+          return (
+            <text
+              key={s.key}
+              x={x}
+              y={y}
+              textAnchor="middle"
+              fontSize={22}
+              fontWeight={800}
+              fill="#d1d5db"
+            >
+              {s.key}
+            </text>
+          );
+        })}
+        {nodes.map((n) => {
+          const [x, y] = project(n.lon, n.lat);
+          const empty = n.value === null || n.value === undefined;
+          return (
+            <g
+              key={n.id}
+              style={{ cursor: onSelect ? "pointer" : "default" }}
+              onClick={onSelect ? () => onSelect(n) : undefined}
+            >
+              <circle
+                cx={x}
+                cy={y}
+                r={n.active ? 13 : 10}
+                fill={empty ? "white" : colorAt((n.value - lo) / span)}
+                stroke={n.active ? "#111827" : "#374151"}
+                strokeWidth={n.active ? 3 : 1.5}
+              />
+              <text x={x + 15} y={y + 5} fontSize={15} fill="#111827">
+                {n.label}
+              </text>
+              <title>{`${n.label} — ${empty ? t("common.noValue") : `${format(n.value)} ${unit}`}`}</title>
+            </g>
+          );
+        })}
+      </svg>
+
+      {vals.length ? (
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: 8,
+            marginTop: 6,
+            fontSize: 11,
+            color: "#6b7280",
+          }}
+        >
+          <span>{format(lo)}</span>
+          <div
+            style={{
+              flex: "0 1 260px",
+              height: 10,
+              borderRadius: 999,
+              background: `linear-gradient(to right, ${STOPS.join(", ")})`,
+            }}
+          />
+          <span>
+            {format(hi)} {unit}
+          </span>
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import MexicoMap from "./MexicoMap.jsx";
+import { formatMoney } from "./format.js";
+import { t } from "./i18n.js";
+import { Button, Card, LoadingInline, SectionHeader } from "./ui.jsx";
+
+// Average price of every node of the project on the selected day or month.
+// Nodes without coordinates in the manifest are listed under the map. The
+// daily series behind it are only fetched once `panelRef` scrolls into
+// view; App.jsx owns that observer and the loading.
+export default function NodeMapPanel({
+  panelRef,
+  scope,
+  onScope,
+  day,
+  month,
+  marketLabel,
+  loading,
+  progress,
+  placed,
+  unplaced,
+  failed,
+  manifestPath,
+  onSelect,
+  onRetry,
+  unit,
+}) {
+  return (
+    <Card>
+      <SectionHeader
+        title={t("map.title")}
+        subtitle={
+          scope === "day"
+            ? t("map.subtitleDay", { day: day || "—", market: marketLabel })
+            : t("map.subtitleMonth", { month: month || "—", market: marketLabel })
+        }
+        right={
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+            <Button active={scope === "day"} onClick={() => onScope("day")}>
+              {t("span.day", { day: day || "—" })}
+            </Button>
+            <Button active={scope === "month"} onClick={() => onScope("month")}>
+              {t("span.month", { month: month || "—" })}
+            </Button>
+          </div>
+        }
+      />
+      <div ref={panelRef} />
+      {loading ? (
+        <div style={{ marginTop: 10 }}>
+          <LoadingInline text={t("map.loading", progress)} />
+        </div>
+      ) : null}
+      <div style={{ marginTop: 10 }}>
+        <MexicoMap nodes={placed} format={formatMoney} unit={unit} onSelect={onSelect} />
+      </div>
+      {unplaced.length ? (
+        <div style={{ marginTop: 8, fontSize: 12, color: "#6b7280" }}>
+          {t("map.unplaced", { file: manifestPath })}{" "}
+          {unplaced.map((n, i) => (
+            <span key={n.id}>
+              {i ? ", " : ""}
+              <span
+                role="button"
+                onClick={() => onSelect(n)}
+                style={{ color: n.active ? "#111827" : "#2563eb", cursor: "pointer" }}
+              >
+                {n.label}
+              </span>
+              {n.value !== null ? ` (${formatMoney(n.value)} ${unit})` : ""}
+            </span>
+          ))}
+        </div>
+      ) : null}
+      {failed.length ? (
+        <div
+          style={{
+            marginTop: 6,
+            fontSize: 12,
+            color: "#991b1b",
+            display: "flex",
+            gap: 8,
+            alignItems: "center",
+            flexWrap: "wrap",
+          }}
+        >
+          {t("map.failed", { market: marketLabel, list: failed.map((n) => n.id).join(", ") })}
+          <Button onClick={onRetry} disabled={loading}>
+            {t("common.retry")}
+          </Button>
+        </div>
+      ) : null}
+    </Card>
+  );
+}
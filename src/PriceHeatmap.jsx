@@ -0,0 +1,177 @@
+import { useMemo } from "react";
+import { percentile } from "./distribution.js";
+import { formatNumber, t } from "./i18n.js";
+
+// Plasma-like stops, low → high price.
+const STOPS = ["#0d0887", "#6a00a8", "#b12a90", "#e16462", "#fca636", "#f0f921"];
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+const STOP_RGB = STOPS.map(hexToRgb);
+
+function colorAt(f) {
+  const x = Math.min(Math.max(f, 0), 1) * (STOP_RGB.length - 1);
+  const i = Math.min(Math.floor(x), STOP_RGB.length - 2);
+  const u = x - i;
+  const a = STOP_RGB[i];
+  const b = STOP_RGB[i + 1];
+  const c = a.map((v, k) => Math.round(v + (b[k] - v) * u));
+  return `rgb(${c[0]},${c[1]},${c[2]})`;
+}
+
+// Days on the x axis, hours on the y axis, one cell per hourly point.
+// The color scale is clipped to P2–P98 so a single spike doesn't wash out the
+// rest; clipped cells keep their real value in the hover title.
+export default function PriceHeatmap({
+  points,
+  format,
+  unit = "$/MWh",
+  selectedDay,
+  onSelectDay,
+  height = 300,
+}) {
+  const grid = useMemo(() => {
+    const days = Array.from(new Set(points.map((p) => p.d))).sort();
+    const hours = Array.from(new Set(points.map((p) => p.h))).sort((a, b) => a - b);
+    const vals = points
+      .map((p) => p.pml)
+      .filter((v) => v !== null && v !== undefined && !Number.isNaN(v))
+      .sort((a, b) => a - b);
+    const lo = percentile(vals, 2);
+    const hi = percentile(vals, 98);
+    return {
+      days,
+      hours,
+      dayIdx: new Map(days.map((d, i) => [d, i])),
+      hourIdx: new Map(hours.map((h, i) => [h, i])),
+      lo,
+      hi,
+      min: vals[0] ?? null,
+      max: vals[vals.length - 1] ?? null,
+    };
+  }, [points]);
+
+  if (!points.length) return null;
+
+  const { days, hours, dayIdx, hourIdx, lo, hi } = grid;
+  const left = 34;
+  const bottom = 22;
+  const width = 1000;
+  const cw = (width - left) / days.length;
+  const ch = (height - bottom) / hours.length;
+  const span = hi - lo || 1;
+
+  // ~12 day labels whatever the range
+  const labelEvery = Math.max(1, Math.ceil(days.length / 12));
+  const hourEvery = hours.length > 12 ? 3 : 1;
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${width} ${height}`}
+        preserveAspectRatio="none"
+        style={{ width: "100%", height, display: "block" }}
+      >
+        {points.map((p) => {
+          const x = left + dayIdx.get(p.d) * cw;
+          const y = hourIdx.get(p.h) * ch;
+          const v = p.pml;
+          const empty = v === null || v === undefined || Number.isNaN(v);
+          return (
+            <rect
+              key={`${p.d}|${p.h}`}
+              x={x}
+              y={y}
+              width={cw + 0.3}
+              height={ch + 0.3}
+              fill={empty ? "#e5e7eb" : colorAt((v - lo) / span)}
+              style={{ cursor: onSelectDay ? "pointer" : "default" }}
+              onClick={onSelectDay ? () => onSelectDay(p.d) : undefined}
+            >
+              <title>{`${p.d} ${String(p.h).padStart(2, "0")}:00 — ${
+                empty
+                  ? t("common.noValue")
+                  : `${format(v)} ${unit}${
+                      p.fx ? ` · ${t("fx.short", { rate: formatNumber(p.fx, { maximumFractionDigits: 4 }) })}` : ""
+                    }`
+              }`}</title>
+            </rect>
+          );
+        })}
+
+        {selectedDay && dayIdx.has(selectedDay) ? (
+          <rect
+            x={left + dayIdx.get(selectedDay) * cw}
+            y={0}
+            width={cw}
+            height={height - bottom}
+            fill="none"
+            stroke="#111827"
+            strokeWidth={2}
+            vectorEffect="non-scaling-stroke"
+            pointerEvents="none"
+          />
+        ) : null}
+
+        {hours.map((h, i) =>
+          i % hourEvery === 0 ? (
+            <text
+              key={h}
+              x={left - 4}
+              y={i * ch + ch / 2 + 4}
+              textAnchor="end"
+              fontSize={11}
+              fill="#6b7280"
+            >
+              {String(h).padStart(2, "0")}
+            </text>
+          ) : null
+        )}
+        {days.map((d, i) =>
+          i % labelEvery === 0 ? (
+            <text
+              key={d}
+              x={left + i * cw + cw / 2}
+              y={height - 6}
+              textAnchor="middle"
+              fontSize={11}
+              fill="#6b7280"
+            >
+              {days.length > 40 ? d.slice(5) : d.slice(8)}
+            </text>
+          ) : null
+        )}
+      </svg>
+
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: 8,
+          marginTop: 6,
+          fontSize: 11,
+          color: "#6b7280",
+        }}
+      >
+        <span>{format(lo)}</span>
+        <div
+          style={{
+            flex: "0 1 260px",
+            height: 10,
+            borderRadius: 999,
+            background: `linear-gradient(to right, ${STOPS.join(", ")})`,
+          }}
+        />
+        <span>
+          {format(hi)} {unit}
+        </span>
+        <span style={{ marginLeft: 8 }}>
+          {t("heatmap.scale", { from: format(grid.min), to: format(grid.max) })}
+        </span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+// User notes on a month, day or hour of a project/node (why a spike
+// happened: a line outage, curtailment, an emergency state...).
+//
+// A note is { id, project, node, at, category, text, createdAt } where `at`
+// is "YYYY-MM", "YYYY-MM-DD" or "YYYY-MM-DD HH:00", the x key of the chart
+// it was added on. Notes are kept per project + node in localStorage and
+// travel between people as one JSON file holding every project/node.
+
+const STORAGE_PREFIX = "pml.notes.";
+const FILE_FORMAT = "pml-notes";
+const FILE_VERSION = 1;
+
+// Labels are `notes.category.${key}` in the message catalogs.
+export const NOTE_CATEGORIES = [
+  { key: "outage", color: "#dc2626" },
+  { key: "curtailment", color: "#d97706" },
+  { key: "emergency", color: "#7c3aed" },
+  { key: "maintenance", color: "#0891b2" },
+  { key: "other", color: "#6b7280" },
+];
+
+export const categoryColor = (key) =>
+  (NOTE_CATEGORIES.find((c) => c.key === key) || NOTE_CATEGORIES[NOTE_CATEGORIES.length - 1])
+    .color;
+
+const AT_RE = /^\d{4}-\d{2}(-\d{2}( \d{2}:00)?)?$/;
+
+const byAt = (a, b) => a.at.localeCompare(b.at) || a.createdAt - b.createdAt;
+
+export const sortNotes = (notes) => notes.slice().sort(byAt);
+
+export function loadNotes(projectKey, node) {
+  try {
+    const raw = localStorage.getItem(`${STORAGE_PREFIX}${projectKey}.${node}`);
+    if (raw) return JSON.parse(raw);
+  } catch {
+    // corrupted or blocked storage: no notes
+  }
+  return [];
+}
+
+export function saveNotes(projectKey, node, notes) {
+  const key = `${STORAGE_PREFIX}${projectKey}.${node}`;
+  try {
+    if (notes.length) localStorage.setItem(key, JSON.stringify(notes));
+    else localStorage.removeItem(key);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function newNote({ project, node, at, category, text }) {
+  const rand = Math.random().toString(36).slice(2, 8);
+  return { id: `${Date.now().toString(36)}${rand}`, project, node, at, category, text, createdAt: Date.now() };
+}
+
+// Every stored note, all projects and nodes.
+export function allNotes() {
+  const out = [];
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (!key?.startsWith(STORAGE_PREFIX)) continue;
+      const notes = JSON.parse(localStorage.getItem(key));
+      if (Array.isArray(notes)) out.push(...notes);
+    }
+  } catch {
+    // blocked storage: nothing to export
+  }
+  return out.sort((a, b) => a.project.localeCompare(b.project) || a.node.localeCompare(b.node) || byAt(a, b));
+}
+
+export function notesToJson(notes) {
+  return JSON.stringify({ format: FILE_FORMAT, version: FILE_VERSION, notes }, null, 2);
+}
+
+// Parsed export file → valid notes. Throws on a file that isn't one;
+// malformed entries are skipped and counted.
+export function parseNotesJson(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.format === FILE_FORMAT ? data.notes : null;
+  if (!Array.isArray(list)) throw new Error("not a notes file");
+  const notes = [];
+  let skipped = 0;
+  for (const n of list) {
+    if (!n || typeof n.project !== "string" || typeof n.node !== "string" || !AT_RE.test(n.at)) {
+      skipped += 1;
+      continue;
+    }
+    notes.push({
+      id: String(n.id || newNote(n).id),
+      project: n.project,
+      node: n.node,
+      at: n.at,
+      category: NOTE_CATEGORIES.some((c) => c.key === n.category) ? n.category : "other",
+      text: String(n.text ?? ""),
+      createdAt: Number(n.createdAt) || Date.now(),
+    });
+  }
+  return { notes, skipped };
+}
+
+// Adds imported notes to storage, grouped by project/node; a note whose id
+// is already stored replaces it. → { added, updated, saved }
+export function mergeNotes(imported) {
+  const groups = new Map();
+  for (const n of imported) {
+    const key = `${n.project}\u0000${n.node}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(n);
+  }
+  let added = 0;
+  let updated = 0;
+  let saved = true;
+  for (const list of groups.values()) {
+    const { project, node } = list[0];
+    const byId = new Map(loadNotes(project, node).map((n) => [n.id, n]));
+    for (const n of list) {
+      if (byId.has(n.id)) updated += 1;
+      else added += 1;
+      byId.set(n.id, n);
+    }
+    saved = saveNotes(project, node, sortNotes(Array.from(byId.values()))) && saved;
+  }
+  return { added, updated, saved };
+}
+
+// Reference markers for one chart: [{ x, notes }] at the first row each note
+// covers. `keyOf(row)` is the row's full time key and `xOf(row)` its value on
+// the chart's x axis. A note matches a row when either key starts with the
+// other, so a month note lands on the month's first day and an hour note on
+// its day. Rows must be sorted by time.
+export function noteMarks(notes, rows, keyOf, xOf = keyOf) {
+  if (!notes.length || !rows.length) return [];
+  const keys = rows.map(keyOf);
+  const len = keys[0].length;
+  const marks = new Map();
+  for (const n of notes) {
+    const target = n.at.slice(0, len);
+    let lo = 0;
+    let hi = keys.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (keys[mid] < target) lo = mid + 1;
+      else hi = mid;
+    }
+    if (lo === keys.length || !keys[lo].startsWith(target)) continue;
+    const x = xOf(rows[lo]);
+    if (!marks.has(x)) marks.set(x, { x, notes: [] });
+    marks.get(x).notes.push(n);
+  }
+  return Array.from(marks.values());
+}
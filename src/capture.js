@@ -0,0 +1,122 @@
+// Generation profiles and capture-price math for the revenue panel.
+//
+// A profile is either the built-in typical solar shape (fraction of capacity
+// by month and hour, scaled by capacityMw) or an uploaded hourly MWh series
+// keyed by date + hour, using the same hour numbering as the hourly PML files.
+
+const STORAGE_PREFIX = "pml.generation.";
+
+// Site latitude used for the typical shape; the plants sit between ~22°N
+// (Tepezalá) and ~32°N (Rumorosa), the shape is not very sensitive to it.
+const DEFAULT_LAT = 28;
+// Peak AC output as a fraction of nameplate (inverter clipping, losses, soiling).
+const PEAK_FRACTION = 0.8;
+
+// 12 × 24 matrix: typical output fraction for month (0-11) and hour (0-23),
+// hour-beginning local solar time, from a clear-sky sun elevation model.
+export function typicalSolarShape(lat = DEFAULT_LAT) {
+  const phi = (lat * Math.PI) / 180;
+  const shape = [];
+  for (let m = 0; m < 12; m++) {
+    const doy = 15 + m * 30.4; // mid-month
+    const decl = ((23.44 * Math.PI) / 180) * Math.sin((2 * Math.PI * (284 + doy)) / 365);
+    const row = [];
+    for (let h = 0; h < 24; h++) {
+      const ha = ((h + 0.5 - 12) * 15 * Math.PI) / 180;
+      const cosZ =
+        Math.sin(phi) * Math.sin(decl) + Math.cos(phi) * Math.cos(decl) * Math.cos(ha);
+      row.push(cosZ > 0 ? PEAK_FRACTION * cosZ : 0);
+    }
+    shape.push(row);
+  }
+  return shape;
+}
+
+const TYPICAL_SHAPE = typicalSolarShape();
+
+// Uploaded CSV: "fecha,hora,mwh" (YYYY-MM-DD, hour, MWh) or "fecha hora,mwh"
+// with "YYYY-MM-DD HH:MM". Header and blank lines are skipped.
+export function parseGenerationCsv(text) {
+  const rows = [];
+  let skipped = 0;
+  for (const line of text.replace(/^\uFEFF/, "").split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    const cells = line.split(/[,;\t]/).map((c) => c.trim().replace(/^"|"$/g, ""));
+    let d;
+    let h;
+    let mwh;
+    if (cells.length >= 3) {
+      [d, h, mwh] = [cells[0], Number(cells[1]), Number(cells[2])];
+    } else if (cells.length === 2) {
+      const m = /^(\d{4}-\d{2}-\d{2})[ T](\d{1,2})/.exec(cells[0]);
+      if (m) [d, h, mwh] = [m[1], Number(m[2]), Number(cells[1])];
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(d || "") || !Number.isInteger(h) || !Number.isFinite(mwh)) {
+      skipped++;
+      continue;
+    }
+    rows.push([d, h, mwh]);
+  }
+  return { rows, skipped };
+}
+
+export function loadProfile(projectKey) {
+  try {
+    const raw = localStorage.getItem(STORAGE_PREFIX + projectKey);
+    if (raw) return JSON.parse(raw);
+  } catch {
+    // corrupted or blocked storage: fall back to defaults
+  }
+  return { source: "typical", capacityMw: 100, upload: null };
+}
+
+export function saveProfile(projectKey, profile) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + projectKey, JSON.stringify(profile));
+    return true;
+  } catch {
+    return false; // quota: keep it for the session only
+  }
+}
+
+// Returns (d, h) -> MWh for the profile. `firstHour` is the file's first hour
+// of the day (firstHourOf in pmlData.js); the typical shape is indexed from 0.
+export function generationLookup(profile, firstHour = 0) {
+  if (profile.source === "upload" && profile.upload?.rows?.length) {
+    const byKey = new Map(profile.upload.rows.map(([d, h, v]) => [`${d}|${h}`, v]));
+    return (d, h) => byKey.get(`${d}|${h}`) ?? 0;
+  }
+  const cap = Number(profile.capacityMw) || 0;
+  return (d, h) => {
+    const m = Number(d.slice(5, 7)) - 1;
+    return cap * TYPICAL_SHAPE[m][Math.min(Math.max(h - firstHour, 0), 23)];
+  };
+}
+
+// points: [{ d, h, pml }]. Flat = simple hourly average; capture =
+// generation-weighted average; revenue = Σ pml × MWh (currency of the PML).
+export function captureStats(points, gen) {
+  let flatSum = 0;
+  let hours = 0;
+  let energy = 0;
+  let revenue = 0;
+  for (const p of points) {
+    if (p.pml === null || p.pml === undefined || Number.isNaN(p.pml)) continue;
+    const g = gen(p.d, p.h);
+    flatSum += p.pml;
+    hours += 1;
+    energy += g;
+    revenue += p.pml * g;
+  }
+  if (!hours) return { flat: null, capture: null, rate: null, energy: 0, revenue: null, hours };
+  const flat = flatSum / hours;
+  const capture = energy > 0 ? revenue / energy : null;
+  return {
+    flat,
+    capture,
+    rate: capture !== null && flat !== 0 ? capture / flat : null,
+    energy,
+    revenue,
+    hours,
+  };
+}
@@ -0,0 +1,70 @@
+// Rolling averages and y-axis modes for the histórico / annual charts.
+
+import { percentile } from "./distribution.js";
+
+export const ROLLING_WINDOWS = [7, 30, 90];
+export const rollingKey = (days) => `ma${days}`;
+
+// linear | log (symmetric, takes zero and negatives) | clip (P1–P99)
+export const Y_SCALES = ["linear", "log", "clip"];
+
+const DAY_MS = 86400000;
+const isNum = (v) => v !== null && v !== undefined && Number.isFinite(v);
+
+// Trailing calendar-day means of `avg` over the daily rows (any order):
+// Map(date → { ma7, ma30, ... }). A window needs at least half of its days
+// with data, so gaps don't turn the average into a single day.
+export function rollingAverages(daily, windows = ROLLING_WINDOWS) {
+  const rows = daily
+    .filter((r) => isNum(r.avg))
+    .map((r) => ({ d: r.d, ms: Date.parse(`${r.d}T00:00:00Z`), v: r.avg }))
+    .sort((a, b) => a.ms - b.ms);
+  const out = new Map(rows.map((r) => [r.d, {}]));
+  for (const w of windows) {
+    const key = rollingKey(w);
+    let start = 0;
+    let sum = 0;
+    for (let i = 0; i < rows.length; i++) {
+      sum += rows[i].v;
+      while (rows[i].ms - rows[start].ms >= w * DAY_MS) {
+        sum -= rows[start].v;
+        start += 1;
+      }
+      const n = i - start + 1;
+      out.get(rows[i].d)[key] = n >= Math.ceil(w / 2) ? sum / n : null;
+    }
+  }
+  return out;
+}
+
+// 1, 2, 5 × 10^k (only 10^k over more than two decades) between lo and hi.
+function logTicks(lo, hi) {
+  const top = Math.max(Math.abs(lo), Math.abs(hi), 1);
+  const decades = Math.ceil(Math.log10(top));
+  const mults = decades > 2 ? [1] : [1, 2, 5];
+  const mags = [];
+  for (let p = 0; p <= decades; p++) for (const m of mults) mags.push(m * 10 ** p);
+  return [
+    ...mags.filter((v) => -v >= lo).reverse().map((v) => -v),
+    ...(lo <= 0 && hi >= 0 ? [0] : []),
+    ...mags.filter((v) => v <= hi && v >= lo),
+  ];
+}
+
+// Props for <YAxis> given every value drawn on the chart.
+export function yAxisProps(values, mode) {
+  const vals = values.filter(isNum).sort((a, b) => a - b);
+  if (!vals.length || mode === "linear") return {};
+  const min = vals[0];
+  const max = vals[vals.length - 1];
+  if (mode === "log") {
+    return { scale: "symlog", domain: [min, max], ticks: logTicks(min, max), allowDataOverflow: true };
+  }
+  const lo = percentile(vals, 1);
+  const hi = percentile(vals, 99);
+  const pad = (hi - lo) * 0.05 || 1;
+  return {
+    domain: [Math.floor(lo - pad), Math.ceil(hi + pad)],
+    allowDataOverflow: true,
+  };
+}
@@ -0,0 +1,165 @@
+// Fixed-price contracts (PPA / contract for difference) settled against the
+// node PML.
+//
+// A contract is { id, name, currency, strike, escalation, start, end, shape,
+// volumeMw, upload }: `strike` is per MWh in `currency` for the first
+// contract year and grows by `escalation` % at each anniversary of `start`;
+// the term runs from `start` to `end` ("YYYY-MM", both included). The
+// contracted volume per hour is `volumeMw` flat, the typical solar shape of a
+// `volumeMw` plant, or an uploaded hourly MWh profile (same CSV as the
+// capture panel).
+//
+// Settlement is seen from the generator: (strike − PML) × MWh, so a positive
+// amount is paid to the plant and a negative one by it. Contracts are kept
+// per project in localStorage.
+
+import { generationLookup } from "./capture.js";
+import { firstHourOf } from "./pmlData.js";
+
+const STORAGE_PREFIX = "pml.contracts.";
+
+export const VOLUME_SHAPES = ["flat", "solar", "upload"];
+
+export function loadContracts(projectKey) {
+  try {
+    const raw = localStorage.getItem(STORAGE_PREFIX + projectKey);
+    if (raw) return JSON.parse(raw);
+  } catch {
+    // corrupted or blocked storage: no contracts
+  }
+  return [];
+}
+
+export function saveContracts(projectKey, contracts) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + projectKey, JSON.stringify(contracts));
+    return true;
+  } catch {
+    return false; // quota: keep them for the session only
+  }
+}
+
+const TERM_MONTHS = 120;
+
+const monthIndex = (ym) => Number(ym.slice(0, 4)) * 12 + Number(ym.slice(5, 7)) - 1;
+const monthAt = (i) => `${Math.floor(i / 12)}-${String((i % 12) + 1).padStart(2, "0")}`;
+
+// Ten-year term from `startMonth` ("YYYY-MM"); solar plants get a solar shape.
+export function newContract({ name, startMonth, currency = "MXN", tech }) {
+  return {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name,
+    currency,
+    strike: 1000,
+    escalation: 0,
+    start: startMonth,
+    end: monthAt(monthIndex(startMonth) + TERM_MONTHS - 1),
+    shape: tech === "solar" ? "solar" : "flat",
+    volumeMw: 100,
+    upload: null,
+  };
+}
+
+// (d, h) → contracted MWh for that hour; `firstHour` as in generationLookup.
+export function volumeLookup(contract, firstHour = 0) {
+  const mw = Number(contract.volumeMw) || 0;
+  if (contract.shape === "flat") return () => mw;
+  return generationLookup(
+    {
+      source: contract.shape === "upload" ? "upload" : "typical",
+      capacityMw: mw,
+      upload: contract.upload,
+    },
+    firstHour
+  );
+}
+
+// Strike for a day: escalated once per full contract year since `start`.
+export function strikeOn(contract, d) {
+  const years = Math.floor((monthIndex(d) - monthIndex(contract.start)) / 12);
+  const esc = (Number(contract.escalation) || 0) / 100;
+  return (Number(contract.strike) || 0) * (1 + esc) ** Math.max(years, 0);
+}
+
+export const inTerm = (contract, d) => {
+  const ym = d.slice(0, 7);
+  return ym >= contract.start && ym <= contract.end;
+};
+
+function emptyTotal(key) {
+  return { key, hours: 0, missing: 0, volume: 0, settlement: 0, pmlValue: 0, strikeValue: 0 };
+}
+
+function addTo(total, r) {
+  if (r.settlement === null) {
+    total.missing += 1;
+    return;
+  }
+  total.hours += 1;
+  total.volume += r.volume;
+  total.settlement += r.settlement;
+  total.pmlValue += r.pml * r.volume;
+  total.strikeValue += r.strike * r.volume;
+}
+
+// Volume-weighted PML and strike of a total.
+function finish(total) {
+  const { pmlValue, strikeValue, ...rest } = total;
+  return {
+    ...rest,
+    pml: total.volume > 0 ? pmlValue / total.volume : null,
+    strike: total.volume > 0 ? strikeValue / total.volume : null,
+  };
+}
+
+// points: [{ d, h, pml }] in the contract currency. Hours outside the term
+// are left out; hours without a price are counted as `missing` and settle
+// nothing. → { hourly, daily, monthly, annual, total }
+export function settleContract(points, contract) {
+  const volumeAt = volumeLookup(contract, firstHourOf(points));
+  const hourly = [];
+  const daily = new Map();
+  const monthly = new Map();
+  const annual = new Map();
+  const total = emptyTotal("total");
+  const bucket = (map, key) => {
+    if (!map.has(key)) map.set(key, emptyTotal(key));
+    return map.get(key);
+  };
+
+  for (const p of points) {
+    if (!inTerm(contract, p.d)) continue;
+    const strike = strikeOn(contract, p.d);
+    const volume = volumeAt(p.d, p.h);
+    const priced = p.pml !== null && p.pml !== undefined && !Number.isNaN(p.pml);
+    const r = {
+      d: p.d,
+      h: p.h,
+      pml: priced ? p.pml : null,
+      strike,
+      volume,
+      settlement: priced ? (strike - p.pml) * volume : null,
+    };
+    hourly.push(r);
+    for (const acc of [
+      bucket(daily, p.d),
+      bucket(monthly, p.d.slice(0, 7)),
+      bucket(annual, p.d.slice(0, 4)),
+      total,
+    ]) {
+      addTo(acc, r);
+    }
+  }
+
+  const sorted = (map) =>
+    Array.from(map.values())
+      .sort((a, b) => a.key.localeCompare(b.key))
+      .map(finish);
+  return {
+    hourly,
+    daily: sorted(daily),
+    monthly: sorted(monthly),
+    annual: sorted(annual),
+    total: finish(total),
+  };
+}
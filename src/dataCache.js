@@ -0,0 +1,310 @@
+// Persistent client cache for PML data files (IndexedDB, keyed by URL).
+// It runs inside the data worker (dataWorker.js); the page reaches it through
+// dataClient.js.
+//
+// Every entry keeps the decoded JSON plus the ETag / Last-Modified of the
+// response it came from, so later loads can revalidate with a conditional
+// request (304 → reuse, 200 → replace). Entries flagged `immutable` (closed
+// historical months) are served straight from the cache without touching the
+// network.
+//
+// Loads answered from a stored copy because the network failed (here, or in
+// the service worker, which flags those responses with OFFLINE_HEADER) put the
+// cache in offline mode until a file comes back from the network again.
+//
+// Each request has a timeout; transient failures (network errors, timeouts,
+// 408/429/5xx) are retried with exponential backoff. Failures surface as
+// FetchError so the UI can tell a file that is not published yet (404) from
+// a network problem. An aborted `signal` stops the request and any pending
+// retry with the usual AbortError.
+//
+// NOTE: cross-origin buckets must allow the If-None-Match / If-Modified-Since
+// request headers and expose ETag / Last-Modified in their CORS config,
+// otherwise every revalidation degrades to a full download.
+
+const DB_NAME = "pml-cache";
+const DB_VERSION = 1;
+const STORE = "files";
+
+const OFFLINE_HEADER = "X-PML-Offline";
+
+export const DEFAULT_TIMEOUT_MS = 20000;
+export const DEFAULT_RETRIES = 2;
+const BACKOFF_MS = 500;
+const TRANSIENT_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+// kind: "notFound" (404) | "http" (other status) | "timeout" | "network"
+export class FetchError extends Error {
+  constructor(kind, url, { status, cause } = {}) {
+    super(status ? `HTTP ${status} - ${url}` : `${kind} - ${url}`, { cause });
+    this.name = "FetchError";
+    this.kind = kind;
+    this.url = url;
+    this.status = status;
+  }
+}
+
+const abortError = () => new DOMException("Aborted", "AbortError");
+const isTransient = (e) =>
+  e.kind === "timeout" || e.kind === "network" || TRANSIENT_STATUS.has(e.status);
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// One fetch bounded by `timeout`; the caller's signal still aborts it.
+async function fetchOnce(url, init, signal, timeout) {
+  if (signal?.aborted) throw abortError();
+  const ctrl = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    ctrl.abort();
+  }, timeout);
+  const onAbort = () => ctrl.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+  try {
+    const r = await fetch(url, { ...init, signal: ctrl.signal });
+    if (r.ok || r.status === 304) return r;
+    throw new FetchError(r.status === 404 ? "notFound" : "http", url, { status: r.status });
+  } catch (e) {
+    if (e instanceof FetchError) throw e;
+    if (signal?.aborted) throw abortError();
+    throw new FetchError(timedOut ? "timeout" : "network", url, { cause: e });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+// Also used directly for requests that skip the cache (quality.js probes).
+export async function fetchRetrying(
+  url,
+  init,
+  { signal, timeout = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchOnce(url, init, signal, timeout);
+    } catch (e) {
+      if (!(e instanceof FetchError) || !isTransient(e) || attempt >= retries) throw e;
+      await sleep(BACKOFF_MS * 2 ** attempt * (1 + Math.random() / 2), signal);
+    }
+  }
+}
+
+const mem = new Map(); // url -> record (decoded data stays in memory for the session)
+const listeners = new Set();
+let offline = false;
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB not available"));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(STORE, { keyPath: "url" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Private mode / blocked storage: run without persistence, retry next session.
+    dbPromise.catch(() => {});
+  }
+  return dbPromise;
+}
+
+function tx(mode, fn) {
+  return openDb().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const t = db.transaction(STORE, mode);
+        const out = fn(t.objectStore(STORE));
+        t.oncomplete = () => resolve(out?.result);
+        t.onerror = () => reject(t.error);
+        t.onabort = () => reject(t.error);
+      })
+  );
+}
+
+async function idbGet(url) {
+  try {
+    return await tx("readonly", (s) => s.get(url));
+  } catch {
+    return undefined;
+  }
+}
+
+async function idbPut(record) {
+  try {
+    await tx("readwrite", (s) => s.put(record));
+  } catch {
+    // quota exceeded or storage unavailable: keep the in-memory copy only
+  }
+}
+
+function notify() {
+  for (const fn of listeners) fn();
+}
+
+export function subscribeCache(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+export const isOffline = () => offline;
+
+function setOffline(value) {
+  if (offline === value) return;
+  offline = value;
+  notify();
+}
+
+// `parse` turns the raw response bytes (Uint8Array) into the value to cache.
+// With a stored copy at hand a failed revalidation is not retried: the copy
+// is served at once instead.
+export async function fetchCached(
+  url,
+  parse,
+  {
+    immutable = false,
+    signal,
+    timeout = DEFAULT_TIMEOUT_MS,
+    retries = DEFAULT_RETRIES,
+    ...opts
+  } = {}
+) {
+  let rec = mem.get(url) || (await idbGet(url));
+  if (rec && immutable) {
+    mem.set(url, rec);
+    return rec.data;
+  }
+
+  const headers = new Headers(opts.headers || {});
+  if (rec?.etag) headers.set("If-None-Match", rec.etag);
+  if (rec?.lastModified) headers.set("If-Modified-Since", rec.lastModified);
+
+  let r;
+  try {
+    r = await fetchRetrying(
+      url,
+      { cache: "no-store", ...opts, headers },
+      { signal, timeout, retries: rec ? 0 : retries }
+    );
+  } catch (e) {
+    // Network down: the last stored copy beats an empty panel.
+    if (rec && e instanceof FetchError && isTransient(e)) {
+      mem.set(url, rec);
+      setOffline(true);
+      return rec.data;
+    }
+    throw e;
+  }
+  setOffline(!!r.headers.get(OFFLINE_HEADER));
+
+  if (r.status === 304 && rec) {
+    mem.set(url, rec);
+    return rec.data;
+  }
+  if (!r.ok) throw new FetchError("http", url, { status: r.status });
+
+  const u8 = new Uint8Array(await r.arrayBuffer());
+  const data = parse(u8);
+
+  rec = {
+    url,
+    data,
+    etag: r.headers.get("ETag"),
+    lastModified: r.headers.get("Last-Modified"),
+    size: u8.length,
+    storedAt: Date.now(),
+  };
+  mem.set(url, rec);
+  await idbPut(rec);
+  notify();
+  return data;
+}
+
+// Copies the service worker keeps for offline use (DATA_CACHE in
+// public/sw.js). They are the same files, so they count towards the cache
+// size and go away with it.
+const SW_DATA_CACHE = "pml-data-v1";
+
+async function swDataCache() {
+  if (typeof caches === "undefined" || !(await caches.has(SW_DATA_CACHE))) return null;
+  return caches.open(SW_DATA_CACHE);
+}
+
+// { entries, bytes } — bytes are the downloaded (possibly gzipped) sizes;
+// a file stored by both caches counts once in `entries`.
+export async function cacheStats() {
+  const urls = new Set();
+  let bytes = 0;
+  try {
+    const db = await openDb();
+    await new Promise((resolve, reject) => {
+      const req = db.transaction(STORE, "readonly").objectStore(STORE).openCursor();
+      req.onsuccess = () => {
+        const cur = req.result;
+        if (!cur) {
+          resolve();
+          return;
+        }
+        urls.add(cur.value.url);
+        bytes += cur.value.size || 0;
+        cur.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  } catch {
+    for (const rec of mem.values()) {
+      urls.add(rec.url);
+      bytes += rec.size || 0;
+    }
+  }
+  try {
+    const cache = await swDataCache();
+    for (const req of cache ? await cache.keys() : []) {
+      const r = await cache.match(req);
+      urls.add(req.url);
+      bytes += r ? (await r.blob()).size : 0;
+    }
+  } catch {
+    // Cache Storage unavailable
+  }
+  return { entries: urls.size, bytes };
+}
+
+export async function clearCache() {
+  mem.clear();
+  try {
+    await tx("readwrite", (s) => s.clear());
+  } catch {
+    // nothing persisted
+  }
+  try {
+    if (typeof caches !== "undefined") await caches.delete(SW_DATA_CACHE);
+  } catch {
+    // Cache Storage unavailable
+  }
+  notify();
+}
@@ -0,0 +1,74 @@
+// Page side of the data worker (dataWorker.js): one promise per request,
+// AbortSignal support, and a mirror of the worker cache's offline flag so
+// the UI can subscribe to it like it used to with dataCache.js directly.
+
+import { FetchError } from "./dataCache.js";
+
+let worker = null;
+let nextId = 1;
+const pending = new Map(); // id -> { resolve, reject }
+const listeners = new Set();
+let offline = false;
+
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL("./dataWorker.js", import.meta.url), { type: "module" });
+    worker.addEventListener("message", ({ data }) => {
+      if (data.event === "cache") {
+        offline = data.offline;
+        for (const fn of listeners) fn();
+        return;
+      }
+      const p = pending.get(data.id);
+      if (!p) return;
+      pending.delete(data.id);
+      if (data.error) p.reject(toError(data.error));
+      else p.resolve(data.value);
+    });
+  }
+  return worker;
+}
+
+function toError({ name, message, kind, url, status }) {
+  if (name === "FetchError") return new FetchError(kind, url, { status });
+  if (name === "AbortError") return new DOMException(message, "AbortError");
+  return new Error(message);
+}
+
+// runInWorker("daily", { url, opts }, { signal }) → the op's value.
+// `transfer` hands the listed buffers to the worker instead of copying them.
+export function runInWorker(op, args = {}, { signal, transfer = [] } = {}) {
+  if (signal?.aborted) return Promise.reject(signal.reason);
+  const id = nextId++;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      pending.delete(id);
+      getWorker().postMessage({ op: "abort", id });
+      reject(signal.reason);
+    };
+    pending.set(id, {
+      resolve: (v) => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve(v);
+      },
+      reject: (e) => {
+        signal?.removeEventListener("abort", onAbort);
+        reject(e);
+      },
+    });
+    signal?.addEventListener("abort", onAbort, { once: true });
+    getWorker().postMessage({ id, op, args }, transfer);
+  });
+}
+
+export function subscribeCache(fn) {
+  getWorker();
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+export const isOffline = () => offline;
+
+export const cacheStats = () => runInWorker("cacheStats");
+
+export const clearCache = () => runInWorker("clearCache");
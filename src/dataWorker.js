@@ -0,0 +1,93 @@
+// Data worker: fetches PML files through the client cache (dataCache.js),
+// decompresses and parses them, and runs the heavy aggregations, so
+// switching nodes doesn't freeze the page. dataClient.js is the other side.
+//
+// Requests:  { id, op, args }     → { id, value } | { id, error }
+//            { op: "abort", id }  (the page's AbortSignal fired)
+// Events:    { event: "cache", offline }  after any cache change
+
+import { cacheStats, clearCache, fetchCached, isOffline, subscribeCache } from "./dataCache.js";
+import { computeDistribution } from "./distribution.js";
+import { backtest, forecastNext } from "./forecast.js";
+import {
+  aggregateMonthly,
+  buffersOf,
+  decodeMaybeGzJson,
+  lttb,
+  parseDailyColumns,
+  parseHourlyColumns,
+  summarize,
+} from "./pmlData.js";
+
+const running = new Map(); // id -> AbortController
+
+const fetchData = (url, opts, signal) => fetchCached(url, decodeMaybeGzJson, { ...opts, signal });
+
+// { d, h, pml } columns → points for forecast.js (NaN prices are skipped there).
+const pointsOf = ({ d, h, pml }) => d.map((x, i) => ({ d: x, h: h[i], pml: pml[i] }));
+
+// Each op returns [value, transfer list].
+const OPS = {
+  async json({ url, opts }, signal) {
+    return [await fetchData(url, opts, signal), []];
+  },
+  async daily({ url, opts }, signal) {
+    const out = parseDailyColumns(await fetchData(url, opts, signal));
+    return [out, buffersOf(out.cols)];
+  },
+  async hourly({ url, opts }, signal) {
+    const out = parseHourlyColumns(await fetchData(url, opts, signal));
+    return [out, buffersOf(out.cols)];
+  },
+  async monthly({ cols }) {
+    return [aggregateMonthly(cols), []];
+  },
+  async stats({ values }) {
+    return [summarize(values), []];
+  },
+  async distribution({ values, threshold, thresholdValues }) {
+    return [computeDistribution(values, { threshold, thresholdValues }), []];
+  },
+  async forecast({ cols }) {
+    return [forecastNext(pointsOf(cols)), []];
+  },
+  async backtest({ cols, months }) {
+    return [backtest(pointsOf(cols), months), []];
+  },
+  async lttb({ values, threshold, keep }) {
+    const idx = lttb(values, threshold, keep);
+    return [idx, [idx.buffer]];
+  },
+  async cacheStats() {
+    return [await cacheStats(), []];
+  },
+  async clearCache() {
+    await clearCache();
+    return [null, []];
+  },
+};
+
+// FetchError fields don't survive structured cloning; send them as data.
+function errorData(e) {
+  return { name: e?.name, message: String(e?.message || e), kind: e?.kind, url: e?.url, status: e?.status };
+}
+
+self.addEventListener("message", async ({ data }) => {
+  const { id, op, args } = data;
+  if (op === "abort") {
+    running.get(id)?.abort();
+    return;
+  }
+  const ctrl = new AbortController();
+  running.set(id, ctrl);
+  try {
+    const [value, transfer] = await OPS[op](args, ctrl.signal);
+    self.postMessage({ id, value }, transfer);
+  } catch (e) {
+    self.postMessage({ id, error: errorData(e) });
+  } finally {
+    running.delete(id);
+  }
+});
+
+subscribeCache(() => self.postMessage({ event: "cache", offline: isOffline() }));
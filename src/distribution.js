@@ -0,0 +1,101 @@
+// Price distribution for a set of hourly values: percentiles, dispersion,
+// histogram, duration curve and counts of negative / zero / high-price hours.
+
+export const PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+
+// Linear interpolation between closest ranks; `sorted` must be ascending.
+export function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const i = (sorted.length - 1) * (p / 100);
+  const lo = Math.floor(i);
+  const hi = Math.ceil(i);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+}
+
+export function cleanValues(values) {
+  const out = [];
+  for (const v of values) {
+    if (v === null || v === undefined) continue;
+    const x = Number(v);
+    if (!Number.isNaN(x)) out.push(x);
+  }
+  return out;
+}
+
+// Equal-width bins between min and max.
+function histogram(sorted, bins) {
+  if (!sorted.length) return [];
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const width = (max - min) / bins || 1;
+  const out = Array.from({ length: bins }, (_, i) => ({
+    from: min + i * width,
+    to: min + (i + 1) * width,
+    count: 0,
+  }));
+  for (const x of sorted) {
+    const i = Math.min(Math.floor((x - min) / width), bins - 1);
+    out[i].count += 1;
+  }
+  return out.map((b) => ({ ...b, share: b.count / sorted.length }));
+}
+
+// Prices sorted high → low against the share of hours at or above them,
+// thinned to `maxPoints` for drawing.
+function durationCurve(sorted, maxPoints) {
+  const n = sorted.length;
+  if (!n) return [];
+  const step = Math.max(1, Math.ceil(n / maxPoints));
+  const out = [];
+  for (let i = 0; i < n; i += step) {
+    out.push({ pct: ((i + 1) / n) * 100, price: sorted[n - 1 - i] });
+  }
+  if (out[out.length - 1].pct !== 100) out.push({ pct: 100, price: sorted[0] });
+  return out;
+}
+
+// `thresholdValues` (same hours as `values`) are compared with `threshold`
+// instead of `values` when the threshold is in another currency.
+export function computeDistribution(
+  values,
+  { threshold = null, thresholdValues = values, bins = 30, maxPoints = 400 } = {}
+) {
+  const sorted = cleanValues(values).sort((a, b) => a - b);
+  const n = sorted.length;
+  if (!n) return null;
+
+  let sum = 0;
+  let negative = 0;
+  let zero = 0;
+  for (const x of sorted) {
+    sum += x;
+    if (x < 0) negative++;
+    else if (x === 0) zero++;
+  }
+  // Only hours counted in `n`.
+  let above = 0;
+  if (threshold !== null) {
+    values.forEach((v, i) => {
+      if (cleanValues([v]).length && Number(thresholdValues[i]) > threshold) above++;
+    });
+  }
+  const mean = sum / n;
+  let sq = 0;
+  for (const x of sorted) sq += (x - mean) ** 2;
+
+  return {
+    n,
+    min: sorted[0],
+    max: sorted[n - 1],
+    mean,
+    std: Math.sqrt(sq / n),
+    percentiles: Object.fromEntries(PERCENTILES.map((p) => [p, percentile(sorted, p)])),
+    counts: {
+      negative: { n: negative, share: negative / n },
+      zero: { n: zero, share: zero / n },
+      above: { n: above, share: above / n },
+    },
+    histogram: histogram(sorted, bins),
+    duration: durationCurve(sorted, maxPoints),
+  };
+}
@@ -0,0 +1,97 @@
+// Price event detection: spikes above a $/MWh threshold, negative and zero
+// prices, and large hour-to-hour jumps.
+//
+// Daily rows only carry min/max, so they can flag spikes / negative / zero
+// days; hourly points (loaded months) add the exact hour and the jumps.
+// Thresholds are kept per project + node in localStorage.
+
+import { firstHourOf } from "./pmlData.js";
+
+const STORAGE_PREFIX = "pml.events.";
+
+export const EVENT_TYPES = [
+  { key: "spike", color: "#dc2626" },
+  { key: "negative", color: "#7c3aed" },
+  { key: "zero", color: "#0891b2" },
+  { key: "jump", color: "#d97706" },
+];
+
+export const DEFAULT_THRESHOLDS = { high: 2000, jump: 1000 };
+
+export function loadThresholds(projectKey, node) {
+  try {
+    const raw = localStorage.getItem(`${STORAGE_PREFIX}${projectKey}.${node}`);
+    if (raw) return { ...DEFAULT_THRESHOLDS, ...JSON.parse(raw) };
+  } catch {
+    // corrupted or blocked storage: fall back to defaults
+  }
+  return DEFAULT_THRESHOLDS;
+}
+
+export function saveThresholds(projectKey, node, thresholds) {
+  try {
+    localStorage.setItem(`${STORAGE_PREFIX}${projectKey}.${node}`, JSON.stringify(thresholds));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const isNum = (v) => v !== null && v !== undefined && !Number.isNaN(v);
+
+function nextDate(d) {
+  const t = new Date(`${d}T00:00:00Z`);
+  t.setUTCDate(t.getUTCDate() + 1);
+  return t.toISOString().slice(0, 10);
+}
+
+// daily: [{ d, min, max }] → [{ d, h: null, type, value }]
+export function detectDailyEvents(daily, { high }) {
+  const out = [];
+  for (const r of daily) {
+    if (isNum(r.max) && isNum(high) && r.max > high) {
+      out.push({ d: r.d, h: null, type: "spike", value: r.max });
+    }
+    if (isNum(r.min) && r.min < 0) out.push({ d: r.d, h: null, type: "negative", value: r.min });
+    else if (isNum(r.min) && r.min === 0) out.push({ d: r.d, h: null, type: "zero", value: 0 });
+  }
+  return out;
+}
+
+// points: [{ d, h, pml }] in any order → [{ d, h, type, value, delta? }].
+// A jump compares each hour with the previous one, across midnight too: the
+// last hour of a day with the first of the next (hours run 0–23 or 1–24
+// depending on the file, and days have 23 or 25 hours on DST changes).
+export function detectHourlyEvents(points, { high, jump }) {
+  const sorted = points
+    .filter((p) => isNum(p.pml))
+    .slice()
+    .sort((a, b) => (a.d === b.d ? a.h - b.h : a.d.localeCompare(b.d)));
+  const firstHour = firstHourOf(points);
+  const lastHour = new Map(); // d -> highest hour in the file
+  for (const p of points) lastHour.set(p.d, Math.max(lastHour.get(p.d) ?? p.h, p.h));
+  const out = [];
+  let prev = null;
+  for (const p of sorted) {
+    if (isNum(high) && p.pml > high) out.push({ d: p.d, h: p.h, type: "spike", value: p.pml });
+    if (p.pml < 0) out.push({ d: p.d, h: p.h, type: "negative", value: p.pml });
+    else if (p.pml === 0) out.push({ d: p.d, h: p.h, type: "zero", value: 0 });
+    const consecutive =
+      prev &&
+      ((prev.d === p.d && p.h === prev.h + 1) ||
+        (nextDate(prev.d) === p.d && prev.h === lastHour.get(prev.d) && p.h === firstHour));
+    if (consecutive && isNum(jump) && Math.abs(p.pml - prev.pml) >= jump) {
+      out.push({ d: p.d, h: p.h, type: "jump", value: p.pml, delta: p.pml - prev.pml });
+    }
+    prev = p;
+  }
+  return out;
+}
+
+// Hourly events replace the daily ones for the days that have hourly data.
+// Newest first.
+export function mergeEvents(dailyEvents, hourlyEvents, hourlyDays) {
+  return [...dailyEvents.filter((e) => !hourlyDays.has(e.d)), ...hourlyEvents].sort((a, b) =>
+    a.d === b.d ? (a.h ?? -1) - (b.h ?? -1) : b.d.localeCompare(a.d)
+  );
+}
@@ -0,0 +1,291 @@
+import pako from "pako";
+
+// Export helpers for the chart panels.
+// A table is { name, columns: [{ label, type }], rows: [[...]] } where type is
+// "text" | "int" | "money" | "rate". Money cells are written with the same
+// 2-decimal format the UI uses (formatMoney), rates (FX) with 4 decimals, text
+// cells (dates, hours) exactly as shown.
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export function safeFileName(s) {
+  return String(s).replace(/[^\w.-]+/g, "_");
+}
+
+// --------- CSV ----------
+
+function csvCell(v) {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function tableToCsv(table, formatMoney) {
+  const lines = [table.columns.map((c) => csvCell(c.label)).join(",")];
+  for (const row of table.rows) {
+    lines.push(
+      row
+        .map((v, i) => {
+          const type = table.columns[i]?.type;
+          if (type === "money") return csvCell(formatMoney(v) ?? "");
+          if (type === "rate") return csvCell(Number.isFinite(v) ? v.toFixed(4) : "");
+          return csvCell(v);
+        })
+        .join(",")
+    );
+  }
+  // BOM so Excel opens accents (Histórico, Tepezalá) correctly
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+export function downloadCsv(table, formatMoney, filename) {
+  const blob = new Blob([tableToCsv(table, formatMoney)], {
+    type: "text/csv;charset=utf-8",
+  });
+  downloadBlob(blob, filename);
+}
+
+// --------- XLSX (SpreadsheetML in a zip, no external dependency) ----------
+
+function xmlEscape(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function colName(i) {
+  let n = i + 1;
+  let out = "";
+  while (n > 0) {
+    const m = (n - 1) % 26;
+    out = String.fromCharCode(65 + m) + out;
+    n = Math.floor((n - 1) / 26);
+  }
+  return out;
+}
+
+function sheetName(name, used) {
+  const base = String(name).replace(/[[\]:*?/\\]/g, " ").slice(0, 31) || "Hoja";
+  let out = base;
+  for (let i = 2; used.has(out); i++) out = `${base.slice(0, 28)} ${i}`;
+  used.add(out);
+  return out;
+}
+
+// Style ids from STYLES_XML: 0 default, 1 "#,##0.00", 2 bold header
+const STYLES_XML =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<numFmts count="2"><numFmt numFmtId="164" formatCode="#,##0.00"/><numFmt numFmtId="165" formatCode="0.0000"/></numFmts>' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+  '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+  '<fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="4">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  "</cellXfs>" +
+  '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+  "</styleSheet>";
+
+function cellXml(ref, v, type, header) {
+  if (v === null || v === undefined || v === "") return "";
+  const num = Number(v);
+  if (!header && (type === "money" || type === "int" || type === "rate") && Number.isFinite(num)) {
+    const s = type === "money" ? ' s="1"' : type === "rate" ? ' s="3"' : "";
+    return `<c r="${ref}"${s}><v>${num}</v></c>`;
+  }
+  const s = header ? ' s="2"' : "";
+  return `<c r="${ref}" t="inlineStr"${s}><is><t xml:space="preserve">${xmlEscape(v)}</t></is></c>`;
+}
+
+function sheetXml(table) {
+  const rows = [table.columns.map((c) => c.label), ...table.rows];
+  const body = rows
+    .map((row, r) => {
+      const cells = row
+        .map((v, c) =>
+          cellXml(`${colName(c)}${r + 1}`, v, table.columns[c]?.type, r === 0)
+        )
+        .join("");
+      return `<row r="${r + 1}">${cells}</row>`;
+    })
+    .join("");
+  const cols = table.columns
+    .map((c, i) => {
+      const w = c.type === "money" ? 14 : Math.max(10, String(c.label).length + 2);
+      return `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`;
+    })
+    .join("");
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" state="frozen"/></sheetView></sheetViews>' +
+    `<cols>${cols}</cols><sheetData>${body}</sheetData></worksheet>`
+  );
+}
+
+export function buildXlsx(tables) {
+  const used = new Set();
+  const names = tables.map((t) => sheetName(t.name, used));
+
+  const files = [
+    {
+      path: "[Content_Types].xml",
+      data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        tables
+          .map(
+            (_, i) =>
+              `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+          )
+          .join("") +
+        "</Types>",
+    },
+    {
+      path: "_rels/.rels",
+      data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        "</Relationships>",
+    },
+    {
+      path: "xl/workbook.xml",
+      data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+        names
+          .map((n, i) => `<sheet name="${xmlEscape(n)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`)
+          .join("") +
+        "</sheets></workbook>",
+    },
+    {
+      path: "xl/_rels/workbook.xml.rels",
+      data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        tables
+          .map(
+            (_, i) =>
+              `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+          )
+          .join("") +
+        `<Relationship Id="rId${tables.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        "</Relationships>",
+    },
+    { path: "xl/styles.xml", data: STYLES_XML },
+    ...tables.map((t, i) => ({
+      path: `xl/worksheets/sheet${i + 1}.xml`,
+      data: sheetXml(t),
+    })),
+  ];
+
+  return new Blob([zip(files)], {
+    type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  });
+}
+
+export function downloadXlsx(tables, filename) {
+  downloadBlob(buildXlsx(tables), filename);
+}
+
+// --------- Minimal zip writer (deflate via pako) ----------
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(u8) {
+  let c = 0xffffffff;
+  for (let i = 0; i < u8.length; i++) c = CRC_TABLE[(c ^ u8[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function zip(files) {
+  const enc = new TextEncoder();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  for (const f of files) {
+    const name = enc.encode(f.path);
+    const raw = enc.encode(f.data);
+    const comp = pako.deflateRaw(raw);
+    const crc = crc32(raw);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 8, true); // deflate
+    local.setUint16(10, 0, true); // time
+    local.setUint16(12, 0x21, true); // date 1980-01-01
+    local.setUint32(14, crc, true);
+    local.setUint32(18, comp.length, true);
+    local.setUint32(22, raw.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    chunks.push(new Uint8Array(local.buffer), name, comp);
+
+    const cd = new DataView(new ArrayBuffer(46));
+    cd.setUint32(0, 0x02014b50, true);
+    cd.setUint16(4, 20, true);
+    cd.setUint16(6, 20, true);
+    cd.setUint16(8, 0x0800, true);
+    cd.setUint16(10, 8, true);
+    cd.setUint16(12, 0, true);
+    cd.setUint16(14, 0x21, true);
+    cd.setUint32(16, crc, true);
+    cd.setUint32(20, comp.length, true);
+    cd.setUint32(24, raw.length, true);
+    cd.setUint16(28, name.length, true);
+    cd.setUint32(42, offset, true);
+    central.push(new Uint8Array(cd.buffer), name);
+
+    offset += 30 + name.length + comp.length;
+  }
+
+  const cdSize = central.reduce((a, c) => a + c.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, cdSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+  const total = parts.reduce((a, c) => a + c.length, 0);
+  const out = new Uint8Array(total);
+  let p = 0;
+  for (const c of parts) {
+    out.set(c, p);
+    p += c.length;
+  }
+  return out;
+}
@@ -0,0 +1,224 @@
+// Baseline hourly price forecasts computed in the browser from the loaded
+// history, plus a rolling backtest of each model.
+//
+// Models:
+//   naive      — seasonal naive: same hour one week earlier.
+//   regression — least squares on hour, weekday and month dummies.
+// P10/P90 bands are the model's own residual quantiles per hour over the
+// last weeks of its training data.
+
+import { percentile } from "./distribution.js";
+import { addDays } from "./quality.js";
+
+export const FORECAST_MODELS = [
+  { key: "naive", color: "#e6550d" },
+  { key: "regression", color: "#31a354" },
+];
+
+export const HORIZON_DAYS = 7;
+// Residuals used for the bands: the last weeks of training data.
+const RESIDUAL_DAYS = 56;
+// |actual| below this is left out of MAPE (prices near zero blow it up).
+const MAPE_MIN = 1;
+// Ridge term so months / hours absent from the training data stay solvable.
+const RIDGE = 1e-3;
+
+const isNum = (v) => v !== null && v !== undefined && Number.isFinite(v);
+const weekday = (d) => new Date(`${d}T00:00:00Z`).getUTCDay();
+const monthOf = (d) => Number(d.slice(5, 7)) - 1;
+const key = (d, h) => `${d}|${h}`;
+
+function residualBands(points, predict, lastDate) {
+  const since = addDays(lastDate, -RESIDUAL_DAYS);
+  const byHour = new Map();
+  for (const p of points) {
+    if (p.d <= since || !isNum(p.pml)) continue;
+    const f = predict(p.d, p.h);
+    if (!isNum(f)) continue;
+    const cur = byHour.get(p.h) || [];
+    cur.push(p.pml - f);
+    byHour.set(p.h, cur);
+  }
+  const out = new Map();
+  for (const [h, rs] of byHour) {
+    rs.sort((a, b) => a - b);
+    out.set(h, { p10: percentile(rs, 10), p90: percentile(rs, 90) });
+  }
+  return out;
+}
+
+function fitNaive(points) {
+  const byKey = new Map();
+  for (const p of points) if (isNum(p.pml)) byKey.set(key(p.d, p.h), p.pml);
+  // Beyond the history a forecast reuses its own value from a week before.
+  const predict = (d, h, depth = 0) => {
+    const prev = addDays(d, -7);
+    const v = byKey.get(key(prev, h));
+    if (v !== undefined) return v;
+    return depth < 8 ? predict(prev, h, depth + 1) : null;
+  };
+  return { predict };
+}
+
+// Solves A x = b in place (Gaussian elimination with partial pivoting).
+function solve(A, b) {
+  const n = b.length;
+  for (let c = 0; c < n; c++) {
+    let piv = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(A[r][c]) > Math.abs(A[piv][c])) piv = r;
+    [A[c], A[piv]] = [A[piv], A[c]];
+    [b[c], b[piv]] = [b[piv], b[c]];
+    const a = A[c][c] || 1e-12;
+    for (let r = c + 1; r < n; r++) {
+      const f = A[r][c] / a;
+      if (!f) continue;
+      for (let k = c; k < n; k++) A[r][k] -= f * A[c][k];
+      b[r] -= f * b[c];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let s = b[r];
+    for (let k = r + 1; k < n; k++) s -= A[r][k] * x[k];
+    x[r] = s / (A[r][r] || 1e-12);
+  }
+  return x;
+}
+
+function fitRegression(points, hours) {
+  // columns: intercept | hours[1..] | weekday 1..6 | month 1..11
+  const hourCol = new Map(hours.slice(1).map((h, i) => [h, 1 + i]));
+  const wdBase = hours.length;
+  const monBase = wdBase + 6;
+  const n = monBase + 11;
+  const cols = (d, h) => {
+    const out = [0];
+    if (hourCol.has(h)) out.push(hourCol.get(h));
+    const wd = weekday(d);
+    if (wd > 0) out.push(wdBase + wd - 1);
+    const m = monthOf(d);
+    if (m > 0) out.push(monBase + m - 1);
+    return out;
+  };
+
+  const A = Array.from({ length: n }, () => new Array(n).fill(0));
+  const b = new Array(n).fill(0);
+  for (const p of points) {
+    if (!isNum(p.pml)) continue;
+    const c = cols(p.d, p.h);
+    for (const i of c) {
+      b[i] += p.pml;
+      for (const j of c) A[i][j] += 1;
+    }
+  }
+  for (let i = 0; i < n; i++) A[i][i] += RIDGE;
+  const beta = solve(A, b);
+  return {
+    predict: (d, h) => cols(d, h).reduce((s, i) => s + beta[i], 0),
+  };
+}
+
+const FITS = { naive: fitNaive, regression: fitRegression };
+
+function prepare(points) {
+  const sorted = points
+    .filter((p) => isNum(p.pml))
+    .slice()
+    .sort((a, b) => (a.d === b.d ? a.h - b.h : a.d.localeCompare(b.d)));
+  const hours = Array.from(new Set(sorted.map((p) => p.h))).sort((a, b) => a - b);
+  return { sorted, hours, lastDate: sorted.length ? sorted[sorted.length - 1].d : null };
+}
+
+function fitAll(train, hours, lastDate) {
+  const out = {};
+  for (const m of FORECAST_MODELS) {
+    const model = FITS[m.key](train, hours);
+    out[m.key] = { ...model, bands: residualBands(train, model.predict, lastDate) };
+  }
+  return out;
+}
+
+// Next `days` days after the last date with data:
+// { origin, rows: [{ d, h, t, naive, naiveP10, naiveP90, regression, ... }] }
+export function forecastNext(points, days = HORIZON_DAYS) {
+  const { sorted, hours, lastDate } = prepare(points);
+  if (!sorted.length) return null;
+  const models = fitAll(sorted, hours, lastDate);
+  const rows = [];
+  for (let i = 1; i <= days; i++) {
+    const d = addDays(lastDate, i);
+    for (const h of hours) {
+      const row = { d, h, t: `${d} ${String(h).padStart(2, "0")}:00` };
+      for (const m of FORECAST_MODELS) {
+        const f = models[m.key].predict(d, h);
+        const band = models[m.key].bands.get(h);
+        row[m.key] = isNum(f) ? f : null;
+        row[`${m.key}P10`] = isNum(f) && band ? f + band.p10 : null;
+        row[`${m.key}P90`] = isNum(f) && band ? f + band.p90 : null;
+      }
+      rows.push(row);
+    }
+  }
+  return { origin: lastDate, rows };
+}
+
+// Rolling-origin backtest over the last `months` months: every 7 days the
+// models are refit on everything before the origin and scored on the next
+// HORIZON_DAYS days. → { from, to, origins, models: { key: { mae, mape, coverage, n } } }
+export function backtest(points, months) {
+  const { sorted, hours, lastDate } = prepare(points);
+  if (!sorted.length) return null;
+  const d0 = new Date(`${lastDate}T00:00:00Z`);
+  d0.setUTCMonth(d0.getUTCMonth() - months);
+  const from = d0.toISOString().slice(0, 10);
+  if (from <= sorted[0].d) return null;
+
+  const acc = Object.fromEntries(
+    FORECAST_MODELS.map((m) => [m.key, { abs: 0, n: 0, pct: 0, nPct: 0, inBand: 0 }])
+  );
+  let origins = 0;
+  for (let origin = from; addDays(origin, HORIZON_DAYS - 1) <= lastDate; origin = addDays(origin, 7)) {
+    const end = addDays(origin, HORIZON_DAYS - 1);
+    const train = sorted.filter((p) => p.d < origin);
+    const test = sorted.filter((p) => p.d >= origin && p.d <= end);
+    if (!train.length || !test.length) continue;
+    const models = fitAll(train, hours, addDays(origin, -1));
+    origins += 1;
+    for (const m of FORECAST_MODELS) {
+      const a = acc[m.key];
+      for (const p of test) {
+        const f = models[m.key].predict(p.d, p.h);
+        if (!isNum(f)) continue;
+        const e = Math.abs(p.pml - f);
+        a.abs += e;
+        a.n += 1;
+        if (Math.abs(p.pml) >= MAPE_MIN) {
+          a.pct += e / Math.abs(p.pml);
+          a.nPct += 1;
+        }
+        const band = models[m.key].bands.get(p.h);
+        if (band && p.pml >= f + band.p10 && p.pml <= f + band.p90) a.inBand += 1;
+      }
+    }
+  }
+  if (!origins) return null;
+  return {
+    from,
+    to: lastDate,
+    origins,
+    models: Object.fromEntries(
+      FORECAST_MODELS.map((m) => {
+        const a = acc[m.key];
+        return [
+          m.key,
+          {
+            n: a.n,
+            mae: a.n ? a.abs / a.n : null,
+            mape: a.nPct ? a.pct / a.nPct : null,
+            coverage: a.n ? a.inBand / a.n : null,
+          },
+        ];
+      })
+    ),
+  };
+}
@@ -0,0 +1,27 @@
+// Number formats shared by App.jsx and the panel modules (locale-aware, see
+// i18n.js). Missing values format as null so callers can fall back to "—".
+
+import { formatNumber } from "./i18n.js";
+
+export function formatMoney(n) {
+  return formatNumber(n, { maximumFractionDigits: 2, minimumFractionDigits: 2 });
+}
+
+// MXN per USD
+export function formatRate(x) {
+  return formatNumber(x, { minimumFractionDigits: 4, maximumFractionDigits: 4 });
+}
+
+export function formatSigned(x) {
+  const s = formatMoney(x);
+  return s === null ? null : x > 0 ? `+${s}` : s;
+}
+
+export function formatPct(x) {
+  return formatNumber(x, { style: "percent", maximumFractionDigits: 1, minimumFractionDigits: 1 });
+}
+
+export function formatMwh(x) {
+  const s = formatNumber(x, { maximumFractionDigits: 0 });
+  return s === null ? null : `${s} MWh`;
+}
@@ -0,0 +1,64 @@
+// Daily USD/MXN series for the currency switch.
+//
+// The file sits in the data bucket next to pml-mda/ with the same gz-JSON
+// convention as the PML files:
+//   fx/usd-mxn.json.gz → { "source": "Banxico FIX", "rows": [["YYYY-MM-DD", 17.1234], ...] }
+// Rates are MXN per USD. Dates without a rate (weekends, holidays, the days
+// before the next publication) use the last rate published before them.
+
+export const CURRENCIES = [
+  { key: "MXN", label: "MXN" },
+  { key: "USD", label: "USD" },
+];
+
+export const FX_PATH = "fx/usd-mxn.json.gz";
+
+// Price fields of daily / hourly rows (and their spread / component parts).
+const PRICE_FIELDS = ["avg", "min", "max", "pml", "energy", "losses", "congestion", "mda", "mtr"];
+
+export function parseFxRows(data) {
+  const rows = (data.rows || [])
+    .map((r) => [r[0], Number(r[1])])
+    .filter(([d, v]) => typeof d === "string" && Number.isFinite(v) && v > 0)
+    .sort((a, b) => a[0].localeCompare(b[0]));
+  return {
+    source: data.source || "",
+    dates: rows.map((r) => r[0]),
+    rates: rows.map((r) => r[1]),
+  };
+}
+
+// (date) → MXN per USD, or null before the first published rate.
+export function fxLookup(fx) {
+  const { dates, rates } = fx;
+  return (d) => {
+    let lo = 0;
+    let hi = dates.length - 1;
+    let at = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (dates[mid] <= d) {
+        at = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return at === -1 ? null : rates[at];
+  };
+}
+
+// Divides every price field by the rate of the row's date and keeps the
+// rate in `fx`. Rows without a rate lose their prices (null) rather than
+// mixing currencies.
+export function convertRows(rows, rateOf) {
+  return rows.map((r) => {
+    const rate = rateOf(r.d);
+    const out = { ...r, fx: rate };
+    for (const k of PRICE_FIELDS) {
+      if (out[k] === null || out[k] === undefined) continue;
+      out[k] = rate ? out[k] / rate : null;
+    }
+    return out;
+  });
+}
@@ -0,0 +1,142 @@
+// UI language (Spanish / English): message catalogs and locale-aware number
+// and date formatting.
+//
+// The active language is module state so plain helpers (formatMoney, table
+// builders, module-level components) translate without threading it through
+// every call. App keeps the same value in React state and re-renders the whole
+// tree when it changes, so text is built while rendering: memos and state hold
+// numbers and message keys rather than finished text.
+
+import en from "./locales/en.js";
+import es from "./locales/es.js";
+
+export const LANGS = [
+  { key: "es", label: "ES", locale: "es-MX" },
+  { key: "en", label: "EN", locale: "en-US" },
+];
+
+const CATALOGS = { es, en };
+const STORAGE_KEY = "pml.lang";
+
+// Saved choice, else the browser language, else Spanish.
+export function loadLang() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (CATALOGS[saved]) return saved;
+  } catch {
+    // blocked storage: fall through
+  }
+  return typeof navigator !== "undefined" && /^en\b/i.test(navigator.language || "") ? "en" : "es";
+}
+
+export function saveLang(lang) {
+  try {
+    localStorage.setItem(STORAGE_KEY, lang);
+  } catch {
+    // not persisted; the choice still applies to this session
+  }
+}
+
+let active = "es";
+
+export function setLang(lang) {
+  active = CATALOGS[lang] ? lang : "es";
+  if (typeof document !== "undefined") document.documentElement.lang = active;
+}
+
+setLang(loadLang());
+
+export const getLang = () => active;
+export const getLocale = () => LANGS.find((l) => l.key === active).locale;
+
+// t("annual.title", { year: 2024 }) → "2) Anual (diario) — 2024"
+// Missing keys fall back to Spanish, then to the key itself.
+export function t(key, vars) {
+  const msg = CATALOGS[active][key] ?? es[key] ?? key;
+  return vars ? msg.replace(/\{(\w+)\}/g, (m, k) => (vars[k] ?? m)) : msg;
+}
+
+// Singular / plural pair: `${key}.one` for n === 1, `${key}.other` otherwise.
+export const tn = (key, n, vars) => t(`${key}.${n === 1 ? "one" : "other"}`, { n, ...vars });
+
+// --------- Numbers ----------
+
+const numberFormats = new Map();
+
+export function formatNumber(x, opts = {}) {
+  if (x === null || x === undefined || Number.isNaN(Number(x))) return null;
+  const key = `${getLocale()}|${JSON.stringify(opts)}`;
+  if (!numberFormats.has(key)) numberFormats.set(key, new Intl.NumberFormat(getLocale(), opts));
+  return numberFormats.get(key).format(Number(x));
+}
+
+// Y-axis ticks: no decimals past 10, thousands grouped by locale.
+export const formatTick = (v) =>
+  formatNumber(v, { maximumFractionDigits: Math.abs(v) >= 10 ? 0 : 2 }) ?? "";
+
+// --------- Dates ----------
+// Dates stay "YYYY-MM-DD" strings everywhere; these only format labels.
+
+const dateFormats = new Map();
+
+function dateFormat(opts) {
+  const key = `${getLocale()}|${JSON.stringify(opts)}`;
+  if (!dateFormats.has(key)) {
+    dateFormats.set(key, new Intl.DateTimeFormat(getLocale(), { timeZone: "UTC", ...opts }));
+  }
+  return dateFormats.get(key);
+}
+
+const utc = (y, m = 1, d = 1) => new Date(Date.UTC(Number(y), Number(m) - 1, Number(d)));
+
+// 1..12 → "ene" / "Jan" ("long": "enero" / "January")
+export const monthName = (m, style = "short") => dateFormat({ month: style }).format(utc(2000, m));
+
+// "YYYY-MM-DD" → "15 ene 2024" / "Jan 15, 2024"
+export const formatDate = (d) =>
+  dateFormat({ day: "numeric", month: "short", year: "numeric" }).format(utc(...d.split("-")));
+
+// ISO timestamp → "15 ene 2024, 13:05" in the browser's time zone.
+export function formatDateTime(iso) {
+  const ms = Date.parse(iso);
+  if (!Number.isFinite(ms)) return "";
+  const key = `${getLocale()}|datetime`;
+  if (!dateFormats.has(key)) {
+    dateFormats.set(key, new Intl.DateTimeFormat(getLocale(), { dateStyle: "medium", timeStyle: "short" }));
+  }
+  return dateFormats.get(key).format(ms);
+}
+
+const DAY_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const MONTH_RE = /^(\d{4})-(\d{2})$/;
+const HOUR_RE = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}:\d{2})$/;
+const MONTH_ONLY_RE = /^(\d{2})$/;
+
+// Category-axis ticks: "YYYY-MM" → "ene 2024", "YYYY-MM-DD" → "15 ene",
+// "YYYY-MM-DD HH:00" → "15 ene 13:00", "MM" → "ene". Anything else as is.
+export function formatAxisLabel(v) {
+  const s = String(v ?? "");
+  const short = { day: "numeric", month: "short" };
+  let m;
+  if ((m = s.match(HOUR_RE))) return `${dateFormat(short).format(utc(m[1], m[2], m[3]))} ${m[4]}`;
+  if ((m = s.match(DAY_RE))) return dateFormat(short).format(utc(m[1], m[2], m[3]));
+  if ((m = s.match(MONTH_RE))) {
+    return dateFormat({ month: "short", year: "numeric" }).format(utc(m[1], m[2]));
+  }
+  if ((m = s.match(MONTH_ONLY_RE))) return monthName(m[1]);
+  return s;
+}
+
+// Tooltip headers: the same shapes with the weekday and year spelled out.
+export function formatTooltipLabel(v) {
+  const s = String(v ?? "");
+  const long = { weekday: "short", day: "numeric", month: "short", year: "numeric" };
+  let m;
+  if ((m = s.match(HOUR_RE))) return `${dateFormat(long).format(utc(m[1], m[2], m[3]))} ${m[4]}`;
+  if ((m = s.match(DAY_RE))) return dateFormat(long).format(utc(m[1], m[2], m[3]));
+  if ((m = s.match(MONTH_RE))) {
+    return dateFormat({ month: "long", year: "numeric" }).format(utc(m[1], m[2]));
+  }
+  if ((m = s.match(MONTH_ONLY_RE))) return monthName(m[1], "long");
+  return s;
+}
@@ -0,0 +1,384 @@
+// English UI strings; same keys as es.js.
+
+export default {
+  "common.loading": "Loading…",
+  "common.hours.one": "{n} hour",
+  "common.hours.other": "{n} hours",
+  "common.noData": "No data",
+  "common.date": "Date",
+  "common.hour": "Hour",
+  "common.openDay": "Open the day in 4) Daily",
+  "common.dateSpan": "{from} to {to}",
+  "common.valueSpan": "{from} to {to}",
+  "common.loadFailed": "Could not load: {list}",
+  "common.error": "Error:",
+  "common.months.one": "{n} month",
+  "common.months.other": "{n} months",
+  "common.days.one": "{n} day",
+  "common.days.other": "{n} days",
+  "common.points.one": "{n} pt",
+  "common.points.other": "{n} pts",
+  "common.from": "From",
+  "common.to": "To",
+  "common.noValue": "no data",
+  "common.retry": "Retry",
+
+  "error.timeout": "The download took too long (timed out).",
+  "error.network": "Network failure: the data server could not be reached.",
+  "error.http": "The server answered HTTP {status}.",
+  "error.indexNotFound": "No index.json is published for {project}.",
+  "error.dailyNotFound": "The daily series for {node} is not published yet.",
+  "error.monthNotFound": "The hourly file for {span} is not published yet.",
+  "error.monthsNotFound": "Months not published yet (404): {list}",
+  "error.fxNotFound": "The exchange-rate series ({file}) is not published yet.",
+  "error.manifest.noList": "{file} has no project list.",
+  "error.manifest.empty": "{file} has no projects.",
+
+  "stats.min": "Minimum",
+  "stats.avg": "Average",
+  "stats.max": "Maximum",
+  "stats.median": "Median (P50)",
+
+  "capture.profile": "Generation profile:",
+  "capture.typical": "Typical solar (month × hour)",
+  "capture.uploaded": "Uploaded CSV",
+  "capture.capacity": "Capacity",
+  "capture.upload": "Upload hourly CSV (date, hour, MWh):",
+  "capture.removeCsv": "Remove CSV",
+  "capture.notSolar": "This project is not solar: the typical solar profile is only a reference, upload its generation CSV.",
+  "capture.flat": "Flat price",
+  "capture.price": "Capture price",
+  "capture.priceHint": "generation-weighted",
+  "capture.rate": "Capture rate",
+  "capture.energy": "Energy",
+  "capture.revenue": "Estimated revenue ({currency})",
+  "capture.notSaved": "The profile could not be saved in this browser; it will only be used for this session.",
+  "capture.noRows": "{file}: no valid date, hour, MWh rows found.",
+  "capture.loaded": "{file}: {n} hours loaded.",
+  "capture.loadedSkipped": "{file}: {n} hours loaded, {skipped} rows skipped.",
+  "capture.readError": "{file}: the file could not be read.",
+  "capture.short": "Capture",
+  "capture.ofFlat": "{pct} of flat",
+  "capture.title": "5) Capture price and estimated revenue",
+  "capture.subtitle": "Generation-weighted vs. flat average, and market revenue (PML × MWh).",
+  "capture.noSpread": "The capture price does not apply to the MTR − MDA spread; choose MDA or MTR.",
+  "capture.loadYear": "Compute year {year} (downloads the months)",
+
+  "events.none": "No events with the current thresholds.",
+  "events.type": "Type",
+  "events.change": "Change vs. previous hour",
+  "events.wholeDay": "day (min/max)",
+  "events.truncated": "Showing {shown} of {n} events.",
+  "events.notSaved": "The thresholds could not be saved in this browser; they will only be used for this session.",
+  "events.event": "Event",
+  "events.type.spike": "Spike",
+  "events.type.negative": "Negative",
+  "events.type.zero": "Zero",
+  "events.type.jump": "Jump",
+  "events.title": "7) Price events — {year}",
+  "events.subtitle": "Spikes above the threshold, negative or zero prices and jumps between consecutive hours. Click an event to open its day.",
+  "events.high": "Spike above ({unit})",
+  "events.jump": "Jump of at least ({unit})",
+  "events.loadYear": "Hourly detail for {year}",
+  "events.note": "Thresholds saved for {project} — {node}. Days without a loaded hourly file are checked against the daily min/max; jumps need hourly data.",
+  "events.noSpread": "Event detection does not apply to the MTR − MDA spread; choose MDA or MTR.",
+  "events.events": "Events",
+
+  "quality.none": "No problems found in the loaded data.",
+  "quality.problem": "Problem",
+  "quality.detail": "Detail",
+  "quality.truncated": "Showing {shown} of {n} problems.",
+  "quality.kind.missingDay": "Missing day",
+  "quality.kind.hours": "Missing / extra hours",
+  "quality.kind.duplicate": "Duplicate hour",
+  "quality.kind.nonNumeric": "Non-numeric value",
+  "quality.kind.missingFile": "Missing month file",
+  "quality.detail.noRow": "no row",
+  "quality.detail.noRows": "{days} days without a row (through {last})",
+  "quality.detail.dupDate": "date repeated in the daily series",
+  "quality.detail.dailyNonNumeric": "daily: {fields}",
+  "quality.detail.dailyHours": "daily: n = {n}, expected {exp}",
+  "quality.detail.dupHours": "repeated hours: {hours}",
+  "quality.detail.hoursNoPrice": "hours without a price: {hours}",
+  "quality.detail.hourlyHours": "hourly: {n} hours, expected {exp}",
+  "quality.detail.noHours": "no hours in the monthly file",
+  "quality.detail.noDaily": "month in the index without rows in the daily series",
+  "quality.detail.fileMissing": "{file} does not exist (HTTP {code})",
+  "quality.detail.fileUnchecked": "{file} could not be checked",
+  "quality.detail.fileUncheckedCode": "{file} could not be checked (HTTP {code})",
+  "quality.detail.dst": "(DST change)",
+  "quality.title": "8) Data quality — {node}",
+  "quality.subtitle": "Expected hours per date from the node’s time zone ({tz}) against the hourly rows and the n field of the daily series.",
+  "quality.shade": "Shade periods with problems on the charts",
+  "quality.checking": "Checking files…",
+  "quality.checkFiles": "Check the files of the {n} months in the index",
+  "quality.loadYear": "Check the hours of all of {year}",
+  "quality.scopeYear": "Whole daily series; hours of all of {year}",
+  "quality.scopeMonth": "Whole daily series; hours of month {span}",
+  "quality.scopeRange": "Whole daily series; hours of range {span}",
+  "quality.filesFound": "{found}/{n} monthly files found",
+  "quality.noSpread": "The quality report is computed per market; choose MDA or MTR.",
+
+  "forecast.model": "Model",
+  "forecast.inBand": "Within P10–P90",
+  "forecast.hoursScored": "Hours scored",
+  "forecast.backtestNote": "{n} weekly {days}-day forecasts between {from} and {to}, each using only the data before its start. MAPE leaves out hours priced near zero; a well-calibrated band holds ~80% of the hours.",
+  "forecast.model.naive": "Seasonal naive",
+  "forecast.model.regression": "Hour / weekday / month regression",
+  "forecast.title": "9) Hourly forecast ({days} days) — {node}",
+  "forecast.subtitle": "Baseline models computed in the browser from the last {n} published months; the P10–P90 band comes from each model’s recent errors by hour.",
+  "forecast.bandModel": "Model of the P10–P90 band",
+  "forecast.backtest": "Backtest",
+  "forecast.loading": "Loading hourly history… {done}/{total}",
+  "forecast.computing": "Computing forecast…",
+  "forecast.computingBacktest": "Computing backtest…",
+  "forecast.load": "Compute forecast ({from} to {to})",
+  "forecast.note": "Last data point: {origin}. Forecast from {from} to {to}; the previous week is shown for reference.",
+  "forecast.band": "P10–P90 ({model})",
+  "forecast.actual": "Actual",
+  "forecast.shortHistory": "Not enough history for a {months} backtest.",
+  "forecast.none": "No hourly data to forecast.",
+
+  "axis.band": "Min–max band",
+  "axis.movingAverage": "{n}-day moving average",
+  "axis.y": "Y axis:",
+  "axis.scale.linear": "Linear",
+  "axis.scale.linear.title": "",
+  "axis.scale.log": "Log",
+  "axis.scale.log.title": "Symmetric log scale: handles zero and negative values",
+  "axis.scale.clip": "Clipped",
+  "axis.scale.clip.title": "Axis from P1 to P99; values outside are cut off",
+  "axis.minMax": "Min–max",
+
+  "yoy.card": "Δ {label}{suffix} vs {year}",
+  "yoy.min": "Min",
+  "yoy.avg": "Avg",
+  "yoy.max": "Max",
+  "yoy.daily": " daily",
+  "yoy.hourly": " hourly",
+  "yoy.loading": "Loading comparison years…",
+  "yoy.toggle": "Compare with other years (YoY)",
+  "yoy.against": "Δ against {year}",
+
+  "dist.hours": "{n} h",
+  "dist.share": "{pct} of {n} hours",
+  "dist.std": "Std. deviation",
+  "dist.mean": "mean {value}",
+  "dist.negative": "Negative hours",
+  "dist.zero": "Zero-price hours",
+  "dist.above": "Hours > {value}",
+  "dist.histogram": "Histogram (hours per price range)",
+  "dist.duration": "Duration curve (% of hours priced ≥ value)",
+  "dist.durationLabel": "{pct} of hours",
+  "dist.title": "6) Price distribution",
+  "dist.subtitle": "Histogram, duration curve and percentiles of the period’s hourly prices.",
+  "dist.threshold": "Threshold ({unit})",
+  "dist.inYear": "Within the loaded year {year}.",
+  "dist.inSpan": "Within the loaded period ({span}); load the year to widen the range.",
+  "dist.loadYear": "Load year {year} (downloads the months)",
+  "dist.none": "No hourly data for the selected period.",
+
+  "url.badRange": "The link's range {start} to {end} is not valid; showing the month.",
+  "url.unknownProject": "Project \"{want}\" from the link does not exist; showing {shown}.",
+  "url.unknownNode": "Node \"{want}\" does not exist in {project}; showing {shown}.",
+  "url.unknownMonth": "Month {want} is not published in index.json for {node}; showing {shown}.",
+  "url.unknownYear": "Year {want} has no daily data; showing {shown}.",
+  "url.unknownDay": "Day {want} has no data between {from} and {to}; showing {shown}.",
+  "url.title": "Link:",
+
+  "span.range": "Range {span}",
+  "span.month": "Month {month}",
+  "span.day": "Day {day}",
+  "span.year": "Year {year}",
+  "span.custom": "Range",
+
+  "fx.empty": "The exchange-rate series is empty.",
+  "fx.error": "Exchange rate: {error}",
+  "fx.loading": "Loading exchange rate…",
+  "fx.active": "USD at each date’s exchange rate",
+  "fx.missing": "No exchange rate: values in MXN. {error}",
+  "fx.short": "FX {rate}",
+
+  "year.loading": "Loading the year’s months… {done}/{total}",
+  "year.load": "Load the months of {year}",
+
+  "market.mda": "MDA",
+  "market.mtr": "MTR",
+  "market.spread": "MTR − MDA spread",
+
+  "component.energy": "Energy",
+  "component.losses": "Losses",
+  "component.congestion": "Congestion",
+  "component.avg": "{label} (avg.)",
+  "component.title": "Components:",
+  "component.view.off": "PML only",
+  "component.view.lines": "Lines",
+  "component.view.stacked": "Stacked",
+
+  "export.project": "Project",
+  "export.node": "Node",
+  "export.system": "System",
+  "export.rawNode": "CENACE node",
+  "export.tz": "Time zone",
+  "export.rate": "FX (MXN/USD)",
+  "export.rateAvg": "Avg. FX (MXN/USD)",
+  "export.hist": "History",
+  "export.month": "Month",
+  "export.annual": "Annual {year}",
+  "export.hours": "Hours (n)",
+  "export.hourly": "Hourly {span}",
+  "export.daily": "Daily {day}",
+  "export.excelHint": "Excel workbook with one sheet per panel",
+  "export.excel": "Export Excel",
+
+  "top.system": "System: {system}",
+  "top.rawNode": "CENACE node: {node}",
+  "top.zoom": "Zoom: history → annual → monthly → daily",
+  "top.builtinProjects": "Built-in project list (no {file})",
+  "top.activeMonth": "Active month: {month}",
+  "top.activeDay": "Active day: {day}",
+  "top.unpaired": "Unpaired: {mda} h without MDA · {mtr} h without MTR this month · {days} days in {year}",
+  "top.updated": "Updated: {date}",
+  "top.offline": "Offline – data as of {date}",
+  "top.otherSystem": "Other",
+
+  "cache.size": "Local cache: {size}",
+  "cache.files.one": "{n} file",
+  "cache.files.other": "{n} files",
+  "cache.clearHint": "Deletes the saved files; they will be downloaded again",
+  "cache.clear": "Clear cache",
+
+  "pins.addHint": "Pin the current node to compare it (max. {max})",
+  "pins.add": "+ Compare",
+  "pins.comparing": "Comparing:",
+  "pins.comparingLoading": "Comparing (loading…):",
+  "pins.current": "{label} (current)",
+  "pins.remove": "Remove from the comparison",
+  "pins.clear": "Clear",
+
+  "spread.noData": "No {market} data",
+  "spread.unpaired": "Unpaired MDA/MTR",
+
+  "hist.title": "1) History (monthly summary)",
+  "hist.subtitle": "Click a point to jump to its year.",
+  "hist.loading": "Loading daily…",
+  "hist.timeline": "Timeline",
+  "hist.calendar": "By month",
+  "hist.calendarHint": "One row per calendar month, one line per year",
+  "hist.source": "Source: daily → monthly aggregate (mean of daily averages).",
+
+  "annual.title": "2) Annual (daily) — {year}",
+  "annual.subtitle": "Click a day to open its month and hourly detail.",
+  "annual.min": "Min (daily avg)",
+  "annual.avg": "Avg (daily avg)",
+  "annual.max": "Max (daily avg)",
+  "annual.tip": "Tip: days with 23/25 hours (DST) show up in the “n” count of the daily aggregate.",
+
+  "month.title": "3) Monthly (hourly) — {span}",
+  "month.titleRange": "3) Range (hourly) — {span}",
+  "month.subtitle": "Click a point to select the day and see its hourly detail below.",
+  "month.loadingMonths": "Loading months… {done}/{total}",
+  "month.loading": "Loading month…",
+  "month.period": "Period:",
+  "month.to": "to",
+  "month.backHint": "Back to the selected month",
+  "month.only": "Only {month}",
+  "month.view": "View:",
+  "month.view.line": "Lines",
+  "month.view.heatmap": "Heatmap (month)",
+  "month.view.heatmapRange": "Heatmap (range)",
+  "month.view.heatmapYear": "Heatmap ({year})",
+  "month.tooLong": "The range spans {n} months; the maximum is {max}.",
+  "month.unpublished": "No hourly file published: {list}",
+  "month.points.one": "{n} hourly point",
+  "month.points.other": "{n} hourly points",
+  "month.downsampled": "{n} drawn (LTTB)",
+
+  "day.title": "4) Daily (hourly) — {day}",
+  "day.subtitle": "Derived from the selected month. Days with 23/25 hours are shown as they are.",
+  "day.note": "Note: this panel downloads nothing else. It only filters the month already loaded.",
+
+  "map.title": "10) Node map",
+  "map.subtitleDay": "Average PML on {day} ({market}) at every project node. Click a node to open it.",
+  "map.subtitleMonth": "Average PML for month {month} ({market}) at every project node. Click a node to open it.",
+  "map.loading": "Loading node series… {done}/{total}",
+  "map.unplaced": "No coordinates in {file}:",
+  "map.failed": "No daily series ({market}): {list}",
+
+  "footer": "Source: CENACE (PML {market}). Data on S3 ({base}). App on Amplify.",
+  "footer.both": "MDA and MTR",
+
+  "heatmap.scale": "P2–P98 scale · actual range {from} to {to}",
+
+  "tech.solar": "Solar",
+  "tech.wind": "Wind",
+
+  "notes.title": "11) Notes — {node}",
+  "notes.subtitle": "Your own notes per project and node, stored in this browser and drawn as markers on charts 1–4. Click a note with a day to open it.",
+  "notes.annotate": "✎ Annotate",
+  "notes.annotateHint": "Turn on annotation mode: click a point on charts 1–4 to add a note",
+  "notes.annotating": "Annotation mode: click a point on charts 1–4 to add a note.",
+  "notes.done": "Done",
+  "notes.show": "Show on charts",
+  "notes.export": "Export JSON",
+  "notes.exportHint": "Download the notes of every project and node as one file",
+  "notes.import": "Import JSON:",
+  "notes.importHint": "Adds the notes of an exported file; existing ones are updated",
+  "notes.imported": "Imported: {added} new, {updated} updated, {skipped} invalid.",
+  "notes.importError": "{file} is not a valid notes file.",
+  "notes.notSaved": "Notes could not be saved in this browser; they only apply to this session.",
+  "notes.none": "No notes for this node.",
+  "notes.at": "Date",
+  "notes.category": "Category",
+  "notes.text": "Note",
+  "notes.edit": "Edit",
+  "notes.delete": "Delete",
+  "notes.cancel": "Cancel",
+  "notes.save": "Save",
+  "notes.newTitle": "New note — {at}",
+  "notes.editTitle": "Edit note — {at}",
+  "notes.placeholder": "What happened? (line outage, curtailment, emergency operating state…)",
+  "notes.category.outage": "Line outage",
+  "notes.category.curtailment": "Curtailment",
+  "notes.category.emergency": "CENACE emergency state",
+  "notes.category.maintenance": "Maintenance",
+  "notes.category.other": "Other",
+  "cfd.title": "12) PPA / CfD contracts",
+  "cfd.subtitle": "Hourly contract-for-difference settlement against the node PML: (strike − PML) × contracted MWh, from the generator's side.",
+  "cfd.add": "+ Contract",
+  "cfd.delete": "Delete contract",
+  "cfd.defaultName": "Contract {n}",
+  "cfd.none": "No contracts for this project. Add one to compute its settlement.",
+  "cfd.notSaved": "Contracts could not be saved in this browser; they only apply to this session.",
+  "cfd.name": "Name",
+  "cfd.strike": "Strike",
+  "cfd.escalation": "Annual escalation",
+  "cfd.term": "Term",
+  "cfd.shape": "Contracted volume:",
+  "cfd.shape.flat": "Flat (constant MW)",
+  "cfd.shape.solar": "Typical solar shape",
+  "cfd.shape.upload": "Uploaded hourly profile",
+  "cfd.volumeFlat": "Power",
+  "cfd.volume": "Volume (MWh)",
+  "cfd.avgPml": "Weighted PML",
+  "cfd.avgStrike": "Weighted strike",
+  "cfd.weighted": "{unit}, volume-weighted",
+  "cfd.settlement": "Settlement ({currency})",
+  "cfd.paidHint": "paid to the generator",
+  "cfd.owedHint": "paid by the generator",
+  "cfd.paid": "Paid to the generator",
+  "cfd.owed": "Paid by the generator",
+  "cfd.cumulative": "Cumulative",
+  "cfd.missing": "Hours without price",
+  "cfd.missingHint": "not settled",
+  "cfd.year": "Year",
+  "cfd.byDay": "By day",
+  "cfd.byMonth": "By month",
+  "cfd.noSpread": "Settlement does not apply to the MTR − MDA spread; choose MDA or MTR.",
+  "cfd.otherCurrency": "The contract is in {currency} and prices are shown in {active}.",
+  "cfd.switchCurrency": "Show in {currency}",
+  "cfd.outOfTerm": "The loaded period is outside the contract term ({start} to {end}).",
+  "cfd.exportHourly": "{name} hourly",
+  "cfd.exportMonthly": "{name} monthly",
+  "cfd.exportAnnual": "{name} annual",
+};
@@ -0,0 +1,385 @@
+// Spanish UI strings: the reference catalog. Keys missing from other
+// languages fall back to these. `{name}` is replaced by t(key, { name }).
+
+export default {
+  "common.loading": "Cargando…",
+  "common.hours.one": "{n} hora",
+  "common.hours.other": "{n} horas",
+  "common.noData": "Sin datos",
+  "common.date": "Fecha",
+  "common.hour": "Hora",
+  "common.openDay": "Abrir el día en 4) Diario",
+  "common.dateSpan": "{from} a {to}",
+  "common.valueSpan": "{from} a {to}",
+  "common.loadFailed": "No se pudieron cargar: {list}",
+  "common.error": "Error:",
+  "common.months.one": "{n} mes",
+  "common.months.other": "{n} meses",
+  "common.days.one": "{n} día",
+  "common.days.other": "{n} días",
+  "common.points.one": "{n} pt",
+  "common.points.other": "{n} pts",
+  "common.from": "Desde",
+  "common.to": "Hasta",
+  "common.noValue": "sin dato",
+  "common.retry": "Reintentar",
+
+  "error.timeout": "La descarga tardó demasiado (se agotó el tiempo de espera).",
+  "error.network": "Falla de red: no se pudo contactar al servidor de datos.",
+  "error.http": "El servidor respondió HTTP {status}.",
+  "error.indexNotFound": "No hay index.json publicado para {project}.",
+  "error.dailyNotFound": "Aún no se publica la serie diaria de {node}.",
+  "error.monthNotFound": "Aún no se publica el archivo horario de {span}.",
+  "error.monthsNotFound": "Meses aún no publicados (404): {list}",
+  "error.fxNotFound": "Aún no se publica la serie de tipo de cambio ({file}).",
+  "error.manifest.noList": "{file} no tiene una lista de proyectos.",
+  "error.manifest.empty": "{file} no contiene proyectos.",
+
+  "stats.min": "Mínimo",
+  "stats.avg": "Promedio",
+  "stats.max": "Máximo",
+  "stats.median": "Mediana (P50)",
+
+  "capture.profile": "Perfil de generación:",
+  "capture.typical": "Típico solar (mes × hora)",
+  "capture.uploaded": "CSV cargado",
+  "capture.capacity": "Capacidad",
+  "capture.upload": "Cargar CSV horario (fecha, hora, MWh):",
+  "capture.removeCsv": "Quitar CSV",
+  "capture.notSolar": "Este proyecto no es solar: el perfil típico solar es solo referencial, carga su CSV de generación.",
+  "capture.flat": "Precio plano",
+  "capture.price": "Precio de captura",
+  "capture.priceHint": "ponderado por generación",
+  "capture.rate": "Tasa de captura",
+  "capture.energy": "Energía",
+  "capture.revenue": "Ingreso estimado ({currency})",
+  "capture.notSaved": "No se pudo guardar el perfil en este navegador; se usará solo en esta sesión.",
+  "capture.noRows": "{file}: no se encontraron filas fecha, hora, MWh válidas.",
+  "capture.loaded": "{file}: {n} horas cargadas.",
+  "capture.loadedSkipped": "{file}: {n} horas cargadas, {skipped} filas ignoradas.",
+  "capture.readError": "{file}: no se pudo leer el archivo.",
+  "capture.short": "Captura",
+  "capture.ofFlat": "{pct} del plano",
+  "capture.title": "5) Precio de captura e ingreso estimado",
+  "capture.subtitle": "Promedio ponderado por generación vs. promedio plano, e ingreso de mercado (PML × MWh).",
+  "capture.noSpread": "El precio de captura no aplica al spread MTR − MDA; elige MDA o MTR.",
+  "capture.loadYear": "Calcular año {year} (descarga los meses)",
+
+  "events.none": "Sin eventos con los umbrales actuales.",
+  "events.type": "Tipo",
+  "events.change": "Cambio vs. hora previa",
+  "events.wholeDay": "día (min/max)",
+  "events.truncated": "Mostrando {shown} de {n} eventos.",
+  "events.notSaved": "No se pudieron guardar los umbrales en este navegador; se usarán solo en esta sesión.",
+  "events.event": "Evento",
+  "events.type.spike": "Pico",
+  "events.type.negative": "Negativo",
+  "events.type.zero": "Cero",
+  "events.type.jump": "Salto",
+  "events.title": "7) Eventos de precio — {year}",
+  "events.subtitle": "Picos sobre el umbral, precios negativos o en cero y saltos entre horas consecutivas. Click en un evento para abrir el día.",
+  "events.high": "Pico sobre ({unit})",
+  "events.jump": "Salto de al menos ({unit})",
+  "events.loadYear": "Detalle horario del año {year}",
+  "events.note": "Umbrales guardados para {project} — {node}. Los días sin archivo horario cargado se evalúan con el mínimo/máximo diario; los saltos requieren datos horarios.",
+  "events.noSpread": "La detección de eventos no aplica al spread MTR − MDA; elige MDA o MTR.",
+  "events.events": "Eventos",
+
+  "quality.none": "Sin problemas detectados en los datos cargados.",
+  "quality.problem": "Problema",
+  "quality.detail": "Detalle",
+  "quality.truncated": "Mostrando {shown} de {n} problemas.",
+  "quality.kind.missingDay": "Día faltante",
+  "quality.kind.hours": "Horas incompletas / de más",
+  "quality.kind.duplicate": "Hora duplicada",
+  "quality.kind.nonNumeric": "Valor no numérico",
+  "quality.kind.missingFile": "Archivo de mes faltante",
+  "quality.detail.noRow": "sin fila",
+  "quality.detail.noRows": "{days} días sin fila (hasta {last})",
+  "quality.detail.dupDate": "fecha repetida en la serie diaria",
+  "quality.detail.dailyNonNumeric": "diario: {fields}",
+  "quality.detail.dailyHours": "diario: n = {n}, se esperaban {exp}",
+  "quality.detail.dupHours": "horas repetidas: {hours}",
+  "quality.detail.hoursNoPrice": "horas sin precio: {hours}",
+  "quality.detail.hourlyHours": "horario: {n} horas, se esperaban {exp}",
+  "quality.detail.noHours": "sin horas en el archivo mensual",
+  "quality.detail.noDaily": "mes del índice sin filas en la serie diaria",
+  "quality.detail.fileMissing": "{file} no existe (HTTP {code})",
+  "quality.detail.fileUnchecked": "{file} no se pudo verificar",
+  "quality.detail.fileUncheckedCode": "{file} no se pudo verificar (HTTP {code})",
+  "quality.detail.dst": "(cambio de horario)",
+  "quality.title": "8) Calidad de datos — {node}",
+  "quality.subtitle": "Horas esperadas por fecha según la zona horaria del nodo ({tz}) contra las filas horarias y el campo n de la serie diaria.",
+  "quality.shade": "Sombrear periodos con problemas en las gráficas",
+  "quality.checking": "Verificando archivos…",
+  "quality.checkFiles": "Verificar archivos de los {n} meses del índice",
+  "quality.loadYear": "Revisar horas de todo {year}",
+  "quality.scopeYear": "Serie diaria completa; horas de todo {year}",
+  "quality.scopeMonth": "Serie diaria completa; horas del mes {span}",
+  "quality.scopeRange": "Serie diaria completa; horas del rango {span}",
+  "quality.filesFound": "{found}/{n} archivos mensuales encontrados",
+  "quality.noSpread": "El reporte de calidad se calcula por mercado; elige MDA o MTR.",
+
+  "forecast.model": "Modelo",
+  "forecast.inBand": "Dentro de P10–P90",
+  "forecast.hoursScored": "Horas evaluadas",
+  "forecast.backtestNote": "{n} pronósticos semanales de {days} días entre {from} y {to}, cada uno con los datos previos a su inicio. El MAPE omite las horas con precio cercano a cero; una banda bien calibrada contiene ~80 % de las horas.",
+  "forecast.model.naive": "Estacional ingenuo",
+  "forecast.model.regression": "Regresión hora / día / mes",
+  "forecast.title": "9) Pronóstico horario ({days} días) — {node}",
+  "forecast.subtitle": "Modelos base calculados en el navegador con los últimos {n} meses publicados; la banda P10–P90 sale de los errores recientes de cada modelo por hora.",
+  "forecast.bandModel": "Modelo de la banda P10–P90",
+  "forecast.backtest": "Backtest",
+  "forecast.loading": "Cargando historia horaria… {done}/{total}",
+  "forecast.computing": "Calculando pronóstico…",
+  "forecast.computingBacktest": "Calculando backtest…",
+  "forecast.load": "Calcular pronóstico ({from} a {to})",
+  "forecast.note": "Último dato: {origin}. Pronóstico del {from} al {to}; la semana previa se muestra como referencia.",
+  "forecast.band": "P10–P90 ({model})",
+  "forecast.actual": "Real",
+  "forecast.shortHistory": "Historia insuficiente para el backtest de {months}.",
+  "forecast.none": "Sin datos horarios para pronosticar.",
+
+  "axis.band": "Banda mín–máx",
+  "axis.movingAverage": "Media móvil {n} d",
+  "axis.y": "Eje Y:",
+  "axis.scale.linear": "Lineal",
+  "axis.scale.linear.title": "",
+  "axis.scale.log": "Log",
+  "axis.scale.log.title": "Escala logarítmica simétrica: admite ceros y negativos",
+  "axis.scale.clip": "Recortado",
+  "axis.scale.clip.title": "Eje de P1 a P99; los valores fuera quedan cortados",
+  "axis.minMax": "Mín–máx",
+
+  "yoy.card": "Δ {label}{suffix} vs {year}",
+  "yoy.min": "Min",
+  "yoy.avg": "Avg",
+  "yoy.max": "Max",
+  "yoy.daily": " diario",
+  "yoy.hourly": " horario",
+  "yoy.loading": "Cargando años a comparar…",
+  "yoy.toggle": "Comparar con otros años (YoY)",
+  "yoy.against": "Δ contra {year}",
+
+  "dist.hours": "{n} h",
+  "dist.share": "{pct} de {n} horas",
+  "dist.std": "Desv. estándar",
+  "dist.mean": "prom. {value}",
+  "dist.negative": "Horas negativas",
+  "dist.zero": "Horas en cero",
+  "dist.above": "Horas > {value}",
+  "dist.histogram": "Histograma (horas por rango de precio)",
+  "dist.duration": "Curva de duración (% de horas con precio ≥ valor)",
+  "dist.durationLabel": "{pct} de las horas",
+  "dist.title": "6) Distribución de precios",
+  "dist.subtitle": "Histograma, curva de duración y percentiles de los precios horarios del periodo.",
+  "dist.threshold": "Umbral ({unit})",
+  "dist.inYear": "Dentro del año {year} cargado.",
+  "dist.inSpan": "Dentro del periodo cargado ({span}); carga el año para ampliar el rango.",
+  "dist.loadYear": "Cargar año {year} (descarga los meses)",
+  "dist.none": "Sin datos horarios para el periodo seleccionado.",
+
+  "url.badRange": "El rango {start} a {end} del enlace no es válido; se muestra el mes.",
+  "url.unknownProject": "El proyecto \"{want}\" del enlace no existe; se muestra {shown}.",
+  "url.unknownNode": "El nodo \"{want}\" no existe en {project}; se muestra {shown}.",
+  "url.unknownMonth": "El mes {want} no está publicado en index.json para {node}; se muestra {shown}.",
+  "url.unknownYear": "El año {want} no tiene datos diarios; se muestra {shown}.",
+  "url.unknownDay": "El día {want} no tiene datos entre {from} y {to}; se muestra {shown}.",
+  "url.title": "Enlace:",
+
+  "span.range": "Rango {span}",
+  "span.month": "Mes {month}",
+  "span.day": "Día {day}",
+  "span.year": "Año {year}",
+  "span.custom": "Rango",
+
+  "fx.empty": "La serie de tipo de cambio está vacía.",
+  "fx.error": "Tipo de cambio: {error}",
+  "fx.loading": "Cargando tipo de cambio…",
+  "fx.active": "USD al tipo de cambio de cada fecha",
+  "fx.missing": "Sin tipo de cambio: valores en MXN. {error}",
+  "fx.short": "TC {rate}",
+
+  "year.loading": "Cargando meses del año… {done}/{total}",
+  "year.load": "Cargar los meses de {year}",
+
+  "market.mda": "MDA",
+  "market.mtr": "MTR",
+  "market.spread": "Spread MTR − MDA",
+
+  "component.energy": "Energía",
+  "component.losses": "Pérdidas",
+  "component.congestion": "Congestión",
+  "component.avg": "{label} (prom.)",
+  "component.title": "Componentes:",
+  "component.view.off": "Solo PML",
+  "component.view.lines": "Líneas",
+  "component.view.stacked": "Apilado",
+
+  "export.project": "Proyecto",
+  "export.node": "Nodo",
+  "export.system": "Sistema",
+  "export.rawNode": "Nodo CENACE",
+  "export.tz": "Zona horaria",
+  "export.rate": "TC (MXN/USD)",
+  "export.rateAvg": "TC prom. (MXN/USD)",
+  "export.hist": "Histórico",
+  "export.month": "Mes",
+  "export.annual": "Anual {year}",
+  "export.hours": "Horas (n)",
+  "export.hourly": "Horario {span}",
+  "export.daily": "Diario {day}",
+  "export.excelHint": "Libro Excel con una hoja por panel",
+  "export.excel": "Exportar Excel",
+
+  "top.system": "Sistema: {system}",
+  "top.rawNode": "Nodo CENACE: {node}",
+  "top.zoom": "Zoom: histórico → anual → mensual → diario",
+  "top.builtinProjects": "Lista de proyectos integrada (sin {file})",
+  "top.activeMonth": "Mes activo: {month}",
+  "top.activeDay": "Día activo: {day}",
+  "top.unpaired": "Sin par: {mda} h sin MDA · {mtr} h sin MTR en el mes · {days} días en {year}",
+  "top.updated": "Actualizado: {date}",
+  "top.offline": "Sin conexión – datos al {date}",
+  "top.otherSystem": "Otros",
+
+  "cache.size": "Caché local: {size}",
+  "cache.files.one": "{n} archivo",
+  "cache.files.other": "{n} archivos",
+  "cache.clearHint": "Borra los archivos guardados; se volverán a descargar",
+  "cache.clear": "Vaciar caché",
+
+  "pins.addHint": "Fijar el nodo actual para compararlo (máx. {max})",
+  "pins.add": "+ Comparar",
+  "pins.comparing": "Comparando:",
+  "pins.comparingLoading": "Comparando (cargando…):",
+  "pins.current": "{label} (actual)",
+  "pins.remove": "Quitar de la comparación",
+  "pins.clear": "Limpiar",
+
+  "spread.noData": "Sin dato {market}",
+  "spread.unpaired": "Sin par MDA/MTR",
+
+  "hist.title": "1) Histórico (resumen mensual)",
+  "hist.subtitle": "Click en un punto para saltar al año correspondiente.",
+  "hist.loading": "Cargando daily…",
+  "hist.timeline": "Serie",
+  "hist.calendar": "Por mes",
+  "hist.calendarHint": "Un renglón por mes calendario, una línea por año",
+  "hist.source": "Fuente: agregado diario → mensual (promedio de promedios diarios).",
+
+  "annual.title": "2) Anual (diario) — {year}",
+  "annual.subtitle": "Click en un día para abrir el mes y el detalle diario.",
+  "annual.min": "Min (avg diario)",
+  "annual.avg": "Avg (avg diario)",
+  "annual.max": "Max (avg diario)",
+  "annual.tip": "Tip: días con 23/25 horas (DST) se reflejan en el conteo “n” del agregado diario.",
+
+  "month.title": "3) Mensual (horario) — {span}",
+  "month.titleRange": "3) Rango (horario) — {span}",
+  "month.subtitle": "Click en un punto para seleccionar el día y ver el detalle horario abajo.",
+  "month.loadingMonths": "Cargando meses… {done}/{total}",
+  "month.loading": "Cargando mes…",
+  "month.period": "Periodo:",
+  "month.to": "a",
+  "month.backHint": "Volver al mes seleccionado",
+  "month.only": "Solo {month}",
+  "month.view": "Vista:",
+  "month.view.line": "Líneas",
+  "month.view.heatmap": "Mapa de calor (mes)",
+  "month.view.heatmapRange": "Mapa de calor (rango)",
+  "month.view.heatmapYear": "Mapa de calor ({year})",
+  "month.tooLong": "El rango abarca {n} meses; el máximo es {max}.",
+  "month.unpublished": "Sin archivo horario publicado: {list}",
+  "month.points.one": "{n} punto horario",
+  "month.points.other": "{n} puntos horarios",
+  "month.downsampled": "se dibujan {n} (LTTB)",
+
+  "day.title": "4) Diario (horario) — {day}",
+  "day.subtitle": "Derivado del mes seleccionado. Días con 23/25 horas se muestran tal cual.",
+  "day.note": "Nota: este panel no descarga más data. Solo filtra el mes ya cargado.",
+
+  "map.title": "10) Mapa de nodos",
+  "map.subtitleDay": "PML promedio del día {day} ({market}) en cada nodo de los proyectos. Click en un nodo para abrirlo.",
+  "map.subtitleMonth": "PML promedio del mes {month} ({market}) en cada nodo de los proyectos. Click en un nodo para abrirlo.",
+  "map.loading": "Cargando series de los nodos… {done}/{total}",
+  "map.unplaced": "Sin coordenadas en {file}:",
+  "map.failed": "Sin serie diaria ({market}): {list}",
+
+  "footer": "Fuente: CENACE (PML {market}). Datos en S3 ({base}). App en Amplify.",
+  "footer.both": "MDA y MTR",
+
+  "heatmap.scale": "Escala P2–P98 · rango real {from} a {to}",
+
+  "tech.solar": "Solar",
+  "tech.wind": "Eólica",
+
+  "notes.title": "11) Notas — {node}",
+  "notes.subtitle": "Notas propias por proyecto y nodo, guardadas en este navegador y dibujadas como marcas en las gráficas 1–4. Click en una nota con día para abrirlo.",
+  "notes.annotate": "✎ Anotar",
+  "notes.annotateHint": "Activa el modo anotación: click en un punto de las gráficas 1–4 para agregar una nota",
+  "notes.annotating": "Modo anotación: haz click en un punto de las gráficas 1–4 para agregar una nota.",
+  "notes.done": "Listo",
+  "notes.show": "Mostrar en gráficas",
+  "notes.export": "Exportar JSON",
+  "notes.exportHint": "Descarga las notas de todos los proyectos y nodos en un solo archivo",
+  "notes.import": "Importar JSON:",
+  "notes.importHint": "Agrega las notas de un archivo exportado; las que ya existen se actualizan",
+  "notes.imported": "Importadas: {added} nuevas, {updated} actualizadas, {skipped} inválidas.",
+  "notes.importError": "{file} no es un archivo de notas válido.",
+  "notes.notSaved": "No se pudieron guardar las notas en este navegador; se usarán solo en esta sesión.",
+  "notes.none": "Sin notas para este nodo.",
+  "notes.at": "Fecha",
+  "notes.category": "Categoría",
+  "notes.text": "Nota",
+  "notes.edit": "Editar",
+  "notes.delete": "Borrar",
+  "notes.cancel": "Cancelar",
+  "notes.save": "Guardar",
+  "notes.newTitle": "Nueva nota — {at}",
+  "notes.editTitle": "Editar nota — {at}",
+  "notes.placeholder": "¿Qué pasó? (salida de una línea, recorte, estado operativo de emergencia…)",
+  "notes.category.outage": "Salida de línea",
+  "notes.category.curtailment": "Recorte (curtailment)",
+  "notes.category.emergency": "Estado de emergencia CENACE",
+  "notes.category.maintenance": "Mantenimiento",
+  "notes.category.other": "Otro",
+  "cfd.title": "12) Contratos PPA / CfD",
+  "cfd.subtitle": "Liquidación por diferencias horaria contra el PML del nodo: (precio pactado − PML) × MWh contratados, vista desde el generador.",
+  "cfd.add": "+ Contrato",
+  "cfd.delete": "Borrar contrato",
+  "cfd.defaultName": "Contrato {n}",
+  "cfd.none": "Sin contratos para este proyecto. Agrega uno para calcular su liquidación.",
+  "cfd.notSaved": "No se pudieron guardar los contratos en este navegador; se usarán solo en esta sesión.",
+  "cfd.name": "Nombre",
+  "cfd.strike": "Precio pactado",
+  "cfd.escalation": "Escalamiento anual",
+  "cfd.term": "Vigencia",
+  "cfd.shape": "Volumen contratado:",
+  "cfd.shape.flat": "Plano (MW constantes)",
+  "cfd.shape.solar": "Forma solar típica",
+  "cfd.shape.upload": "Perfil horario cargado",
+  "cfd.volumeFlat": "Potencia",
+  "cfd.volume": "Volumen (MWh)",
+  "cfd.avgPml": "PML ponderado",
+  "cfd.avgStrike": "Precio pactado ponderado",
+  "cfd.weighted": "{unit}, ponderado por volumen",
+  "cfd.settlement": "Liquidación ({currency})",
+  "cfd.paidHint": "a favor del generador",
+  "cfd.owedHint": "a cargo del generador",
+  "cfd.paid": "A favor del generador",
+  "cfd.owed": "A cargo del generador",
+  "cfd.cumulative": "Acumulado",
+  "cfd.missing": "Horas sin precio",
+  "cfd.missingHint": "no liquidan",
+  "cfd.year": "Año",
+  "cfd.byDay": "Por día",
+  "cfd.byMonth": "Por mes",
+  "cfd.noSpread": "La liquidación no aplica al spread MTR − MDA; elige MDA o MTR.",
+  "cfd.otherCurrency": "El contrato está en {currency} y los precios se muestran en {active}.",
+  "cfd.switchCurrency": "Ver en {currency}",
+  "cfd.outOfTerm": "El periodo cargado está fuera de la vigencia del contrato ({start} a {end}).",
+  "cfd.exportHourly": "{name} horario",
+  "cfd.exportMonthly": "{name} mensual",
+  "cfd.exportAnnual": "{name} anual",
+};
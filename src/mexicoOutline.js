@@ -0,0 +1,51 @@
+// Simplified outline of Mexico ([lon, lat], ~100 points, mainland and Baja
+// California peninsula as one ring). Bundled so the map needs no tile
+// server; good for placing nodes, not for measuring distances.
+export const MEXICO_OUTLINE = [
+  // northern border, west → east
+  [-117.12, 32.53], [-114.72, 32.72], [-114.81, 32.49], [-111.07, 31.33],
+  [-108.21, 31.33], [-108.21, 31.78], [-106.53, 31.78], [-106.0, 31.39],
+  [-104.9, 30.6], [-104.5, 29.65], [-103.3, 28.98], [-102.4, 29.78],
+  [-101.4, 29.77], [-100.9, 29.3], [-100.3, 28.3], [-99.5, 27.5],
+  [-99.1, 26.4], [-98.2, 26.06], [-97.15, 25.95],
+  // Gulf of Mexico and Yucatán
+  [-97.4, 25.0], [-97.7, 24.2], [-97.75, 22.9], [-97.85, 22.2],
+  [-97.3, 21.0], [-96.5, 19.9], [-96.1, 19.2], [-95.2, 18.7],
+  [-94.5, 18.15], [-93.3, 18.45], [-92.0, 18.65], [-91.5, 18.45],
+  [-90.75, 19.3], [-90.45, 20.6], [-90.3, 21.05], [-89.6, 21.3],
+  [-88.3, 21.55], [-87.05, 21.55], [-86.8, 21.0], [-87.45, 20.2],
+  [-87.6, 19.4], [-87.85, 18.3], [-88.3, 18.5],
+  // Belize and Guatemala
+  [-89.15, 17.95], [-89.15, 17.8], [-90.98, 17.8], [-90.98, 17.25],
+  [-91.45, 17.25], [-90.45, 16.1], [-91.73, 16.07], [-92.2, 15.25],
+  [-92.25, 14.55],
+  // Pacific coast, south → north
+  [-93.4, 15.6], [-94.4, 16.2], [-95.2, 16.15], [-96.5, 15.65],
+  [-97.8, 16.0], [-98.6, 16.5], [-99.9, 16.85], [-101.5, 17.65],
+  [-102.2, 17.95], [-103.5, 18.3], [-104.3, 19.1], [-105.3, 19.9],
+  [-105.7, 20.4], [-105.3, 21.6], [-105.7, 22.5], [-106.4, 23.2],
+  [-107.4, 24.3], [-108.3, 25.2], [-109.2, 25.6], [-109.4, 26.3],
+  [-110.0, 27.0], [-110.6, 27.8], [-111.2, 28.6], [-112.2, 29.3],
+  [-112.8, 30.2], [-113.1, 31.2], [-114.0, 31.5], [-114.8, 31.8],
+  // Baja California, Gulf side south, Pacific side north
+  [-114.85, 31.0], [-114.5, 30.0], [-113.5, 29.0], [-112.9, 28.5],
+  [-112.2, 27.6], [-111.6, 26.5], [-111.0, 25.8], [-110.7, 24.8],
+  [-110.3, 24.2], [-109.9, 23.9], [-109.45, 23.2], [-109.9, 22.88],
+  [-110.3, 23.5], [-111.0, 24.2], [-112.1, 24.7], [-112.15, 25.5],
+  [-112.7, 26.3], [-113.2, 26.8], [-114.1, 27.1], [-115.05, 27.85],
+  [-114.3, 28.3], [-114.6, 29.0], [-115.7, 29.8], [-116.1, 30.5],
+  [-116.7, 31.7],
+];
+
+// Label positions for the three electrical systems.
+export const SYSTEM_LABELS = [
+  { key: "BCA", lon: -115.6, lat: 30.9 },
+  { key: "BCS", lon: -111.3, lat: 25.0 },
+  { key: "SIN", lon: -102.5, lat: 23.5 },
+];
+
+// BCA / BCS split across the peninsula (28° N, the state line).
+export const BCA_BCS_LINE = [
+  [-114.6, 28.0],
+  [-112.75, 28.0],
+];
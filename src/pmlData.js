@@ -0,0 +1,269 @@
+// PML data files → columns and rows, and the aggregations behind the charts.
+// Pure functions shared by the data worker (dataWorker.js), which decodes,
+// parses and aggregates off the main thread, and the UI.
+//
+// Rows cross the worker boundary as columns: dates as string arrays, prices
+// as Float64Array with NaN for a missing value, so the buffers are
+// transferred instead of copied. The UI turns them back into row objects
+// (null for a gap) for the charts and tables.
+
+import pako from "pako";
+import { cleanValues, percentile } from "./distribution.js";
+
+// PML = energy + losses + congestion. Optional in the data files.
+// Labels are `component.${key}` in the message catalogs.
+export const COMPONENTS = [
+  { key: "energy", color: "#60a5fa" },
+  { key: "losses", color: "#f59e0b" },
+  { key: "congestion", color: "#ef4444" },
+];
+
+export function decodeMaybeGzJson(u8) {
+  // NOTE: Browsers may auto-decompress if server returns Content-Encoding: gzip.
+  // This function detects gzip magic bytes (1F 8B). If not gzip, treats as plain JSON.
+  const isGz = u8.length >= 2 && u8[0] === 0x1f && u8[1] === 0x8b;
+
+  const text = isGz
+    ? pako.ungzip(u8, { to: "string" })
+    : new TextDecoder().decode(u8);
+
+  return JSON.parse(text);
+}
+
+// Prices that are null, empty or non-numeric in the file become null (a gap),
+// never 0; the data-quality panel reports them.
+export function num(v) {
+  const x = v === null || v === undefined || v === "" ? NaN : Number(v);
+  return Number.isFinite(x) ? x : null;
+}
+
+const cell = (v) => num(v) ?? NaN;
+const val = (x) => (Number.isNaN(x) ? null : x);
+
+// Component columns are optional trailing columns. Files that carry them may
+// name every column in `cols`; without `cols` they are read by position.
+function componentColumns(data, rows, firstAt) {
+  const out = {};
+  for (const [i, c] of COMPONENTS.entries()) {
+    const at = data.cols ? data.cols.indexOf(c.key) : firstAt + i;
+    const col = new Float64Array(rows.length);
+    rows.forEach((row, k) => {
+      col[k] = at >= 0 ? cell(row[at]) : NaN;
+    });
+    out[c.key] = col;
+  }
+  return out;
+}
+
+// Daily JSON is: { ..., "rows":[["YYYY-MM-DD", n, avg, min, max], ...] }
+// (we also tolerate older shape just in case)
+// Optional: [..., avgEnergy, avgLosses, avgCongestion]
+export function parseDailyColumns(data) {
+  const rows = data.rows || data.daily || [];
+  const cols = {
+    d: rows.map((row) => row[0]),
+    n: Float64Array.from(rows, (row) => Number(row[1] ?? 0)),
+    avg: Float64Array.from(rows, (row) => cell(row[2])),
+    min: Float64Array.from(rows, (row) => cell(row[3])),
+    max: Float64Array.from(rows, (row) => cell(row[4])),
+    ...componentColumns(data, rows, 5),
+  };
+  return { tz: data.tz || "America/Mexico_City", cols };
+}
+
+const hourOf = (v) => {
+  const h = num(v);
+  return Number.isInteger(h) && h >= 0 ? h : null;
+};
+
+// Hourly JSON is: { ..., "rows":[["YYYY-MM-DD", hour, pml], ...] }
+// Optionally [date, hour, pml, energy, losses, congestion].
+// Rows without a usable hour can't be placed on the time axis and are
+// dropped; the quality checks then report their day as short of hours.
+export function parseHourlyColumns(data) {
+  const rows = (data.rows || []).filter((r) => hourOf(r[1]) !== null);
+  const cols = {
+    d: rows.map((r) => r[0]),
+    h: Uint8Array.from(rows, (r) => hourOf(r[1])),
+    pml: Float64Array.from(rows, (r) => cell(r[2])),
+    ...componentColumns(data, rows, 3),
+  };
+  const meta = {
+    project: data.project,
+    displayName: data.displayName,
+    node: data.node,
+    rawNode: data.rawNode,
+    system: data.system,
+    month: data.month,
+  };
+  return { meta, cols };
+}
+
+// Hourly files number hours 0–23 or 1–24; the first hour of a day is 0 if
+// any point has it.
+export const firstHourOf = (points) => (points.some((p) => p.h === 0) ? 0 : 1);
+
+// Buffers to hand to postMessage's transfer list.
+export const buffersOf = (cols) =>
+  Object.values(cols)
+    .filter((c) => ArrayBuffer.isView(c))
+    .map((c) => c.buffer);
+
+function componentsAt(cols, i) {
+  const out = {};
+  for (const c of COMPONENTS) out[c.key] = val(cols[c.key][i]);
+  return out;
+}
+
+// → [{d, n, avg, min, max, energy, losses, congestion}]
+export function dailyRows(cols) {
+  return cols.d.map((d, i) => ({
+    d,
+    n: cols.n[i],
+    avg: val(cols.avg[i]),
+    min: val(cols.min[i]),
+    max: val(cols.max[i]),
+    ...componentsAt(cols, i),
+  }));
+}
+
+// → [{d, h, t: "YYYY-MM-DD HH:00", pml, energy, losses, congestion}]
+export function hourlyRows(cols) {
+  return cols.d.map((d, i) => {
+    const h = cols.h[i];
+    return {
+      d,
+      h,
+      t: `${d} ${String(h).padStart(2, "0")}:00`,
+      pml: val(cols.pml[i]),
+      ...componentsAt(cols, i),
+    };
+  });
+}
+
+// Row objects → { d, [field]: Float64Array } for the worker.
+export function rowColumns(rows, fields) {
+  const out = { d: rows.map((r) => r.d) };
+  for (const f of fields) out[f] = Float64Array.from(rows, (r) => r[f] ?? NaN);
+  return out;
+}
+
+export const MONTHLY_FIELDS = ["avg", "min", "max", "fx"];
+
+// Monthly downsample from daily columns (average of daily averages);
+// converted rows also get the month's average FX rate.
+export function aggregateMonthly({ d, avg, min, max, fx }) {
+  const byMonth = new Map();
+  for (let i = 0; i < d.length; i++) {
+    const ym = d[i].slice(0, 7); // YYYY-MM
+    const cur =
+      byMonth.get(ym) || { sumAvg: 0, n: 0, min: Infinity, max: -Infinity, sumFx: 0, nFx: 0 };
+    if (!Number.isNaN(avg[i])) {
+      cur.sumAvg += avg[i];
+      cur.n += 1;
+    }
+    if (fx?.[i] > 0) {
+      cur.sumFx += fx[i];
+      cur.nFx += 1;
+    }
+    if (min[i] < cur.min) cur.min = min[i];
+    if (max[i] > cur.max) cur.max = max[i];
+    byMonth.set(ym, cur);
+  }
+
+  const out = [];
+  for (const [ym, a] of Array.from(byMonth.entries()).sort((a, b) =>
+    a[0].localeCompare(b[0])
+  )) {
+    out.push({
+      t: ym,
+      avg: a.n ? a.sumAvg / a.n : null,
+      min: Number.isFinite(a.min) ? a.min : null,
+      max: Number.isFinite(a.max) ? a.max : null,
+      year: ym.slice(0, 4),
+      ...(a.nFx ? { fx: a.sumFx / a.nFx } : {}),
+    });
+  }
+  return out;
+}
+
+export const EMPTY_SUMMARY = { min: null, max: null, avg: null, p10: null, p50: null, p90: null, n: 0 };
+
+// Min / mean / max and P10–P50–P90 of the non-missing values.
+export function summarize(values) {
+  const sorted = cleanValues(values).sort((a, b) => a - b);
+  const count = sorted.length;
+  if (count === 0) return EMPTY_SUMMARY;
+  let sum = 0;
+  for (const x of sorted) sum += x;
+  return {
+    min: sorted[0],
+    max: sorted[count - 1],
+    avg: sum / count,
+    p10: percentile(sorted, 10),
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    n: count,
+  };
+}
+
+// Largest-Triangle-Three-Buckets over (i, y[i]): indices of at most
+// `threshold` points that keep the shape of the line. Gaps (NaN) stay as a
+// gap: the first missing point of a bucket is kept alongside its pick, and
+// so is every index in `keep` (points the chart must not lose).
+export function lttb(y, threshold, keep = []) {
+  const n = y.length;
+  if (threshold < 3 || n <= threshold) return Uint32Array.from({ length: n }, (_, i) => i);
+
+  const picked = new Set([0, n - 1, ...keep]);
+  const every = (n - 2) / (threshold - 2);
+  let a = 0;
+  for (let b = 0; b < threshold - 2; b++) {
+    const start = Math.floor(b * every) + 1;
+    const end = Math.min(Math.floor((b + 1) * every) + 1, n - 1);
+
+    // Average of the next bucket (the last point for the final one).
+    const nextStart = end;
+    const nextEnd = Math.min(Math.floor((b + 2) * every) + 1, n);
+    let avgX = 0;
+    let avgY = 0;
+    let cnt = 0;
+    for (let i = nextStart; i < nextEnd; i++) {
+      if (Number.isNaN(y[i])) continue;
+      avgX += i;
+      avgY += y[i];
+      cnt += 1;
+    }
+    if (cnt) {
+      avgX /= cnt;
+      avgY /= cnt;
+    } else {
+      avgX = nextStart;
+      avgY = Number.isNaN(y[a]) ? 0 : y[a];
+    }
+
+    const ay = Number.isNaN(y[a]) ? avgY : y[a];
+    let best = -1;
+    let bestArea = -1;
+    let gap = -1;
+    for (let i = start; i < end; i++) {
+      if (Number.isNaN(y[i])) {
+        if (gap < 0) gap = i;
+        continue;
+      }
+      const area = Math.abs((a - avgX) * (y[i] - ay) - (a - i) * (avgY - ay));
+      if (area > bestArea) {
+        bestArea = area;
+        best = i;
+      }
+    }
+    if (gap >= 0) picked.add(gap);
+    if (best >= 0) {
+      picked.add(best);
+      a = best;
+    } else if (gap >= 0) {
+      a = gap;
+    }
+  }
+  return Uint32Array.from(picked).sort();
+}
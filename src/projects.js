@@ -0,0 +1,106 @@
+// Project registry. The list comes from a manifest in the data bucket so a
+// new plant only needs a data upload:
+//   projects.json → {
+//     "projects": [{
+//       "key": "border", "display": "Border Solar", "tech": "solar",
+//       "capacityMw": 150, "system": "SIN",
+//       "nodes": [{ "node": "04PDD-115", "lat": 30.7, "lon": -112.1 }]
+//     }, ...]
+//   }
+// `key` is the folder name under pml-mda/ and pml-mtr/. When the manifest
+// is missing or unreadable the built-in list below is used.
+
+import { formatNumber, t } from "./i18n.js";
+
+export const MANIFEST_PATH = "projects.json";
+
+// A manifest that parses but is unusable; `kind` is "noList" or "empty".
+// Worded by the UI (`error.manifest.${kind}`).
+export class ManifestError extends Error {
+  constructor(kind) {
+    super(`${MANIFEST_PATH}: ${kind}`);
+    this.name = "ManifestError";
+    this.kind = kind;
+  }
+}
+
+// Interconnected national system, Baja California, Baja California Sur.
+export const SYSTEMS = [
+  { key: "SIN", label: "SIN" },
+  { key: "BCA", label: "BCA" },
+  { key: "BCS", label: "BCS" },
+];
+
+export const BUILTIN_PROJECTS = [
+  { key: "border", display: "Border Solar", tech: "solar", capacityMw: null, system: "SIN", nodes: [] },
+  { key: "dds", display: "Don Diego Solar", tech: "solar", capacityMw: null, system: "SIN", nodes: [] },
+  { key: "pima", display: "PIMA Solar", tech: "solar", capacityMw: null, system: "SIN", nodes: [] },
+  { key: "rum", display: "Rumorosa Solar", tech: "solar", capacityMw: null, system: "BCA", nodes: [] },
+  { key: "tep", display: "Tepezalá Solar", tech: "solar", capacityMw: null, system: "SIN", nodes: [] },
+  { key: "ventika", display: "Ventika", tech: "wind", capacityMw: null, system: "SIN", nodes: [] },
+];
+
+const finite = (v) => {
+  if (v === null || v === undefined || v === "") return null;
+  return Number.isFinite(Number(v)) ? Number(v) : null;
+};
+const systemKey = (v) => {
+  const s = String(v || "").toUpperCase();
+  return SYSTEMS.some((x) => x.key === s) ? s : "";
+};
+
+// Manifest JSON (object with `projects`, or a bare array) → normalized
+// projects; entries without a key and repeated keys are dropped.
+export function parseManifest(data) {
+  const list = Array.isArray(data) ? data : data?.projects;
+  if (!Array.isArray(list)) throw new ManifestError("noList");
+  const seen = new Set();
+  const out = [];
+  for (const p of list) {
+    const key = typeof p?.key === "string" ? p.key.trim() : "";
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    out.push({
+      key,
+      display: p.display || key,
+      tech: p.tech ? String(p.tech).toLowerCase() : "",
+      capacityMw: finite(p.capacityMw),
+      system: systemKey(p.system),
+      nodes: (Array.isArray(p.nodes) ? p.nodes : [])
+        .filter((n) => n && typeof n.node === "string")
+        .map((n) => ({
+          node: n.node,
+          lat: finite(n.lat),
+          lon: finite(n.lon),
+          system: systemKey(n.system) || systemKey(p.system),
+        })),
+    });
+  }
+  if (!out.length) throw new ManifestError("empty");
+  return out;
+}
+
+// [{ system, label, projects }] in SYSTEMS order; projects without a known
+// system go last in a group with an empty label (named by the UI).
+export function groupBySystem(projects) {
+  const groups = SYSTEMS.map((s) => ({
+    system: s.key,
+    label: s.label,
+    projects: projects.filter((p) => p.system === s.key),
+  }));
+  groups.push({ system: "", label: "", projects: projects.filter((p) => !p.system) });
+  return groups.filter((g) => g.projects.length);
+}
+
+// "Solar · 150 MW · SIN"; unknown technologies are shown as written.
+export function describeProject(p) {
+  if (!p) return "";
+  const tech = p.tech ? t(`tech.${p.tech}`) : "";
+  return [
+    tech === `tech.${p.tech}` ? p.tech : tech,
+    p.capacityMw !== null ? `${formatNumber(p.capacityMw)} MW` : "",
+    p.system,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
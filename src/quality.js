@@ -0,0 +1,230 @@
+// Data-quality checks for a node: missing days and hours, duplicate hours,
+// non-numeric values and months listed in index.json without a file.
+//
+// Expected hours per date come from the node's time zone (daily `tz`), so
+// DST days in BCA (23 / 25 h) are not reported as gaps.
+
+import { FetchError, fetchRetrying } from "./dataCache.js";
+
+export const ISSUE_KINDS = ["missingDay", "hours", "duplicate", "nonNumeric", "missingFile"];
+// Issues are { d, to, kind, detail }; `detail` is { key, ...values } and is
+// worded by the UI (see issueDetail in App.jsx).
+
+// Minutes east of UTC for `tz` at instant `ms`.
+function tzOffset(tz, ms) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: tz,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(ms));
+  const v = Object.fromEntries(parts.map((p) => [p.type, Number(p.value)]));
+  return (Date.UTC(v.year, v.month - 1, v.day, v.hour, v.minute, v.second) - ms) / 60000;
+}
+
+function localMidnight(date, tz) {
+  const guess = Date.parse(`${date}T00:00:00Z`);
+  const first = guess - tzOffset(tz, guess) * 60000;
+  return guess - tzOffset(tz, first) * 60000;
+}
+
+export function addDays(date, n) {
+  const t = new Date(`${date}T00:00:00Z`);
+  t.setUTCDate(t.getUTCDate() + n);
+  return t.toISOString().slice(0, 10);
+}
+
+// "YYYY_MM" → { d: first date, to: last date }
+export function monthRange(mk) {
+  const d = `${mk.replace("_", "-")}-01`;
+  return { d, to: addDays(addDays(d, 31).slice(0, 8) + "01", -1) };
+}
+
+const hoursCache = new Map();
+
+// 24, or 23 / 25 on DST transition days.
+export function expectedHours(date, tz) {
+  const key = `${tz}|${date}`;
+  if (!hoursCache.has(key)) {
+    let h = 24;
+    try {
+      h = Math.round((localMidnight(addDays(date, 1), tz) - localMidnight(date, tz)) / 3600000);
+    } catch {
+      // unknown time zone: assume no DST
+    }
+    hoursCache.set(key, h);
+  }
+  return hoursCache.get(key);
+}
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+// Consecutive missing dates between `from` and `to` (exclusive) as one issue.
+function missingRun(from, to) {
+  const first = addDays(from, 1);
+  const last = addDays(to, -1);
+  const days = Math.round((Date.parse(to) - Date.parse(from)) / 86400000) - 1;
+  return {
+    d: first,
+    to: last,
+    kind: "missingDay",
+    detail: days === 1 ? { key: "noRow" } : { key: "noRows", days, last },
+  };
+}
+
+// daily: [{ d, n, avg, min, max }] in file order.
+export function checkDaily(daily, tz) {
+  const issues = [];
+  const seen = new Set();
+  let prev = null;
+  for (const r of [...daily].sort((a, b) => a.d.localeCompare(b.d))) {
+    if (seen.has(r.d)) {
+      issues.push({ d: r.d, to: r.d, kind: "duplicate", detail: { key: "dupDate" } });
+      continue;
+    }
+    seen.add(r.d);
+    if (prev && addDays(prev, 1) !== r.d) issues.push(missingRun(prev, r.d));
+    prev = r.d;
+
+    const bad = ["avg", "min", "max"].filter((k) => !isNum(r[k]));
+    if (bad.length) {
+      issues.push({ d: r.d, to: r.d, kind: "nonNumeric", detail: { key: "dailyNonNumeric", fields: bad.join(", ") } });
+    }
+    const exp = expectedHours(r.d, tz);
+    if (r.n !== exp) {
+      issues.push({
+        d: r.d,
+        to: r.d,
+        kind: "hours",
+        detail: { key: "dailyHours", n: r.n, exp, dst: exp !== 24 },
+      });
+    }
+  }
+  return issues;
+}
+
+// points: hourly rows of the loaded months; months: their "YYYY_MM" keys.
+// Days of a month without any row count as missing; for months that are not
+// closed yet only up to the last date present (still being published).
+export function checkHourly(points, tz, months, isClosed = () => false) {
+  const issues = [];
+  const byDay = new Map();
+  for (const p of points) {
+    const cur = byDay.get(p.d) || [];
+    cur.push(p);
+    byDay.set(p.d, cur);
+  }
+
+  for (const [d, rows] of Array.from(byDay.entries()).sort((a, b) => a[0].localeCompare(b[0]))) {
+    const counts = new Map();
+    for (const r of rows) counts.set(r.h, (counts.get(r.h) || 0) + 1);
+    const dup = Array.from(counts.entries())
+      .filter(([, c]) => c > 1)
+      .map(([h]) => h);
+    if (dup.length) {
+      issues.push({ d, to: d, kind: "duplicate", detail: { key: "dupHours", hours: dup.join(", ") } });
+    }
+    const nonNum = rows.filter((r) => !isNum(r.pml)).map((r) => r.h);
+    if (nonNum.length) {
+      issues.push({ d, to: d, kind: "nonNumeric", detail: { key: "hoursNoPrice", hours: nonNum.join(", ") } });
+    }
+    const exp = expectedHours(d, tz);
+    if (counts.size !== exp) {
+      issues.push({
+        d,
+        to: d,
+        kind: "hours",
+        detail: { key: "hourlyHours", n: counts.size, exp, dst: exp !== 24 },
+      });
+    }
+  }
+
+  for (const mk of months) {
+    const range = monthRange(mk);
+    const days = Array.from(byDay.keys())
+      .filter((d) => d >= range.d && d <= range.to)
+      .sort();
+    if (!days.length) continue;
+    const end = addDays(isClosed(mk) ? range.to : days[days.length - 1], 1);
+    let prev = addDays(range.d, -1);
+    for (const d of [...days, end]) {
+      if (addDays(prev, 1) !== d) {
+        issues.push({ ...missingRun(prev, d), detail: { key: "noHours" } });
+      }
+      prev = d;
+    }
+  }
+  return issues;
+}
+
+// Months of index.json with no daily rows at all.
+export function monthsWithoutDaily(months, daily) {
+  const have = new Set(daily.map((r) => r.d.slice(0, 7).replace("-", "_")));
+  return months.filter((m) => !have.has(m));
+}
+
+// HEAD every url with at most `concurrency` requests in flight, each with
+// the timeout and retries of the data loads (fetchRetrying in dataCache.js).
+// → [{ url, status: "ok" | "missing" | "error", code }]
+export async function probeFiles(urls, { concurrency = 4, signal, timeout, retries } = {}) {
+  const out = new Array(urls.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < urls.length) {
+      const i = next++;
+      try {
+        const r = await fetchRetrying(
+          urls[i],
+          { method: "HEAD", cache: "no-store" },
+          { signal, timeout, retries }
+        );
+        out[i] = { url: urls[i], status: "ok", code: r.status };
+      } catch (e) {
+        if (!(e instanceof FetchError)) throw e;
+        const missing = e.status === 404 || e.status === 403;
+        out[i] = { url: urls[i], status: missing ? "missing" : "error", code: e.status ?? null };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, worker));
+  return out;
+}
+
+// Turns issue date spans into x1/x2 pairs of a category axis. `rows` are the
+// chart rows in order, `dateOf(row)` their date and `xOf(row)` their x value.
+// Spans with no rows of their own (missing days) stretch between neighbours;
+// single-point spans extend to the next row so they stay visible.
+export function shadeAreas(rows, dateOf, xOf, spans) {
+  if (!rows.length) return [];
+  const merged = [];
+  for (const s of [...spans].sort((a, b) => a.d.localeCompare(b.d))) {
+    const last = merged[merged.length - 1];
+    if (last && s.d <= addDays(last.to, 1)) {
+      if (s.to > last.to) last.to = s.to;
+    } else {
+      merged.push({ d: s.d, to: s.to });
+    }
+  }
+
+  const out = [];
+  for (const s of merged) {
+    let i = rows.findIndex((r) => dateOf(r) >= s.d);
+    if (i === -1) continue;
+    let j = i;
+    while (j + 1 < rows.length && dateOf(rows[j + 1]) <= s.to) j++;
+    if (dateOf(rows[i]) > s.to) {
+      // nothing inside: between the previous row and this one
+      if (i === 0) continue;
+      j = i;
+      i -= 1;
+    } else if (i === j && j + 1 < rows.length) {
+      j += 1;
+    }
+    out.push({ x1: xOf(rows[i]), x2: xOf(rows[j]) });
+  }
+  return out;
+}
@@ -0,0 +1,255 @@
+import { t } from "./i18n.js";
+
+// Building blocks shared by App.jsx and the panel modules.
+
+export function Card({ children, style }) {
+  return (
+    <div
+      style={{
+        background: "white",
+        border: "1px solid #e5e7eb",
+        borderRadius: 16,
+        padding: 14,
+        boxShadow: "0 1px 0 rgba(0,0,0,0.03)",
+        ...style,
+      }}
+    >
+      {children}
+    </div>
+  );
+}
+
+export function SectionHeader({ title, subtitle, right }) {
+  return (
+    <div
+      style={{
+        display: "flex",
+        justifyContent: "space-between",
+        gap: 12,
+        flexWrap: "wrap",
+      }}
+    >
+      <div>
+        <div style={{ fontWeight: 800, fontSize: 14 }}>{title}</div>
+        {subtitle ? (
+          <div style={{ fontSize: 12, color: "#6b7280", marginTop: 2 }}>
+            {subtitle}
+          </div>
+        ) : null}
+      </div>
+      {right}
+    </div>
+  );
+}
+
+export function Pill({ children }) {
+  return (
+    <span
+      style={{
+        display: "inline-flex",
+        alignItems: "center",
+        gap: 6,
+        padding: "6px 10px",
+        borderRadius: 999,
+        border: "1px solid #e5e7eb",
+        background: "#f9fafb",
+        fontSize: 12,
+        color: "#374151",
+      }}
+    >
+      {children}
+    </span>
+  );
+}
+
+export function StatCard({ label, value, hint }) {
+  return (
+    <div
+      style={{
+        border: "1px solid #e5e7eb",
+        borderRadius: 14,
+        padding: 12,
+        minWidth: 150,
+        background: "white",
+      }}
+    >
+      <div style={{ fontSize: 12, color: "#6b7280" }}>{label}</div>
+      <div style={{ fontSize: 18, fontWeight: 800, marginTop: 2 }}>
+        {value ?? "—"}
+      </div>
+      {hint ? (
+        <div style={{ fontSize: 11, color: "#9ca3af", marginTop: 2 }}>
+          {hint}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+export function LoadingInline({ text }) {
+  return <div style={{ fontSize: 12, color: "#6b7280" }}>{text ?? t("common.loading")}</div>;
+}
+
+export function Button({ children, onClick, disabled, title, active }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      disabled={disabled}
+      title={title}
+      style={{
+        padding: "10px 12px",
+        borderRadius: 12,
+        border: `1px solid ${active ? "#93c5fd" : "#e5e7eb"}`,
+        background: disabled ? "#f3f4f6" : active ? "#eff6ff" : "white",
+        color: "#111827",
+        fontSize: 13,
+        fontWeight: 600,
+        cursor: disabled ? "not-allowed" : "pointer",
+      }}
+    >
+      {children}
+    </button>
+  );
+}
+
+export function SeriesSwatch({ color }) {
+  return (
+    <span
+      style={{
+        display: "inline-block",
+        width: 10,
+        height: 10,
+        borderRadius: 999,
+        background: color,
+        flex: "0 0 auto",
+      }}
+    />
+  );
+}
+
+export function ExportButtons({ onCsv, onXlsx, disabled }) {
+  const style = {
+    padding: "4px 8px",
+    borderRadius: 8,
+    border: "1px solid #e5e7eb",
+    background: disabled ? "#f3f4f6" : "white",
+    color: "#374151",
+    fontSize: 11,
+    fontWeight: 600,
+    cursor: disabled ? "not-allowed" : "pointer",
+  };
+  return (
+    <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+      <button type="button" style={style} disabled={disabled} onClick={onCsv}>
+        CSV
+      </button>
+      <button type="button" style={style} disabled={disabled} onClick={onXlsx}>
+        XLSX
+      </button>
+    </div>
+  );
+}
+
+// Options with a `group` are shown under an <optgroup> per group, in order.
+function optionGroups(options) {
+  const groups = [];
+  for (const o of options) {
+    const last = groups[groups.length - 1];
+    if (last && last.label === o.group) last.options.push(o);
+    else groups.push({ label: o.group, options: [o] });
+  }
+  return groups;
+}
+
+function optionTags(options) {
+  return options.map((o) => (
+    <option key={o.value} value={o.value}>
+      {o.label}
+    </option>
+  ));
+}
+
+export function Control({ value, onChange, options, disabled, width = 170 }) {
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      style={{
+        padding: "10px 12px",
+        borderRadius: 12,
+        border: "1px solid #e5e7eb",
+        background: disabled ? "#f3f4f6" : "white",
+        minWidth: width,
+      }}
+    >
+      {options.some((o) => o.group)
+        ? optionGroups(options).map((g) => (
+            <optgroup key={g.label} label={g.label}>
+              {optionTags(g.options)}
+            </optgroup>
+          ))
+        : optionTags(options)}
+    </select>
+  );
+}
+
+export function TooltipLabel({ label }) {
+  return <span style={{ fontSize: 12 }}>{label}</span>;
+}
+
+// Something downloaded on demand (a year of hourly files, forecast history):
+// its button, or the progress while it loads.
+export function LoadButton({ loading, loadingText, onClick, disabled, children }) {
+  return loading ? (
+    <LoadingInline text={loadingText} />
+  ) : (
+    <Button onClick={onClick} disabled={disabled}>
+      {children}
+    </Button>
+  );
+}
+
+// Table with a sticky header that scrolls past `maxHeight` (null: no limit).
+// columns: [{ key, label, align, style, render(row) }], `style` merged into
+// every cell of the column; rowProps(row) → extra <tr> props (onClick, title,
+// style). Without rows it shows `empty` instead; `footer` goes under it.
+export function DataTable({ columns, rows, rowKey, rowProps, empty, footer, maxHeight = 320 }) {
+  if (!rows.length && empty) {
+    return <div style={{ marginTop: 10, fontSize: 12, color: "#6b7280" }}>{empty}</div>;
+  }
+  const cell = (c) => ({
+    padding: "4px 8px",
+    borderBottom: "1px solid #f3f4f6",
+    textAlign: c.align || "left",
+    ...c.style,
+  });
+  return (
+    <div style={{ marginTop: 10, maxHeight: maxHeight ?? undefined, overflowY: "auto", fontSize: 12 }}>
+      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+        <thead style={{ position: "sticky", top: 0, background: "#fff", color: "#6b7280" }}>
+          <tr>
+            {columns.map((c) => (
+              <th key={c.key} style={{ ...cell(c), whiteSpace: "normal" }}>
+                {c.label}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={rowKey(r)} {...rowProps?.(r)}>
+              {columns.map((c) => (
+                <td key={c.key} style={cell(c)}>
+                  {c.render(r)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {footer ? <div style={{ marginTop: 6, color: "#6b7280" }}>{footer}</div> : null}
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+// Year-over-year alignment for the annual / hourly charts and the histórico
+// calendar-month view.
+//
+// Other years are moved onto the dates of the displayed year (same month and
+// day, same hour), so Feb 29 only lines up with leap years.
+
+export const yoyKey = (year) => `y${year}`;
+
+// "YYYY-MM-DD" moved by `years`; null for Feb 29 into a non-leap year.
+export function shiftYear(date, years) {
+  const y = Number(date.slice(0, 4)) + years;
+  const out = `${y}${date.slice(4)}`;
+  if (date.slice(5) === "02-29" && !(y % 4 === 0 && (y % 100 !== 0 || y % 400 === 0))) return null;
+  return out;
+}
+
+// Daily rows of `fromYear` on the dates of `toYear`: [{ t, avg }].
+export function alignDaily(daily, fromYear, toYear) {
+  const shift = Number(toYear) - Number(fromYear);
+  const out = [];
+  for (const r of daily) {
+    if (!r.d.startsWith(fromYear + "-")) continue;
+    const t = shiftYear(r.d, shift);
+    if (t) out.push({ t, avg: r.avg });
+  }
+  return out;
+}
+
+// Hourly points moved by `shift` years: [{ t, d, h, pml }].
+export function alignHourly(pts, shift) {
+  const out = [];
+  for (const p of pts) {
+    const d = shiftYear(p.d, shift);
+    if (d) out.push({ t: `${d} ${String(p.h).padStart(2, "0")}:00`, d, h: p.h, pml: p.pml });
+  }
+  return out;
+}
+
+const isNum = (v) => v !== null && v !== undefined && Number.isFinite(v);
+
+// Adds `yoyDelta` = field − reference year on every row that has both.
+export function withDelta(rows, field, refKey) {
+  return rows.map((r) =>
+    isNum(r[field]) && isNum(r[refKey]) ? { ...r, yoyDelta: r[field] - r[refKey] } : r
+  );
+}
+
+// Change in average / min / max over the rows present in both years, so a
+// year in progress is compared with the same days of the reference year.
+export function yoyChange(rows, field, refKey) {
+  const cur = [];
+  const ref = [];
+  for (const r of rows) {
+    if (!isNum(r[field]) || !isNum(r[refKey])) continue;
+    cur.push(r[field]);
+    ref.push(r[refKey]);
+  }
+  if (!cur.length) return null;
+  const stats = (xs) => ({
+    avg: xs.reduce((a, b) => a + b, 0) / xs.length,
+    min: Math.min(...xs),
+    max: Math.max(...xs),
+  });
+  const a = stats(cur);
+  const b = stats(ref);
+  const change = (k) => ({
+    delta: a[k] - b[k],
+    pct: b[k] !== 0 ? (a[k] - b[k]) / Math.abs(b[k]) : null,
+  });
+  return { n: cur.length, avg: change("avg"), min: change("min"), max: change("max") };
+}
+
+// Monthly summary rows ({ t: "YYYY-MM", avg }) as one row per calendar
+// month ({ t: "01".."12" }) with a column per year.
+export function calendarMonths(hist) {
+  const rows = Array.from({ length: 12 }, (_, i) => {
+    const month = String(i + 1).padStart(2, "0");
+    return { t: month, month };
+  });
+  const years = new Set();
+  for (const r of hist) {
+    const y = r.t.slice(0, 4);
+    years.add(y);
+    rows[Number(r.t.slice(5, 7)) - 1][yoyKey(y)] = r.avg;
+  }
+  return { rows, years: Array.from(years).sort() };
+}